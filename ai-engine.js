@@ -14,6 +14,7 @@ class ChessAI {
         };
         
         this.currentLevel = 'medium';
+        this.variant = 'standard';
         this.stockfish = null;
         this.isInitialized = false;
         this.isThinking = false;
@@ -23,8 +24,9 @@ class ChessAI {
         this.bestLine = [];
         this.pondering = false;
         
-        // Cache para posições já avaliadas
+        // Cache para posições já avaliadas (chave Zobrist da posição + nível)
         this.positionCache = new Map();
+        this.pendingCacheKey = null;
         this.cacheHits = 0;
         this.cacheMisses = 0;
         
@@ -153,6 +155,12 @@ class ChessAI {
             // Atualiza métricas
             this.metrics.totalMoves++;
             
+            // Guarda no cache para a mesma posição
+            if (this.pendingCacheKey) {
+                this.positionCache.set(this.pendingCacheKey, { move, uci: bestMove });
+                this.pendingCacheKey = null;
+            }
+            
             // Chama callback com o movimento
             if (this.moveCallback && typeof this.moveCallback === 'function') {
                 this.moveCallback(move);
@@ -273,9 +281,29 @@ class ChessAI {
     }
     
     /**
-     * Calcula o melhor movimento para uma posição
+     * Ativa ou desativa o modo Chess960 do motor (roque como "rei captura torre")
      */
-    async getBestMove(fen, callback, analysisCallback = null) {
+    setVariant(variant) {
+        this.variant = variant;
+        this.sendCommand(`setoption name UCI_Chess960 value ${variant === 'chess960'}`);
+        this.clearCache();
+    }
+    
+    /**
+     * Chave de cache de uma posição: a mesma chave Zobrist usada pelas regras
+     */
+    getPositionKey(fen) {
+        const tempChess = new ChessRules();
+        tempChess.setVariant(this.variant);
+        tempChess.loadFEN(fen, { variant: this.variant });
+        return tempChess.getBoardHash();
+    }
+    
+    /**
+     * Calcula o melhor movimento para uma posição.
+     * positionKey é a chave Zobrist já conhecida (ChessRules.getBoardHash); sem ela é calculada a partir do FEN.
+     */
+    async getBestMove(fen, callback, analysisCallback = null, positionKey = null) {
         if (!this.isInitialized) {
             console.warn('IA não inicializada, usando movimento aleatório');
             const randomMove = this.getRandomMove(fen);
@@ -298,7 +326,7 @@ class ChessAI {
         const startTime = Date.now();
         
         // Verifica cache primeiro
-        const cacheKey = `${fen}|${this.currentLevel}`;
+        const cacheKey = `${positionKey || this.getPositionKey(fen)}|${this.currentLevel}`;
         if (this.positionCache.has(cacheKey)) {
             this.cacheHits++;
             const cached = this.positionCache.get(cacheKey);
@@ -314,6 +342,7 @@ class ChessAI {
         }
         
         this.cacheMisses++;
+        this.pendingCacheKey = cacheKey;
         
         // Configura a posição
         this.sendCommand(`position fen ${fen}`);
@@ -358,6 +387,7 @@ class ChessAI {
             this.isThinking = false;
             this.moveCallback = null;
             this.analysisCallback = null;
+            this.pendingCacheKey = null;
             console.log('Pensamento da IA interrompido');
         }
     }
@@ -369,7 +399,8 @@ class ChessAI {
         try {
             // Cria um tabuleiro temporário para gerar movimentos legais
             const tempChess = new ChessRules();
-            const result = tempChess.loadFEN(fen);
+            tempChess.setVariant(this.variant);
+            const result = tempChess.loadFEN(fen, { variant: this.variant });
             
             if (!result.success) {
                 throw new Error('FEN inválido');
@@ -540,6 +571,11 @@ class ChessAI {
         const analysis = [];
         let currentFen = initialFen;
         
+        // Uma única instância acompanha a partida lance a lance
+        const tempChess = new ChessRules();
+        tempChess.setVariant(this.variant);
+        tempChess.loadFEN(initialFen, { variant: this.variant });
+        
         for (let i = 0; i < gameMoves.length; i++) {
             const move = gameMoves[i];
             
@@ -557,9 +593,7 @@ class ChessAI {
             });
             
             // Atualiza FEN para próxima posição
-            const tempChess = new ChessRules();
-            tempChess.loadFEN(currentFen);
-            tempChess.makeMove(move.from, move.to);
+            tempChess.makeMove(move.from, move.to, move.promotion);
             currentFen = tempChess.exportFEN();
         }
         
@@ -660,8 +694,11 @@ class ChessAI {
      */
     simpleAI(fen, difficulty = 'medium') {
         try {
+            // A busca avalia muitas posições: usa o tabuleiro 0x88
             const chess = new ChessRules();
-            chess.loadFEN(fen);
+            chess.setVariant(this.variant);
+            chess.setRepresentation('0x88');
+            chess.loadFEN(fen, { variant: this.variant });
             
             const legalMoves = chess.calculateAllLegalMoves();
             if (legalMoves.length === 0) return null;
@@ -790,13 +827,12 @@ class ChessAI {
             score += 15;
         }
         
-        // Bonus por xeque
-        const tempChess = new ChessRules();
-        tempChess.loadFEN(chess.exportFEN());
-        tempChess.makeMove(move.from, move.to);
-        if (tempChess.gameState.check) {
+        // Bonus por xeque (simula no próprio tabuleiro e desfaz)
+        const undo = chess.makeMoveInPlace(move);
+        if (chess.isKingInCheck(chess.gameState.turn)) {
             score += 50;
         }
+        chess.unmakeMove(undo);
         
         // Bonus por ameaças múltiplas
         const threats = this.countThreats(move, chess);
@@ -834,25 +870,24 @@ class ChessAI {
         let threats = 0;
         
         // Simula o movimento
-        const tempChess = new ChessRules();
-        tempChess.loadFEN(chess.exportFEN());
-        tempChess.makeMove(move.from, move.to);
+        const undo = chess.makeMoveInPlace(move);
         
         // Conta peças ameaçadas
-        const color = tempChess.gameState.turn;
+        const color = chess.gameState.turn;
         const opponentColor = color === 'white' ? 'black' : 'white';
         
         for (let row = 0; row < 8; row++) {
             for (let col = 0; col < 8; col++) {
-                const piece = tempChess.board[row][col];
+                const piece = chess.board[row][col];
                 if (piece && piece.color === opponentColor) {
-                    if (tempChess.isSquareAttacked(row, col, opponentColor)) {
+                    if (chess.isSquareAttacked(row, col, opponentColor)) {
                         threats++;
                     }
                 }
             }
         }
         
+        chess.unmakeMove(undo);
         return threats;
     }
     
@@ -861,13 +896,12 @@ class ChessAI {
      */
     calculateMobility(move, chess) {
         // Simula o movimento
-        const tempChess = new ChessRules();
-        tempChess.loadFEN(chess.exportFEN());
-        tempChess.makeMove(move.from, move.to);
+        const undo = chess.makeMoveInPlace(move);
         
         // Calcula mobilidade (número de movimentos legais)
-        const legalMoves = tempChess.calculateAllLegalMoves();
-        return legalMoves.length;
+        const mobility = chess.calculateAllLegalMoves().length;
+        chess.unmakeMove(undo);
+        return mobility;
     }
     
     /**
@@ -0,0 +1,254 @@
+/**
+ * TABULEIRO 0x88 COM LISTAS DE PEÇAS
+ * Representação interna alternativa do ChessRules: 128 casas (índice = fileira * 16 + coluna),
+ * onde (índice & 0x88) !== 0 indica casa fora do tabuleiro. A matriz 8x8 continua
+ * disponível em `view`, cujas casas leem e escrevem diretamente neste tabuleiro.
+ */
+
+class Board0x88 {
+    constructor(pieceTypes) {
+        this.pieceTypes = pieceTypes;
+        
+        this.squares = new Array(128).fill(null);
+        this.pieceLists = { white: new Set(), black: new Set() };
+        this.kings = { white: -1, black: -1 };
+        
+        this.offsets = {
+            knight: [-33, -31, -18, -14, 14, 18, 31, 33],
+            bishop: [-17, -15, 15, 17],
+            rook: [-16, -1, 1, 16],
+            king: [-17, -16, -15, -1, 1, 15, 16, 17]
+        };
+        
+        this.view = this.createView();
+    }
+    
+    /**
+     * Cria a matriz 8x8 de acesso (board[row][col]) ligada às casas 0x88
+     */
+    createView() {
+        return Array.from({ length: 8 }, (_, row) => {
+            const rowView = [];
+            
+            for (let col = 0; col < 8; col++) {
+                const square = row * 16 + col;
+                Object.defineProperty(rowView, col, {
+                    get: () => this.squares[square],
+                    set: (piece) => this.setSquare(square, piece),
+                    enumerable: true
+                });
+            }
+            
+            return rowView;
+        });
+    }
+    
+    /**
+     * Coloca (ou retira, com null) uma peça, mantendo listas de peças e reis
+     */
+    setSquare(square, piece) {
+        const old = this.squares[square];
+        if (old) {
+            this.pieceLists[old.color].delete(square);
+            if (this.kings[old.color] === square) this.kings[old.color] = -1;
+        }
+        
+        this.squares[square] = piece || null;
+        
+        if (piece) {
+            this.pieceLists[piece.color].add(square);
+            if (piece.type === this.pieceTypes.KING) this.kings[piece.color] = square;
+        }
+    }
+    
+    /**
+     * Carrega uma matriz 8x8 (as peças são as mesmas instâncias, não cópias)
+     */
+    load(board) {
+        this.squares.fill(null);
+        this.pieceLists.white.clear();
+        this.pieceLists.black.clear();
+        this.kings = { white: -1, black: -1 };
+        
+        if (!board) return;
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                if (board[row][col]) this.setSquare(row * 16 + col, board[row][col]);
+            }
+        }
+    }
+    
+    /**
+     * Posição do rei da cor indicada
+     */
+    findKing(color) {
+        let square = this.kings[color];
+        
+        // Sem rei registrado (por exemplo, retirado durante o teste de roque)
+        if (square === -1) {
+            for (const candidate of this.pieceLists[color]) {
+                if (this.squares[candidate].type === this.pieceTypes.KING) {
+                    square = candidate;
+                    break;
+                }
+            }
+            if (square === -1) return null;
+        }
+        
+        return { row: square >> 4, col: square & 7 };
+    }
+    
+    /**
+     * Verifica se a casa é atacada por peças do adversário de defenderColor
+     */
+    isSquareAttacked(row, col, defenderColor) {
+        const target = row * 16 + col;
+        const attackerColor = defenderColor === 'white' ? 'black' : 'white';
+        const squares = this.squares;
+        const { PAWN, KNIGHT, BISHOP, ROOK, QUEEN, KING } = this.pieceTypes;
+        
+        // Peões brancos atacam para cima, logo ficam uma fileira abaixo do alvo
+        const pawnOffsets = attackerColor === 'white' ? [15, 17] : [-15, -17];
+        for (const offset of pawnOffsets) {
+            const square = target + offset;
+            if (square & 0x88) continue;
+            const piece = squares[square];
+            if (piece && piece.color === attackerColor && piece.type === PAWN) return true;
+        }
+        
+        for (const offset of this.offsets.knight) {
+            const square = target + offset;
+            if (square & 0x88) continue;
+            const piece = squares[square];
+            if (piece && piece.color === attackerColor && piece.type === KNIGHT) return true;
+        }
+        
+        for (const offset of this.offsets.king) {
+            const square = target + offset;
+            if (square & 0x88) continue;
+            const piece = squares[square];
+            if (piece && piece.color === attackerColor && piece.type === KING) return true;
+        }
+        
+        // Peças deslizantes: percorre cada raio até a primeira peça
+        for (const offset of this.offsets.king) {
+            const diagonal = offset === -17 || offset === -15 || offset === 15 || offset === 17;
+            
+            for (let square = target + offset; !(square & 0x88); square += offset) {
+                const piece = squares[square];
+                if (!piece) continue;
+                
+                if (piece.color === attackerColor && (piece.type === QUEEN ||
+                    (diagonal ? piece.type === BISHOP : piece.type === ROOK))) {
+                    return true;
+                }
+                break;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Gera os movimentos pseudo-legais da cor, no mesmo formato de
+     * ChessRules.getAllPossibleMoves. O roque continua a cargo das regras.
+     */
+    generateMoves(color, rules) {
+        const moves = [];
+        const squares = this.squares;
+        const { PAWN, KNIGHT, BISHOP, ROOK, QUEEN, KING } = this.pieceTypes;
+        
+        const enPassant = rules.settings.enPassantEnabled ? rules.gameState.enPassantTarget : null;
+        const enPassantSquare = enPassant ? enPassant.row * 16 + enPassant.col : -1;
+        
+        // Copia a lista: o teste de roque retira e recoloca rei e torre
+        for (const from of [...this.pieceLists[color]]) {
+            const piece = squares[from];
+            const fromSquare = { row: from >> 4, col: from & 7 };
+            const add = (to, type) => {
+                moves.push({ from: fromSquare, to: { row: to >> 4, col: to & 7 }, piece, type });
+            };
+            
+            switch (piece.type) {
+                case PAWN: {
+                    const direction = color === 'white' ? -16 : 16;
+                    const startRow = color === 'white' ? 6 : 1;
+                    const lastRow = color === 'white' ? 0 : 7;
+                    const forward = from + direction;
+                    
+                    if (!(forward & 0x88) && !squares[forward]) {
+                        add(forward, (forward >> 4) === lastRow ? 'promotion' : 'normal');
+                        
+                        const double = forward + direction;
+                        if (fromSquare.row === startRow && !squares[double]) {
+                            add(double, 'pawnDouble');
+                        }
+                    }
+                    
+                    for (const to of [forward - 1, forward + 1]) {
+                        if (to & 0x88) continue;
+                        
+                        const target = squares[to];
+                        if (target && target.color !== color) {
+                            add(to, (to >> 4) === lastRow ? 'promotion' : 'capture');
+                        }
+                        if (to === enPassantSquare) {
+                            add(to, 'enPassant');
+                        }
+                    }
+                    break;
+                }
+                
+                case KNIGHT:
+                case KING:
+                    for (const offset of this.offsets[piece.type]) {
+                        const to = from + offset;
+                        if (to & 0x88) continue;
+                        
+                        const target = squares[to];
+                        if (!target) {
+                            add(to, 'normal');
+                        } else if (target.color !== color) {
+                            add(to, 'capture');
+                        }
+                    }
+                    
+                    if (piece.type === KING && rules.settings.castlingEnabled) {
+                        for (const castling of rules.getCastlingMoves(fromSquare.row, fromSquare.col, color)) {
+                            add(castling.row * 16 + castling.col, 'castling');
+                        }
+                    }
+                    break;
+                
+                case BISHOP:
+                case ROOK:
+                case QUEEN: {
+                    const directions = piece.type === QUEEN ? this.offsets.king : this.offsets[piece.type];
+                    
+                    for (const offset of directions) {
+                        for (let to = from + offset; !(to & 0x88); to += offset) {
+                            const target = squares[to];
+                            if (!target) {
+                                add(to, 'normal');
+                                continue;
+                            }
+                            if (target.color !== color) {
+                                add(to, 'capture');
+                            }
+                            break;
+                        }
+                    }
+                    break;
+                }
+            }
+        }
+        
+        return moves;
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Board0x88;
+}
@@ -0,0 +1,499 @@
+/**
+ * EDITOR DE POSIÇÃO
+ * Modo de montagem do ChessGame: paleta de peças para arrastar ao tabuleiro,
+ * lado a jogar, direitos de roque, en passant e FEN ao vivo validado pelas regras.
+ */
+
+const STANDARD_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+class BoardEditor {
+    constructor(game) {
+        this.game = game;
+        this.rules = game.rules;
+        
+        // Posição em edição (símbolos FEN, null = casa vazia)
+        this.grid = [];
+        this.turn = 'w';
+        this.castling = { K: false, Q: false, k: false, q: false };
+        this.enPassant = '-';
+        this.halfMoveClock = 0;
+        this.fullMoveNumber = 1;
+        
+        this.selectedSymbol = null; // Peça da paleta para colocar com clique ('' = borracha)
+        this.drag = null;
+        this.panel = null;
+        this.controls = {};
+        this.validation = { valid: false, errors: [], warnings: [] };
+        
+        this.onPointerDown = (e) => this.startDrag(e);
+        this.onPointerMove = (e) => this.moveDrag(e);
+        this.onPointerUp = (e) => this.endDrag(e);
+    }
+    
+    /**
+     * Abre o editor com a posição indicada (por padrão, a posição atual)
+     */
+    open(fen = this.rules.exportFEN()) {
+        this.setPosition(fen);
+        this.createPanel();
+        
+        this.game.elements.board.classList.add('setup-mode');
+        this.game.elements.board.addEventListener('pointerdown', this.onPointerDown);
+        document.addEventListener('pointermove', this.onPointerMove);
+        document.addEventListener('pointerup', this.onPointerUp);
+        
+        this.render();
+    }
+    
+    /**
+     * Fecha o editor e remove o painel
+     */
+    close() {
+        this.cancelDrag();
+        
+        this.game.elements.board.classList.remove('setup-mode');
+        this.game.elements.board.removeEventListener('pointerdown', this.onPointerDown);
+        document.removeEventListener('pointermove', this.onPointerMove);
+        document.removeEventListener('pointerup', this.onPointerUp);
+        
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    }
+    
+    /**
+     * Carrega um FEN no editor (só a leitura dos campos; a validação fica com as regras)
+     */
+    setPosition(fen) {
+        const fields = fen.trim().split(/\s+/);
+        const rows = (fields[0] || '').split('/');
+        
+        this.grid = Array.from({ length: 8 }, (_, row) => {
+            const squares = [];
+            for (const char of rows[row] || '') {
+                if (/[1-8]/.test(char)) {
+                    for (let i = 0; i < parseInt(char); i++) squares.push(null);
+                } else {
+                    squares.push(char);
+                }
+            }
+            return Array.from({ length: 8 }, (_, col) => squares[col] || null);
+        });
+        
+        this.turn = fields[1] === 'b' ? 'b' : 'w';
+        this.castling = this.parseCastling(fields[2] || '-');
+        this.enPassant = fields[3] && fields[3] !== '-' ? fields[3] : '-';
+        this.halfMoveClock = parseInt(fields[4]) || 0;
+        this.fullMoveNumber = parseInt(fields[5]) || 1;
+    }
+    
+    /**
+     * Converte o campo de roque (KQkq ou Shredder/X-FEN) nas quatro caixas do editor
+     */
+    parseCastling(field) {
+        const castling = { K: false, Q: false, k: false, q: false };
+        if (field === '-') return castling;
+        
+        for (const char of field) {
+            const white = char === char.toUpperCase();
+            const kingRow = white ? 7 : 0;
+            const kingCol = this.grid[kingRow].indexOf(white ? 'K' : 'k');
+            let side = char.toUpperCase();
+            
+            // Letra de coluna: ala do rei se a torre está à direita do rei
+            if (/[A-H]/.test(side)) {
+                side = side.charCodeAt(0) - 65 > kingCol ? 'K' : 'Q';
+            }
+            
+            if (side === 'K' || side === 'Q') {
+                castling[white ? side : side.toLowerCase()] = true;
+            }
+        }
+        
+        return castling;
+    }
+    
+    /**
+     * FEN da posição em edição
+     */
+    getFEN() {
+        const placement = this.grid.map(row => {
+            let rank = '';
+            let empty = 0;
+            
+            row.forEach(symbol => {
+                if (!symbol) {
+                    empty++;
+                    return;
+                }
+                if (empty > 0) rank += empty;
+                rank += symbol;
+                empty = 0;
+            });
+            
+            return empty > 0 ? rank + empty : rank;
+        }).join('/');
+        
+        const castling = ['K', 'Q', 'k', 'q'].filter(side => this.castling[side]).join('') || '-';
+        
+        return `${placement} ${this.turn} ${castling} ${this.enPassant} ${this.halfMoveClock} ${this.fullMoveNumber}`;
+    }
+    
+    /**
+     * Coloca (ou retira, com null) uma peça numa casa
+     */
+    setSquare(row, col, symbol) {
+        this.grid[row][col] = symbol || null;
+        this.render();
+    }
+    
+    /**
+     * Esvazia o tabuleiro
+     */
+    clear() {
+        this.setPosition('8/8/8/8/8/8/8/8 w - - 0 1');
+        this.render();
+    }
+    
+    /**
+     * Volta à posição inicial padrão
+     */
+    setStartPosition() {
+        this.setPosition(STANDARD_START_FEN);
+        this.render();
+    }
+    
+    /**
+     * Casas em que o en passant faz sentido: peão adversário que acabou de avançar duas casas
+     */
+    getEnPassantOptions() {
+        const options = [];
+        const pawnRow = this.turn === 'w' ? 3 : 4;
+        const targetRow = this.turn === 'w' ? 2 : 5;
+        const originRow = this.turn === 'w' ? 1 : 6;
+        const pawn = this.turn === 'w' ? 'p' : 'P';
+        
+        for (let col = 0; col < 8; col++) {
+            if (this.grid[pawnRow][col] === pawn &&
+                !this.grid[targetRow][col] && !this.grid[originRow][col]) {
+                options.push(this.rules.getSquareName(targetRow, col));
+            }
+        }
+        
+        return options;
+    }
+    
+    /**
+     * Cria o painel do editor ao lado do tabuleiro
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'setup-panel control-section';
+        panel.innerHTML = `
+            <h3>Editor de posição</h3>
+            <div class="setup-palette" data-color="white"></div>
+            <div class="setup-palette" data-color="black"></div>
+            <div class="setup-options">
+                <label>Vez de
+                    <select class="setup-turn">
+                        <option value="w">Brancas</option>
+                        <option value="b">Pretas</option>
+                    </select>
+                </label>
+                <label>En passant
+                    <select class="setup-en-passant"></select>
+                </label>
+            </div>
+            <div class="setup-castling">
+                <label><input type="checkbox" data-side="K"> O-O brancas</label>
+                <label><input type="checkbox" data-side="Q"> O-O-O brancas</label>
+                <label><input type="checkbox" data-side="k"> O-O pretas</label>
+                <label><input type="checkbox" data-side="q"> O-O-O pretas</label>
+            </div>
+            <div class="button-group">
+                <button class="btn control-btn" data-action="clear">Limpar</button>
+                <button class="btn control-btn" data-action="start">Posição inicial</button>
+                <button class="btn control-btn" data-action="flip">Virar</button>
+            </div>
+            <input type="text" class="setup-fen" spellcheck="false" aria-label="FEN">
+            <ul class="setup-errors"></ul>
+            <div class="button-group">
+                <button class="btn success" data-action="play">Jogar daqui</button>
+                <button class="btn primary" data-action="analyze">Analisar daqui</button>
+                <button class="btn control-btn" data-action="cancel">Cancelar</button>
+            </div>
+        `;
+        
+        // Paleta: peças brancas, peças pretas e borracha
+        panel.querySelectorAll('.setup-palette').forEach(palette => {
+            const white = palette.dataset.color === 'white';
+            
+            ['K', 'Q', 'R', 'B', 'N', 'P'].forEach(letter => {
+                const symbol = white ? letter : letter.toLowerCase();
+                const item = document.createElement('span');
+                item.className = `setup-piece chess-piece piece-${palette.dataset.color}`;
+                item.dataset.symbol = symbol;
+                item.textContent = this.rules.getPieceSymbol(this.symbolToPiece(symbol));
+                palette.appendChild(item);
+            });
+            
+            if (!white) {
+                const eraser = document.createElement('span');
+                eraser.className = 'setup-piece setup-eraser';
+                eraser.dataset.symbol = '';
+                eraser.title = 'Apagar';
+                eraser.textContent = '✖';
+                palette.appendChild(eraser);
+            }
+            
+            palette.addEventListener('pointerdown', this.onPointerDown);
+        });
+        
+        this.controls = {
+            turn: panel.querySelector('.setup-turn'),
+            enPassant: panel.querySelector('.setup-en-passant'),
+            castling: panel.querySelectorAll('.setup-castling input'),
+            fen: panel.querySelector('.setup-fen'),
+            errors: panel.querySelector('.setup-errors'),
+            play: panel.querySelector('[data-action="play"]'),
+            analyze: panel.querySelector('[data-action="analyze"]')
+        };
+        
+        this.controls.turn.addEventListener('change', () => {
+            this.turn = this.controls.turn.value;
+            this.render();
+        });
+        
+        this.controls.enPassant.addEventListener('change', () => {
+            this.enPassant = this.controls.enPassant.value;
+            this.render();
+        });
+        
+        this.controls.castling.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.castling[checkbox.dataset.side] = checkbox.checked;
+                this.render();
+            });
+        });
+        
+        // FEN colado no campo substitui a posição
+        this.controls.fen.addEventListener('change', () => {
+            this.setPosition(this.controls.fen.value);
+            this.render();
+        });
+        
+        panel.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this.handleAction(button.dataset.action));
+        });
+        
+        this.game.elements.board.insertAdjacentElement('afterend', panel);
+        this.panel = panel;
+    }
+    
+    /**
+     * Botões do painel
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'clear':
+                this.clear();
+                break;
+            case 'start':
+                this.setStartPosition();
+                break;
+            case 'flip':
+                this.game.gameState.flipped = !this.game.gameState.flipped;
+                this.game.createBoard();
+                this.render();
+                break;
+            case 'play':
+                this.game.playFromPosition(this.getFEN());
+                break;
+            case 'analyze':
+                this.game.analyzeFromPosition(this.getFEN());
+                break;
+            case 'cancel':
+                this.game.exitSetupMode();
+                break;
+        }
+    }
+    
+    /**
+     * Desenha a posição no tabuleiro e atualiza os controles, o FEN e a validação
+     */
+    render() {
+        // O en passant deixa de valer se a posição mudou
+        const enPassantOptions = this.getEnPassantOptions();
+        if (!enPassantOptions.includes(this.enPassant)) {
+            this.enPassant = '-';
+        }
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const square = this.game.getSquareElement(row, col);
+                const symbol = this.grid[row][col];
+                square.innerHTML = '';
+                
+                if (symbol) {
+                    square.appendChild(this.game.createPieceElement(this.symbolToPiece(symbol), row, col));
+                }
+            }
+        }
+        
+        if (!this.panel) return;
+        
+        const fen = this.getFEN();
+        this.validation = this.rules.validateFEN(fen);
+        
+        this.controls.turn.value = this.turn;
+        this.controls.castling.forEach(checkbox => {
+            checkbox.checked = this.castling[checkbox.dataset.side];
+        });
+        
+        this.controls.enPassant.innerHTML = '';
+        ['-', ...enPassantOptions].forEach(square => {
+            const option = document.createElement('option');
+            option.value = square;
+            option.textContent = square === '-' ? 'Nenhum' : square;
+            this.controls.enPassant.appendChild(option);
+        });
+        this.controls.enPassant.value = this.enPassant;
+        
+        this.controls.fen.value = fen;
+        this.controls.fen.classList.toggle('invalid', !this.validation.valid);
+        
+        this.controls.errors.innerHTML = '';
+        [...this.validation.errors, ...this.validation.warnings].forEach(issue => {
+            const item = document.createElement('li');
+            item.className = this.validation.errors.includes(issue) ? 'error' : 'warning';
+            item.textContent = issue.message;
+            this.controls.errors.appendChild(item);
+        });
+        
+        this.controls.play.disabled = !this.validation.valid;
+        this.controls.analyze.disabled = !this.validation.valid;
+        
+        this.panel.querySelectorAll('.setup-piece').forEach(item => {
+            item.classList.toggle('selected', item.dataset.symbol === this.selectedSymbol);
+        });
+    }
+    
+    /**
+     * Converte símbolo FEN em peça ({ type, color })
+     */
+    symbolToPiece(symbol) {
+        return {
+            type: this.rules.getPieceTypeFromSymbol(symbol.toUpperCase()),
+            color: symbol === symbol.toUpperCase() ? 'white' : 'black'
+        };
+    }
+    
+    /**
+     * Casa do tabuleiro sob o ponteiro (coordenadas lógicas, já considerando o tabuleiro virado)
+     */
+    getSquareAt(clientX, clientY) {
+        const element = document.elementFromPoint(clientX, clientY);
+        const square = element && element.closest('.chess-square');
+        if (!square || !this.game.elements.board.contains(square)) return null;
+        
+        const index = this.game.elements.squares.indexOf(square);
+        const row = Math.floor(index / 8);
+        const col = index % 8;
+        
+        return this.game.gameState.flipped ? { row: 7 - row, col: 7 - col } : { row, col };
+    }
+    
+    /**
+     * Começa a arrastar uma peça da paleta ou do tabuleiro
+     */
+    startDrag(e) {
+        const paletteItem = e.target.closest('.setup-piece');
+        let source = null;
+        let symbol = null;
+        
+        if (paletteItem) {
+            symbol = paletteItem.dataset.symbol;
+        } else {
+            source = this.getSquareAt(e.clientX, e.clientY);
+            if (!source) return;
+            symbol = this.grid[source.row][source.col];
+        }
+        
+        e.preventDefault();
+        this.drag = { symbol, source, startX: e.clientX, startY: e.clientY, ghost: null, moved: false };
+    }
+    
+    /**
+     * Move a peça arrastada (o fantasma só aparece depois de um pequeno deslocamento)
+     */
+    moveDrag(e) {
+        if (!this.drag) return;
+        
+        if (!this.drag.moved) {
+            if (Math.hypot(e.clientX - this.drag.startX, e.clientY - this.drag.startY) < 5) return;
+            if (!this.drag.symbol) return;
+            
+            this.drag.moved = true;
+            this.drag.ghost = this.game.createPieceElement(this.symbolToPiece(this.drag.symbol), -1, -1);
+            this.drag.ghost.classList.add('dragging', 'setup-ghost');
+            document.body.appendChild(this.drag.ghost);
+            
+            // A peça sai da casa de origem enquanto é arrastada
+            if (this.drag.source) {
+                this.game.getSquareElement(this.drag.source.row, this.drag.source.col).innerHTML = '';
+            }
+        }
+        
+        this.drag.ghost.style.left = `${e.clientX}px`;
+        this.drag.ghost.style.top = `${e.clientY}px`;
+    }
+    
+    /**
+     * Solta a peça: numa casa a coloca, fora do tabuleiro a retira.
+     * Sem arrasto, é um clique: seleciona a peça da paleta ou usa a selecionada na casa.
+     */
+    endDrag(e) {
+        const drag = this.drag;
+        if (!drag) return;
+        this.cancelDrag();
+        
+        const target = this.getSquareAt(e.clientX, e.clientY);
+        
+        if (!drag.moved) {
+            if (!drag.source) {
+                this.selectedSymbol = this.selectedSymbol === drag.symbol ? null : drag.symbol;
+            } else if (this.selectedSymbol !== null) {
+                // Clicar com a mesma peça selecionada retira a peça da casa
+                const { row, col } = drag.source;
+                this.grid[row][col] = this.grid[row][col] === this.selectedSymbol ? null : this.selectedSymbol || null;
+            }
+            this.render();
+            return;
+        }
+        
+        if (drag.source) {
+            this.grid[drag.source.row][drag.source.col] = null;
+        }
+        if (target) {
+            this.grid[target.row][target.col] = drag.symbol;
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Remove o fantasma do arrasto em andamento
+     */
+    cancelDrag() {
+        if (this.drag && this.drag.ghost) {
+            this.drag.ghost.remove();
+        }
+        this.drag = null;
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BoardEditor;
+}
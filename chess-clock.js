@@ -0,0 +1,348 @@
+/**
+ * RELÓGIO DE XADREZ
+ * Controles de tempo no formato TimeControl do PGN (tempos em segundos):
+ *   "300"            morte súbita, 5 minutos
+ *   "300+3"          incremento Fischer de 3s por lance
+ *   "300d3"          atraso americano (US delay): 3s por lance antes de descontar
+ *   "300b3"          Bronstein: devolve o tempo gasto no lance, até 3s
+ *   "40/5400:1800+30" 40 lances em 90 minutos, depois 30 minutos + 30s
+ *   "*60"            ampulheta: o tempo gasto por um lado passa para o outro
+ *   "300+3|180+3"    tempos diferentes (brancas|pretas)
+ * O último período com número de lances se repete ("40/7200" a cada 40 lances).
+ */
+
+class ChessClock {
+    constructor(spec = '300') {
+        this.control = null; // { white: períodos, black: períodos }
+        this.sides = null;
+        this.running = null; // Cor cujo relógio está correndo
+        this.turn = 'white'; // Lado a jogar (mesmo com o relógio parado)
+        this.lastUpdate = null;
+        
+        this.configure(spec);
+    }
+    
+    /**
+     * Interpreta uma string TimeControl; sem '|', os dois lados têm o mesmo controle
+     */
+    static parse(spec) {
+        const text = String(spec).replace(/\s+/g, '');
+        const parts = text.split('|');
+        
+        if (!text || parts.length > 2) {
+            return { success: false, error: `Controle de tempo inválido: ${spec}` };
+        }
+        
+        const control = {};
+        for (const [index, color] of ['white', 'black'].entries()) {
+            const periods = ChessClock.parsePeriods(parts[index] ?? parts[0]);
+            if (!periods) {
+                return { success: false, error: `Controle de tempo inválido: ${spec}` };
+            }
+            control[color] = periods;
+        }
+        
+        return { success: true, control };
+    }
+    
+    /**
+     * Lê os períodos de um lado ("40/5400:1800+30"), ou null se inválidos
+     */
+    static parsePeriods(text) {
+        const number = '(\\d+(?:\\.\\d+)?)';
+        const hourglass = new RegExp(`^\\*${number}$`);
+        const period = new RegExp(`^(?:(\\d+)/)?${number}(?:([+db])${number})?$`);
+        
+        const periods = [];
+        for (const part of text.split(':')) {
+            const sand = part.match(hourglass);
+            if (sand) {
+                periods.push({ moves: null, seconds: parseFloat(sand[1]), increment: 0, mode: 'hourglass' });
+                continue;
+            }
+            
+            const match = part.match(period);
+            if (!match) return null;
+            
+            const modes = { '+': 'fischer', d: 'delay', b: 'bronstein' };
+            periods.push({
+                moves: match[1] ? parseInt(match[1]) : null,
+                seconds: parseFloat(match[2]),
+                increment: match[4] ? parseFloat(match[4]) : 0,
+                mode: match[3] ? modes[match[3]] : 'fischer'
+            });
+        }
+        
+        // Só o último período pode não ter número de lances
+        const open = periods.findIndex(p => p.moves === null);
+        if (open !== -1 && open !== periods.length - 1) return null;
+        if (periods.some(p => p.seconds <= 0 || p.moves === 0)) return null;
+        
+        return periods;
+    }
+    
+    /**
+     * Escreve os períodos de um lado de volta no formato TimeControl
+     */
+    static formatPeriods(periods) {
+        const symbols = { fischer: '+', delay: 'd', bronstein: 'b' };
+        
+        return periods.map(p => {
+            if (p.mode === 'hourglass') return `*${p.seconds}`;
+            
+            const moves = p.moves ? `${p.moves}/` : '';
+            const increment = p.increment ? `${symbols[p.mode]}${p.increment}` : '';
+            return `${moves}${p.seconds}${increment}`;
+        }).join(':');
+    }
+    
+    /**
+     * Troca o controle de tempo e zera os relógios
+     */
+    configure(spec) {
+        const parsed = ChessClock.parse(spec);
+        if (!parsed.success) return parsed;
+        
+        this.control = parsed.control;
+        this.reset();
+        
+        return { success: true, control: this.toString() };
+    }
+    
+    /**
+     * Volta os dois relógios ao tempo inicial, parados
+     */
+    reset(turn = 'white') {
+        this.sides = {};
+        ['white', 'black'].forEach(color => {
+            this.sides[color] = {
+                remaining: this.control[color][0].seconds,
+                period: 0, // Índice do período atual
+                moves: 0, // Lances feitos no período
+                spent: 0, // Tempo gasto no lance atual
+                used: 0, // Tempo gasto na partida
+                delay: 0 // Atraso americano ainda disponível no lance
+            };
+        });
+        
+        this.running = null;
+        this.lastUpdate = null;
+        this.turn = turn;
+    }
+    
+    /**
+     * Põe o relógio do lado a jogar para correr
+     */
+    start(color = this.turn, now = Date.now()) {
+        this.running = color;
+        this.lastUpdate = now;
+        this.beginTurn(color);
+    }
+    
+    /**
+     * Para os relógios (descontando o tempo até agora)
+     */
+    stop(now = Date.now()) {
+        this.tick(now);
+        this.turn = this.running || this.turn;
+        this.running = null;
+    }
+    
+    /**
+     * Desconta o tempo decorrido do lado que está jogando
+     */
+    tick(now = Date.now()) {
+        if (!this.running) return;
+        
+        const elapsed = Math.max(0, (now - this.lastUpdate) / 1000);
+        this.lastUpdate = now;
+        
+        const side = this.sides[this.running];
+        const period = this.getPeriod(this.running);
+        let charged = elapsed;
+        
+        // Atraso americano: o relógio só anda depois do atraso
+        if (period.mode === 'delay') {
+            const delayed = Math.min(side.delay, elapsed);
+            side.delay -= delayed;
+            charged -= delayed;
+        }
+        
+        charged = Math.min(charged, side.remaining);
+        side.remaining -= charged;
+        side.spent += elapsed;
+        side.used += elapsed;
+        
+        // Ampulheta: o tempo que sai de um lado entra no outro
+        if (period.mode === 'hourglass') {
+            this.sides[this.opponent(this.running)].remaining += charged;
+        }
+    }
+    
+    /**
+     * O lado `color` completou um lance: aplica incremento/Bronstein,
+     * troca de período se for o caso e passa o relógio ao adversário.
+     * Retorna o tempo restante e o gasto no lance ({ remaining, spent }).
+     */
+    press(color, now = Date.now()) {
+        if (this.running === color) {
+            this.tick(now);
+        }
+        
+        const side = this.sides[color];
+        const periods = this.control[color];
+        const period = periods[side.period];
+        
+        if (side.remaining > 0) {
+            if (period.mode === 'fischer') {
+                side.remaining += period.increment;
+            } else if (period.mode === 'bronstein') {
+                side.remaining += Math.min(period.increment, side.spent);
+            }
+            
+            // Fim do período: soma o tempo do próximo (o último se repete)
+            side.moves++;
+            if (period.moves && side.moves >= period.moves) {
+                side.period = Math.min(side.period + 1, periods.length - 1);
+                side.moves = 0;
+                side.remaining += periods[side.period].seconds;
+            }
+        }
+        
+        const next = this.opponent(color);
+        if (this.running) {
+            this.running = next;
+            this.lastUpdate = now;
+        }
+        this.turn = next;
+        this.beginTurn(next);
+        
+        return { remaining: side.remaining, spent: side.spent };
+    }
+    
+    /**
+     * Passa a vez sem incremento (desfazer, navegação)
+     */
+    setTurn(color, now = Date.now()) {
+        if (this.running) {
+            this.tick(now);
+            this.running = color;
+        }
+        this.turn = color;
+        this.beginTurn(color);
+    }
+    
+    /**
+     * Prepara o lance do lado: zera o tempo gasto e recarrega o atraso
+     */
+    beginTurn(color) {
+        const side = this.sides[color];
+        const period = this.getPeriod(color);
+        
+        side.spent = 0;
+        side.delay = period.mode === 'delay' ? period.increment : 0;
+    }
+    
+    /**
+     * Período atual do lado
+     */
+    getPeriod(color) {
+        return this.control[color][this.sides[color].period];
+    }
+    
+    /**
+     * Tempo inicial do lado (primeiro período)
+     */
+    getInitialTime(color) {
+        return this.control[color][0].seconds;
+    }
+    
+    /**
+     * Tempo restante do lado em segundos
+     */
+    getTime(color) {
+        return this.sides[color].remaining;
+    }
+    
+    /**
+     * Ajusta os tempos restantes ({ white, black } em segundos), ex.: ao carregar partida
+     */
+    setTimes(times) {
+        ['white', 'black'].forEach(color => {
+            if (typeof times[color] === 'number') {
+                this.sides[color].remaining = Math.max(0, times[color]);
+            }
+        });
+    }
+    
+    /**
+     * Recalcula o período e os lances no período pelo número de lances de cada lado
+     * ({ white, black }), ex.: ao desfazer, refazer ou carregar partida. Não mexe nos tempos.
+     */
+    setMoveCounts(counts) {
+        ['white', 'black'].forEach(color => {
+            if (typeof counts[color] !== 'number') return;
+            
+            const periods = this.control[color];
+            const side = this.sides[color];
+            side.period = 0;
+            side.moves = counts[color];
+            
+            // O último período com número de lances se repete
+            while (periods[side.period].moves && side.moves >= periods[side.period].moves) {
+                side.moves -= periods[side.period].moves;
+                side.period = Math.min(side.period + 1, periods.length - 1);
+            }
+        });
+    }
+    
+    /**
+     * Cor que ficou sem tempo (ou null)
+     */
+    getFlagged() {
+        return ['white', 'black'].find(color => this.sides[color].remaining <= 0) || null;
+    }
+    
+    /**
+     * Tempo total gasto pelos dois lados
+     */
+    getElapsed() {
+        return this.sides.white.used + this.sides.black.used;
+    }
+    
+    /**
+     * Estado para exibição: tempo, atraso restante, período e lances até o controle
+     */
+    getState(color) {
+        const side = this.sides[color];
+        const period = this.getPeriod(color);
+        
+        return {
+            remaining: side.remaining,
+            delay: side.delay,
+            period: side.period,
+            movesToControl: period.moves ? period.moves - side.moves : null
+        };
+    }
+    
+    /**
+     * Cor adversária
+     */
+    opponent(color) {
+        return color === 'white' ? 'black' : 'white';
+    }
+    
+    /**
+     * Controle atual como string TimeControl
+     */
+    toString() {
+        const white = ChessClock.formatPeriods(this.control.white);
+        const black = ChessClock.formatPeriods(this.control.black);
+        return white === black ? white : `${white}|${black}`;
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChessClock;
+}
@@ -3,30 +3,53 @@
  * Implementa todas as regras do jogo: movimento, captura, xeque, roque, en passant, etc.
  */
 
+/**
+ * Chaves Zobrist de 64 bits (duas metades de 32 bits), geradas com semente fixa
+ * para que a mesma posição tenha sempre a mesma chave entre sessões
+ */
+const ZOBRIST_KEYS = (() => {
+    let state = 0x9E3779B9;
+    
+    // xorshift32
+    const next = () => {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return state | 0;
+    };
+    const key = () => [next(), next()];
+    
+    const pieces = {};
+    for (const color of ['white', 'black']) {
+        pieces[color] = {};
+        for (const type of ['pawn', 'knight', 'bishop', 'rook', 'queen', 'king']) {
+            pieces[color][type] = Array.from({ length: 64 }, key);
+        }
+    }
+    
+    return {
+        pieces,
+        castling: {
+            white: { kingSide: key(), queenSide: key() },
+            black: { kingSide: key(), queenSide: key() }
+        },
+        enPassant: Array.from({ length: 8 }, key),
+        blackToMove: key()
+    };
+})();
+
 class ChessRules {
     constructor() {
+        this.representation = 'array'; // array (matriz 8x8) ou 0x88
+        this.board0x88 = null;
         this.board = null;
-        this.gameState = {
-            turn: 'white',
-            castlingRights: {
-                white: { kingSide: true, queenSide: true },
-                black: { kingSide: true, queenSide: true }
-            },
-            enPassantTarget: null,
-            halfMoveClock: 0,
-            fullMoveNumber: 1,
-            check: false,
-            checkmate: false,
-            stalemate: false,
-            draw: false,
-            gameOver: false,
-            moveHistory: [],
-            capturedPieces: {
-                white: [],
-                black: []
-            },
-            repetitionCount: {}
-        };
+        this.variant = 'standard'; // standard, chess960
+        this.startPositionIndex = 518; // Posição 518 = RNBQKBNR
+        this.fixedStartPosition = null;
+        this.startFEN = null;
+        this.gameState = this.createInitialState();
+        this.moveTree = null; // Raiz da árvore de lances (posição inicial)
+        this.currentNode = null; // Nó da posição atual
         
         this.pieceTypes = {
             PAWN: 'pawn',
@@ -74,19 +97,209 @@ class ChessRules {
             pawnDoubleMoveEnabled: true,
             autoQueenPromotion: true,
             fiftyMoveRuleEnabled: true,
-            threefoldRepetition: true
+            threefoldRepetition: true,
+            // 'fide': tripla repetição e 50 lances só por reclamação;
+            // 'casual': encerram a partida automaticamente
+            drawRules: 'fide'
         };
         
+        // Eventos: move, check, gameOver (com reason) e undo
+        const EventEmitter = typeof ChessEventEmitter !== 'undefined'
+            ? ChessEventEmitter
+            : require('./event-emitter.js');
+        this.events = new EventEmitter(['move', 'check', 'gameOver', 'undo']);
+        
         this.init();
     }
     
+    /**
+     * Inscreve um ouvinte de evento. Retorna a função que cancela a inscrição.
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+    
+    /**
+     * Cancela a inscrição de um ouvinte
+     */
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+    
+    /**
+     * Dispara os eventos do lance recém-executado (redo: lance refeito pela árvore)
+     */
+    emitMoveEvents(moveRecord, redo = false) {
+        const { check, checkmate, stalemate, draw, gameOver } = this.gameState;
+        
+        this.events.emit('move', {
+            move: moveRecord,
+            san: moveRecord.san,
+            color: moveRecord.piece.color,
+            redo,
+            check,
+            checkmate,
+            stalemate,
+            draw
+        });
+        
+        if (check && !checkmate) {
+            this.events.emit('check', { color: this.gameState.turn, move: moveRecord });
+        }
+        
+        // Só o lance que encerrou a partida dispara o fim de jogo
+        if (gameOver && !moveRecord.undo.state.gameOver) {
+            this.emitGameOver();
+        }
+    }
+    
+    /**
+     * Dispara o fim de jogo com o resultado e o motivo
+     */
+    emitGameOver() {
+        this.events.emit('gameOver', this.getGameResult());
+    }
+    
+    /**
+     * Tabuleiro 8x8 (board[row][col]). Com a representação 0x88 é uma visão
+     * cujas casas leem e escrevem no tabuleiro 0x88.
+     */
+    get board() {
+        return this.board0x88 ? this.board0x88.view : this.boardArray;
+    }
+    
+    set board(board) {
+        if (this.board0x88) {
+            this.board0x88.load(board);
+        } else {
+            this.boardArray = board;
+        }
+    }
+    
+    /**
+     * Troca a representação interna ('array' ou '0x88') mantendo a posição
+     */
+    setRepresentation(representation) {
+        if (representation !== 'array' && representation !== '0x88') {
+            return { success: false, error: `Representação desconhecida: ${representation}` };
+        }
+        
+        const board = this.board ? this.board.map(row => row.slice()) : null;
+        const Board = typeof Board0x88 !== 'undefined' ? Board0x88 : require('./board-0x88.js');
+        
+        this.representation = representation;
+        this.board0x88 = representation === '0x88' ? new Board(this.pieceTypes) : null;
+        this.board = board;
+        
+        return { success: true };
+    }
+    
     /**
      * Inicializa o tabuleiro
      */
     init() {
+        this.gameState = this.createInitialState();
         this.createInitialBoard();
+        this.computeZobristKey();
+        this.gameState.repetitionCount[this.getBoardHash()] = 1;
+        this.startFEN = this.exportFEN();
+        this.resetMoveTree();
         this.calculateAllLegalMoves();
-        console.log('ChessRules inicializado com tabuleiro padrão');
+    }
+    
+    /**
+     * Cria o estado inicial da partida
+     */
+    createInitialState() {
+        return {
+            turn: 'white',
+            castlingRights: {
+                white: { kingSide: true, queenSide: true },
+                black: { kingSide: true, queenSide: true }
+            },
+            // Coluna de origem da torre de cada roque (varia no Chess960)
+            castlingRooks: {
+                white: { kingSide: 7, queenSide: 0 },
+                black: { kingSide: 7, queenSide: 0 }
+            },
+            enPassantTarget: null,
+            halfMoveClock: 0,
+            fullMoveNumber: 1,
+            check: false,
+            checkmate: false,
+            stalemate: false,
+            draw: false,
+            drawReason: null, // stalemate, insufficientMaterial, fivefoldRepetition, seventyFiveMoves...
+            winner: null, // Vencedor por tempo ou desistência (o mate é deduzido do turno)
+            winReason: null, // timeout, resignation
+            gameOver: false,
+            moveHistory: [],
+            capturedPieces: {
+                white: [],
+                black: []
+            },
+            repetitionCount: {},
+            // Chave Zobrist incremental (sem en passant, somado em getZobristKey)
+            zobristLo: 0,
+            zobristHi: 0
+        };
+    }
+    
+    /**
+     * Define a variante (standard ou chess960) e a posição inicial.
+     * Sem índice, o Chess960 sorteia uma das 960 posições a cada partida.
+     */
+    setVariant(variant, startPosition = null) {
+        if (variant !== 'standard' && variant !== 'chess960') {
+            return { success: false, error: `Variante desconhecida: ${variant}` };
+        }
+        
+        if (startPosition !== null && 
+            (!Number.isInteger(startPosition) || startPosition < 0 || startPosition > 959)) {
+            return { success: false, error: 'Posição Chess960 deve estar entre 0 e 959' };
+        }
+        
+        this.variant = variant;
+        this.fixedStartPosition = variant === 'chess960' ? startPosition : null;
+        return { success: true };
+    }
+    
+    /**
+     * Gera a fileira de peças de uma posição Chess960 (numeração Scharnagl, 0-959)
+     */
+    getChess960BackRank(index) {
+        const rank = Array(8).fill(null);
+        const knightPlacements = [
+            [0, 1], [0, 2], [0, 3], [0, 4], [1, 2],
+            [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]
+        ];
+        
+        let n = index;
+        
+        // Bispo de casa clara (colunas b, d, f, h) e de casa escura (a, c, e, g)
+        rank[(n % 4) * 2 + 1] = this.pieceTypes.BISHOP;
+        n = Math.floor(n / 4);
+        rank[(n % 4) * 2] = this.pieceTypes.BISHOP;
+        n = Math.floor(n / 4);
+        
+        // Dama na n-ésima casa livre
+        const emptyForQueen = rank.map((type, col) => type ? null : col).filter(col => col !== null);
+        rank[emptyForQueen[n % 6]] = this.pieceTypes.QUEEN;
+        n = Math.floor(n / 6);
+        
+        // Cavalos conforme a tabela de combinações
+        const emptyForKnights = rank.map((type, col) => type ? null : col).filter(col => col !== null);
+        for (const slot of knightPlacements[n]) {
+            rank[emptyForKnights[slot]] = this.pieceTypes.KNIGHT;
+        }
+        
+        // Torre, rei, torre nas três casas restantes
+        const remaining = rank.map((type, col) => type ? null : col).filter(col => col !== null);
+        rank[remaining[0]] = this.pieceTypes.ROOK;
+        rank[remaining[1]] = this.pieceTypes.KING;
+        rank[remaining[2]] = this.pieceTypes.ROOK;
+        
+        return rank;
     }
     
     /**
@@ -95,34 +308,29 @@ class ChessRules {
     createInitialBoard() {
         this.board = Array(8).fill().map(() => Array(8).fill(null));
         
-        // Posiciona as peças brancas
-        this.board[0][0] = { type: this.pieceTypes.ROOK, color: 'white', hasMoved: false };
-        this.board[0][1] = { type: this.pieceTypes.KNIGHT, color: 'white', hasMoved: false };
-        this.board[0][2] = { type: this.pieceTypes.BISHOP, color: 'white', hasMoved: false };
-        this.board[0][3] = { type: this.pieceTypes.QUEEN, color: 'white', hasMoved: false };
-        this.board[0][4] = { type: this.pieceTypes.KING, color: 'white', hasMoved: false };
-        this.board[0][5] = { type: this.pieceTypes.BISHOP, color: 'white', hasMoved: false };
-        this.board[0][6] = { type: this.pieceTypes.KNIGHT, color: 'white', hasMoved: false };
-        this.board[0][7] = { type: this.pieceTypes.ROOK, color: 'white', hasMoved: false };
-        
-        // Posiciona os peões brancos
-        for (let col = 0; col < 8; col++) {
-            this.board[1][col] = { type: this.pieceTypes.PAWN, color: 'white', hasMoved: false };
+        if (this.variant === 'chess960') {
+            this.startPositionIndex = this.fixedStartPosition !== null ?
+                this.fixedStartPosition : Math.floor(Math.random() * 960);
+        } else {
+            this.startPositionIndex = 518;
         }
         
-        // Posiciona as peças pretas
-        this.board[7][0] = { type: this.pieceTypes.ROOK, color: 'black', hasMoved: false };
-        this.board[7][1] = { type: this.pieceTypes.KNIGHT, color: 'black', hasMoved: false };
-        this.board[7][2] = { type: this.pieceTypes.BISHOP, color: 'black', hasMoved: false };
-        this.board[7][3] = { type: this.pieceTypes.QUEEN, color: 'black', hasMoved: false };
-        this.board[7][4] = { type: this.pieceTypes.KING, color: 'black', hasMoved: false };
-        this.board[7][5] = { type: this.pieceTypes.BISHOP, color: 'black', hasMoved: false };
-        this.board[7][6] = { type: this.pieceTypes.KNIGHT, color: 'black', hasMoved: false };
-        this.board[7][7] = { type: this.pieceTypes.ROOK, color: 'black', hasMoved: false };
+        const backRank = this.getChess960BackRank(this.startPositionIndex);
         
-        // Posiciona os peões pretos
+        // Linha 0 = oitava fileira (pretas), linha 7 = primeira fileira (brancas)
         for (let col = 0; col < 8; col++) {
-            this.board[6][col] = { type: this.pieceTypes.PAWN, color: 'black', hasMoved: false };
+            this.board[0][col] = { type: backRank[col], color: 'black', hasMoved: false };
+            this.board[1][col] = { type: this.pieceTypes.PAWN, color: 'black', hasMoved: false };
+            this.board[6][col] = { type: this.pieceTypes.PAWN, color: 'white', hasMoved: false };
+            this.board[7][col] = { type: backRank[col], color: 'white', hasMoved: false };
+        }
+        
+        // Torres de roque ficam à esquerda e à direita do rei
+        const queenSideRook = backRank.indexOf(this.pieceTypes.ROOK);
+        const kingSideRook = backRank.lastIndexOf(this.pieceTypes.ROOK);
+        
+        for (const color of ['white', 'black']) {
+            this.gameState.castlingRooks[color] = { kingSide: kingSideRook, queenSide: queenSideRook };
         }
     }
     
@@ -141,6 +349,24 @@ class ChessRules {
         return row >= 0 && row < 8 && col >= 0 && col < 8;
     }
     
+    /**
+     * Peça numa casa (acesso direto, sem passar pela visão 8x8 do tabuleiro 0x88)
+     */
+    getPieceAt(row, col) {
+        return this.board0x88 ? this.board0x88.squares[row * 16 + col] : this.boardArray[row][col];
+    }
+    
+    /**
+     * Coloca (ou retira, com null) uma peça numa casa
+     */
+    setPieceAt(row, col, piece) {
+        if (this.board0x88) {
+            this.board0x88.setSquare(row * 16 + col, piece);
+        } else {
+            this.boardArray[row][col] = piece;
+        }
+    }
+    
     /**
      * Verifica se uma casa está vazia
      */
@@ -178,7 +404,7 @@ class ChessRules {
         
         // Filtra movimentos que deixariam o próprio rei em xeque
         for (const move of allPossibleMoves) {
-            if (this.isMoveLegal(move.from, move.to, color)) {
+            if (this.isMoveLegal(move.from, move.to, color, move.type)) {
                 legalMoves.push(move);
             }
         }
@@ -190,6 +416,8 @@ class ChessRules {
      * Obtém todos os movimentos possíveis (sem verificar xeque próprio)
      */
     getAllPossibleMoves(color) {
+        if (this.board0x88) return this.board0x88.generateMoves(color, this);
+        
         const moves = [];
         
         for (let row = 0; row < 8; row++) {
@@ -248,7 +476,7 @@ class ChessRules {
     getPawnMoves(row, col, color) {
         const moves = [];
         const direction = color === 'white' ? -1 : 1;
-        const startRow = color === 'white' ? 1 : 6;
+        const startRow = color === 'white' ? 6 : 1;
         
         // Movimento para frente
         if (this.isEmptySquare(row + direction, col)) {
@@ -345,8 +573,8 @@ class ChessRules {
             }
         }
         
-        // Roque
-        if (this.settings.castlingEnabled && !piece.hasMoved) {
+        // Roque (os direitos já registram se rei ou torre se moveram)
+        if (this.settings.castlingEnabled) {
             moves.push(...this.getCastlingMoves(row, col, color));
         }
         
@@ -354,42 +582,36 @@ class ChessRules {
     }
     
     /**
-     * Obtém movimentos de roque
+     * Obtém movimentos de roque.
+     * No xadrez padrão o destino é a casa final do rei (g1/c1); no Chess960
+     * o rei "captura" a própria torre, como no UCI_Chess960, para evitar ambiguidade.
      */
     getCastlingMoves(row, col, color) {
         const moves = [];
         const castlingRights = this.gameState.castlingRights[color];
+        const homeRow = color === 'white' ? 7 : 0;
         
-        // Roque curto (lado do rei)
-        if (castlingRights.kingSide) {
-            const pathClear = this.isCastlingPathClear(row, col, 'kingSide', color);
-            const notInCheck = !this.isKingInCheck(color);
-            const pathSafe = this.isCastlingPathSafe(row, col, 'kingSide', color);
-            
-            if (pathClear && notInCheck && pathSafe) {
-                moves.push({ 
-                    row, 
-                    col: col + 2, 
-                    castling: 'kingSide',
-                    rookFrom: { row, col: 7 },
-                    rookTo: { row, col: 5 }
-                });
-            }
-        }
+        if (row !== homeRow) return moves;
         
-        // Roque longo (lado da rainha)
-        if (castlingRights.queenSide) {
-            const pathClear = this.isCastlingPathClear(row, col, 'queenSide', color);
+        for (const side of ['kingSide', 'queenSide']) {
+            if (!castlingRights[side]) continue;
+            
+            const rookCol = this.gameState.castlingRooks[color][side];
+            const rook = this.getPieceAt(row, rookCol);
+            if (!rook || rook.type !== this.pieceTypes.ROOK || rook.color !== color) continue;
+            
+            const pathClear = this.isCastlingPathClear(row, col, side, color);
             const notInCheck = !this.isKingInCheck(color);
-            const pathSafe = this.isCastlingPathSafe(row, col, 'queenSide', color);
+            const pathSafe = this.isCastlingPathSafe(row, col, side, color);
             
             if (pathClear && notInCheck && pathSafe) {
+                const target = this.getCastlingTargets(side);
                 moves.push({ 
                     row, 
-                    col: col - 2, 
-                    castling: 'queenSide',
-                    rookFrom: { row, col: 0 },
-                    rookTo: { row, col: 3 }
+                    col: this.variant === 'chess960' ? rookCol : target.kingCol, 
+                    castling: side,
+                    rookFrom: { row, col: rookCol },
+                    rookTo: { row, col: target.rookCol }
                 });
             }
         }
@@ -398,53 +620,69 @@ class ChessRules {
     }
     
     /**
-     * Verifica se o caminho do roque está livre
+     * Colunas finais do rei e da torre após o roque (iguais em todas as variantes)
+     */
+    getCastlingTargets(side) {
+        return side === 'kingSide' ? { kingCol: 6, rookCol: 5 } : { kingCol: 2, rookCol: 3 };
+    }
+    
+    /**
+     * Verifica se o caminho do roque está livre: todas as casas entre o rei e
+     * seu destino e entre a torre e seu destino, exceto as do próprio rei e torre
      */
     isCastlingPathClear(row, col, side, color) {
-        if (side === 'kingSide') {
-            // Verifica casas f1 e g1 (branco) ou f8 e g8 (preto)
-            return this.isEmptySquare(row, col + 1) && 
-                   this.isEmptySquare(row, col + 2);
-        } else {
-            // Verifica casas d1, c1 e b1 (branco) ou d8, c8 e b8 (preto)
-            return this.isEmptySquare(row, col - 1) && 
-                   this.isEmptySquare(row, col - 2) && 
-                   this.isEmptySquare(row, col - 3);
+        const rookCol = this.gameState.castlingRooks[color][side];
+        const target = this.getCastlingTargets(side);
+        const minCol = Math.min(col, rookCol, target.kingCol, target.rookCol);
+        const maxCol = Math.max(col, rookCol, target.kingCol, target.rookCol);
+        
+        for (let c = minCol; c <= maxCol; c++) {
+            if (c !== col && c !== rookCol && !this.isEmptySquare(row, c)) {
+                return false;
+            }
         }
+        
+        return true;
     }
     
     /**
      * Verifica se o caminho do roque está seguro (não sob ataque)
      */
     isCastlingPathSafe(row, col, side, color) {
-        if (side === 'kingSide') {
-            // Verifica se as casas que o rei passa não estão sob ataque
-            return !this.isSquareAttacked(row, col + 1, color) &&
-                   !this.isSquareAttacked(row, col + 2, color);
-        } else {
-            // Verifica se as casas que o rei passa não estão sob ataque
-            return !this.isSquareAttacked(row, col - 1, color) &&
-                   !this.isSquareAttacked(row, col - 2, color);
+        const rookCol = this.gameState.castlingRooks[color][side];
+        const kingCol = this.getCastlingTargets(side).kingCol;
+        const step = kingCol >= col ? 1 : -1;
+        
+        // Retira rei e torre para que não bloqueiem ataques ao longo da fileira
+        const king = this.getPieceAt(row, col);
+        const rook = this.getPieceAt(row, rookCol);
+        this.setPieceAt(row, col, null);
+        this.setPieceAt(row, rookCol, null);
+        
+        let safe = true;
+        for (let c = col; ; c += step) {
+            if (this.isSquareAttacked(row, c, color)) {
+                safe = false;
+                break;
+            }
+            if (c === kingCol) break;
         }
+        
+        this.setPieceAt(row, rookCol, rook);
+        this.setPieceAt(row, col, king);
+        
+        return safe;
     }
     
     /**
-     * Verifica se um movimento é legal (não deixa o rei em xeque)
+     * Verifica se um movimento é legal (não deixa o rei em xeque).
+     * moveType, quando já conhecido, evita recalculá-lo.
      */
-    isMoveLegal(from, to, color) {
-        // Faz uma cópia do tabuleiro para simulação
-        const originalBoard = this.cloneBoard();
-        const originalState = JSON.parse(JSON.stringify(this.gameState));
-        
-        // Executa o movimento na cópia
-        this.makeMoveOnBoard(from, to, true);
-        
-        // Verifica se o rei está em xeque após o movimento
+    isMoveLegal(from, to, color, moveType = null) {
+        // Executa o movimento no próprio tabuleiro e desfaz em seguida
+        const undo = this.makeMoveInPlace({ from, to, type: moveType });
         const kingInCheck = this.isKingInCheck(color);
-        
-        // Restaura o estado original
-        this.board = originalBoard;
-        this.gameState = originalState;
+        this.unmakeMove(undo);
         
         return !kingInCheck;
     }
@@ -463,6 +701,8 @@ class ChessRules {
      * Encontra a posição do rei
      */
     findKingPosition(color) {
+        if (this.board0x88) return this.board0x88.findKing(color);
+        
         for (let row = 0; row < 8; row++) {
             for (let col = 0; col < 8; col++) {
                 const piece = this.board[row][col];
@@ -478,6 +718,8 @@ class ChessRules {
      * Verifica se uma casa está sob ataque
      */
     isSquareAttacked(row, col, defenderColor) {
+        if (this.board0x88) return this.board0x88.isSquareAttacked(row, col, defenderColor);
+        
         const attackerColor = defenderColor === 'white' ? 'black' : 'white';
         
         // Verifica ataques de peões
@@ -573,7 +815,7 @@ class ChessRules {
             }
             
             // En passant
-            if (this.gameState.enPassantTarget && 
+            if (this.gameState.enPassantTarget && fromCol !== toCol &&
                 toRow === this.gameState.enPassantTarget.row && 
                 toCol === this.gameState.enPassantTarget.col) {
                 return 'enPassant';
@@ -591,7 +833,7 @@ class ChessRules {
         }
         
         // Roque
-        if (piece.type === this.pieceTypes.KING && Math.abs(toCol - fromCol) === 2) {
+        if (this.isCastlingMove(piece, fromRow, fromCol, toRow, toCol)) {
             return 'castling';
         }
         
@@ -604,9 +846,24 @@ class ChessRules {
     }
     
     /**
-     * Executa um movimento
+     * Identifica um roque: rei andando duas colunas (padrão) ou rei
+     * indo para a casa da própria torre (Chess960)
+     */
+    isCastlingMove(piece, fromRow, fromCol, toRow, toCol) {
+        if (piece.type !== this.pieceTypes.KING || fromRow !== toRow) return false;
+        
+        if (this.variant === 'chess960') {
+            const target = this.board[toRow][toCol];
+            return !!target && target.color === piece.color && target.type === this.pieceTypes.ROOK;
+        }
+        
+        return Math.abs(toCol - fromCol) === 2;
+    }
+    
+    /**
+     * Executa um movimento (options.redo: lance refeito pela árvore, não é um lance novo)
      */
-    makeMove(from, to, promotionPiece = this.pieceTypes.QUEEN) {
+    makeMove(from, to, promotionPiece = this.pieceTypes.QUEEN, options = {}) {
         if (!this.isInBoard(from.row, from.col) || !this.isInBoard(to.row, to.col)) {
             return { success: false, error: 'Posição inválida' };
         }
@@ -622,34 +879,41 @@ class ChessRules {
         
         // Verifica se o movimento é legal
         const legalMoves = this.calculateAllLegalMoves();
-        const isLegal = legalMoves.some(move => 
+        const legalMove = legalMoves.find(move => 
             move.from.row === from.row && move.from.col === from.col &&
             move.to.row === to.row && move.to.col === to.col
         );
         
-        if (!isLegal) {
+        if (!legalMove) {
             return { success: false, error: 'Movimento ilegal' };
         }
         
         // Cria registro do movimento
+        const moveType = this.getMoveType(piece, from.row, from.col, to.row, to.col);
+        promotionPiece = this.normalizePromotionPiece(promotionPiece);
         const moveRecord = {
             from: { ...from },
             to: { ...to },
             piece: { ...piece },
-            capturedPiece: this.board[to.row][to.col],
-            moveType: this.getMoveType(piece, from.row, from.col, to.row, to.col),
-            beforeState: JSON.parse(JSON.stringify(this.gameState)),
+            capturedPiece: moveType === 'castling' ? null : this.board[to.row][to.col],
+            moveType,
+            promotion: moveType === 'promotion' ? promotionPiece : null,
+            san: this.getSAN(legalMove, promotionPiece, legalMoves),
+            undo: null,
             timestamp: Date.now()
         };
         
-        // Executa o movimento
-        this.makeMoveOnBoard(from, to, false, promotionPiece);
+        // Executa o movimento guardando o registro compacto para desfazer
+        moveRecord.undo = this.makeMoveInPlace({ ...legalMove, type: moveType }, promotionPiece, false);
         
         // Atualiza estado do jogo
         this.updateGameState(moveRecord);
         
-        // Adiciona ao histórico
+        // Adiciona ao histórico e à árvore de lances
         this.gameState.moveHistory.push(moveRecord);
+        this.addMoveToTree(moveRecord);
+        
+        this.emitMoveEvents(moveRecord, !!options.redo);
         
         return { 
             success: true, 
@@ -664,13 +928,33 @@ class ChessRules {
     /**
      * Executa movimento no tabuleiro
      */
-    makeMoveOnBoard(from, to, isSimulation = false, promotionPiece = this.pieceTypes.QUEEN) {
-        const piece = this.board[from.row][from.col];
-        const moveType = this.getMoveType(piece, from.row, from.col, to.row, to.col);
+    makeMoveOnBoard(from, to, isSimulation = false, promotionPiece = this.pieceTypes.QUEEN, moveType = null) {
+        const piece = this.getPieceAt(from.row, from.col);
+        moveType = moveType || this.getMoveType(piece, from.row, from.col, to.row, to.col);
+        
+        // Roque move rei e torre juntos (no Chess960 as casas podem se sobrepor)
+        if (moveType === 'castling') {
+            this.makeCastlingOnBoard(from, to, piece, isSimulation);
+            return;
+        }
+        
+        const capturedPiece = this.getPieceAt(to.row, to.col);
+        
+        // Retira da chave Zobrist a peça na origem e a capturada
+        this.toggleZobristPiece(piece, from.row, from.col);
+        if (capturedPiece) {
+            this.toggleZobristPiece(capturedPiece, to.row, to.col);
+        }
+        
+        // Registra peça capturada
+        if (!isSimulation && capturedPiece) {
+            this.gameState.capturedPieces[piece.color === 'white' ? 'white' : 'black']
+                .push(capturedPiece);
+        }
         
         // Move a peça
-        this.board[to.row][to.col] = piece;
-        this.board[from.row][from.col] = null;
+        this.setPieceAt(to.row, to.col, piece);
+        this.setPieceAt(from.row, from.col, null);
         
         // Marca que a peça se moveu
         if (!isSimulation) {
@@ -683,53 +967,88 @@ class ChessRules {
                 // Remove o peão capturado en passant
                 const capturedPawnRow = from.row;
                 const capturedPawnCol = to.col;
+                const capturedPawn = this.getPieceAt(capturedPawnRow, capturedPawnCol);
                 if (!isSimulation) {
                     this.gameState.capturedPieces[piece.color === 'white' ? 'white' : 'black']
-                        .push(this.board[capturedPawnRow][capturedPawnCol]);
-                }
-                this.board[capturedPawnRow][capturedPawnCol] = null;
-                break;
-                
-            case 'castling':
-                // Move a torre
-                const rookFromCol = to.col > from.col ? 7 : 0;
-                const rookToCol = to.col > from.col ? 5 : 3;
-                const rook = this.board[from.row][rookFromCol];
-                this.board[from.row][rookToCol] = rook;
-                this.board[from.row][rookFromCol] = null;
-                if (rook && !isSimulation) {
-                    rook.hasMoved = true;
+                        .push(capturedPawn);
                 }
+                this.toggleZobristPiece(capturedPawn, capturedPawnRow, capturedPawnCol);
+                this.setPieceAt(capturedPawnRow, capturedPawnCol, null);
                 break;
                 
             case 'promotion':
-                // Promove o peão
-                if (!isSimulation) {
+                // Promove o peão (na simulação usa uma cópia para não alterar a peça real)
+                if (isSimulation) {
+                    this.setPieceAt(to.row, to.col, { ...piece, type: promotionPiece });
+                } else {
                     piece.type = promotionPiece;
                 }
                 break;
-                
-            case 'capture':
-                // Registra peça capturada
-                if (!isSimulation && this.board[to.row][to.col]) {
-                    this.gameState.capturedPieces[piece.color === 'white' ? 'white' : 'black']
-                        .push(this.board[to.row][to.col]);
-                }
-                break;
+        }
+        
+        // Coloca na chave Zobrist a peça (talvez promovida) no destino
+        this.toggleZobristPiece(this.getPieceAt(to.row, to.col), to.row, to.col);
+    }
+    
+    /**
+     * Executa o roque no tabuleiro
+     */
+    makeCastlingOnBoard(from, to, king, isSimulation = false) {
+        const side = to.col > from.col ? 'kingSide' : 'queenSide';
+        const rookFromCol = this.gameState.castlingRooks[king.color][side];
+        const target = this.getCastlingTargets(side);
+        const rook = this.getPieceAt(from.row, rookFromCol);
+        
+        this.toggleZobristPiece(king, from.row, from.col);
+        this.toggleZobristPiece(rook, from.row, rookFromCol);
+        this.toggleZobristPiece(king, from.row, target.kingCol);
+        this.toggleZobristPiece(rook, from.row, target.rookCol);
+        
+        // Retira as duas peças antes de recolocá-las
+        this.setPieceAt(from.row, from.col, null);
+        this.setPieceAt(from.row, rookFromCol, null);
+        this.setPieceAt(from.row, target.kingCol, king);
+        this.setPieceAt(from.row, target.rookCol, rook);
+        
+        if (!isSimulation) {
+            king.hasMoved = true;
+            if (rook) rook.hasMoved = true;
         }
     }
     
     /**
-     * Atualiza estado do jogo após movimento
+     * Atualiza estado do jogo após movimento (os campos da posição já foram
+     * atualizados por makeMoveInPlace)
      */
     updateGameState(moveRecord) {
-        const { piece, to, moveType } = moveRecord;
+        const { piece } = moveRecord;
+        
+        // Verifica xeque
+        const opponentColor = piece.color === 'white' ? 'black' : 'white';
+        this.gameState.check = this.isKingInCheck(opponentColor);
+        
+        // Verifica fim de jogo
+        this.checkGameOver();
+        
+        // Verifica repetição de posição
+        this.checkRepetition();
+    }
+    
+    /**
+     * Atualiza os campos da posição (os mesmos do FEN) após um movimento
+     */
+    updatePositionState(moveRecord) {
+        const { piece, from, to, moveType, capturedPiece } = moveRecord;
+        
+        // Retira da chave os direitos de roque atuais (recolocados no fim)
+        this.toggleZobristKey(this.getCastlingZobrist());
         
         // Atualiza turno
         this.gameState.turn = this.gameState.turn === 'white' ? 'black' : 'white';
+        this.toggleZobristKey(ZOBRIST_KEYS.blackToMove);
         
         // Atualiza relógio de meio movimento (para regra dos 50 movimentos)
-        if (moveType === 'capture' || piece.type === this.pieceTypes.PAWN) {
+        if (capturedPiece || moveType === 'enPassant' || piece.type === this.pieceTypes.PAWN) {
             this.gameState.halfMoveClock = 0;
         } else {
             this.gameState.halfMoveClock++;
@@ -740,11 +1059,10 @@ class ChessRules {
             this.gameState.fullMoveNumber++;
         }
         
-        // Atualiza alvo en passant
+        // Atualiza alvo en passant (casa pulada pelo peão)
         if (moveType === 'pawnDouble') {
-            const direction = piece.color === 'white' ? -1 : 1;
             this.gameState.enPassantTarget = {
-                row: to.row + direction,
+                row: (from.row + to.row) / 2,
                 col: to.col
             };
         } else {
@@ -752,17 +1070,14 @@ class ChessRules {
         }
         
         // Atualiza direitos de roque
-        this.updateCastlingRights(piece, moveRecord.from);
-        
-        // Verifica xeque
-        const opponentColor = piece.color === 'white' ? 'black' : 'white';
-        this.gameState.check = this.isKingInCheck(opponentColor);
+        this.updateCastlingRights(piece, from);
         
-        // Verifica fim de jogo
-        this.checkGameOver();
+        // Torre capturada na casa de origem também perde o roque
+        if (capturedPiece && capturedPiece.type === this.pieceTypes.ROOK) {
+            this.updateCastlingRights(capturedPiece, to);
+        }
         
-        // Verifica repetição de posição
-        this.checkRepetition();
+        this.toggleZobristKey(this.getCastlingZobrist());
     }
     
     /**
@@ -774,10 +1089,11 @@ class ChessRules {
         if (piece.type === this.pieceTypes.KING) {
             this.gameState.castlingRights[color].kingSide = false;
             this.gameState.castlingRights[color].queenSide = false;
-        } else if (piece.type === this.pieceTypes.ROOK) {
-            if (from.col === 0) { // Torre da rainha
+        } else if (piece.type === this.pieceTypes.ROOK && from.row === (color === 'white' ? 7 : 0)) {
+            const rooks = this.gameState.castlingRooks[color];
+            if (from.col === rooks.queenSide) { // Torre da dama
                 this.gameState.castlingRights[color].queenSide = false;
-            } else if (from.col === 7) { // Torre do rei
+            } else if (from.col === rooks.kingSide) { // Torre do rei
                 this.gameState.castlingRights[color].kingSide = false;
             }
         }
@@ -800,114 +1116,545 @@ class ChessRules {
         // Afogamento (stalemate)
         if (!this.gameState.check && legalMoves.length === 0) {
             this.gameState.stalemate = true;
-            this.gameState.gameOver = true;
-            this.gameState.draw = true;
+            this.declareDraw('stalemate');
             return;
         }
         
-        // Regra dos 50 movimentos
-        if (this.settings.fiftyMoveRuleEnabled && this.gameState.halfMoveClock >= 100) {
-            this.gameState.draw = true;
-            this.gameState.gameOver = true;
+        // Regra dos 75 movimentos (automática pela FIDE)
+        if (this.gameState.halfMoveClock >= 150) {
+            this.declareDraw('seventyFiveMoves');
+            return;
+        }
+        
+        // Regra dos 50 movimentos (automática apenas no modo casual)
+        if (this.settings.drawRules === 'casual' &&
+            this.settings.fiftyMoveRuleEnabled && this.gameState.halfMoveClock >= 100) {
+            this.declareDraw('fiftyMoves');
             return;
         }
         
         // Material insuficiente
         if (this.hasInsufficientMaterial()) {
-            this.gameState.draw = true;
-            this.gameState.gameOver = true;
+            this.declareDraw('insufficientMaterial');
             return;
         }
     }
     
+    /**
+     * Encerra a partida empatada pelo motivo indicado
+     */
+    declareDraw(reason) {
+        this.gameState.draw = true;
+        this.gameState.gameOver = true;
+        this.gameState.drawReason = reason;
+    }
+    
+    /**
+     * Encerra a partida com vitória fora do tabuleiro (tempo ou desistência)
+     */
+    declareWin(winner, reason) {
+        this.gameState.winner = winner;
+        this.gameState.winReason = reason;
+        this.gameState.gameOver = true;
+    }
+    
     /**
      * Verifica repetição de posição
      */
     checkRepetition() {
-        if (!this.settings.threefoldRepetition) return;
-        
         const boardHash = this.getBoardHash();
-        this.gameState.repetitionCount[boardHash] = 
-            (this.gameState.repetitionCount[boardHash] || 0) + 1;
+        const count = (this.gameState.repetitionCount[boardHash] || 0) + 1;
+        this.gameState.repetitionCount[boardHash] = count;
         
-        if (this.gameState.repetitionCount[boardHash] >= 3) {
-            this.gameState.draw = true;
-            this.gameState.gameOver = true;
+        if (this.gameState.gameOver) return;
+        
+        // Quíntupla repetição encerra a partida automaticamente
+        if (count >= 5) {
+            this.declareDraw('fivefoldRepetition');
+            return;
+        }
+        
+        if (this.settings.drawRules === 'casual' && this.settings.threefoldRepetition && count >= 3) {
+            this.declareDraw('threefoldRepetition');
         }
     }
     
     /**
-     * Gera hash do tabuleiro atual
+     * Motivo pelo qual o jogador da vez pode reclamar empate
+     * ('threefoldRepetition' ou 'fiftyMoves'), ou null
      */
-    getBoardHash() {
-        let hash = '';
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece) {
-                    hash += `${piece.color[0]}${piece.type[0]}${row}${col}`;
-                } else {
-                    hash += '--';
-                }
-            }
+    canClaimDraw() {
+        if (this.gameState.gameOver) return null;
+        
+        if (this.settings.threefoldRepetition &&
+            this.gameState.repetitionCount[this.getBoardHash()] >= 3) {
+            return 'threefoldRepetition';
+        }
+        
+        if (this.settings.fiftyMoveRuleEnabled && this.gameState.halfMoveClock >= 100) {
+            return 'fiftyMoves';
         }
-        hash += this.gameState.turn[0];
-        hash += this.gameState.castlingRights.white.kingSide ? '1' : '0';
-        hash += this.gameState.castlingRights.white.queenSide ? '1' : '0';
-        hash += this.gameState.castlingRights.black.kingSide ? '1' : '0';
-        hash += this.gameState.castlingRights.black.queenSide ? '1' : '0';
-        hash += this.gameState.enPassantTarget ? '1' : '0';
         
-        return hash;
+        return null;
     }
     
     /**
-     * Verifica se há material insuficiente para xeque-mate
+     * Empate por acordo (oferta aceita)
      */
-    hasInsufficientMaterial() {
-        let pieceCount = 0;
-        let bishops = [];
-        let knights = 0;
+    agreeDraw() {
+        if (this.gameState.gameOver) {
+            return { success: false, error: 'A partida já terminou' };
+        }
         
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece) {
-                    pieceCount++;
-                    
-                    if (piece.type === this.pieceTypes.QUEEN || 
-                        piece.type === this.pieceTypes.ROOK || 
-                        piece.type === this.pieceTypes.PAWN) {
-                        return false; // Peças que podem dar xeque-mate
-                    }
-                    
-                    if (piece.type === this.pieceTypes.BISHOP) {
-                        bishops.push((row + col) % 2); // 0 para casas claras, 1 para escuras
-                    }
-                    
-                    if (piece.type === this.pieceTypes.KNIGHT) {
-                        knights++;
-                    }
+        this.declareDraw('agreement');
+        this.emitGameOver();
+        return { success: true, draw: true, ...this.getGameResult() };
+    }
+    
+    /**
+     * Reclama empate por tripla repetição ou regra dos 50 movimentos
+     */
+    claimDraw() {
+        const reason = this.canClaimDraw();
+        if (!reason) {
+            return { success: false, error: 'Não há empate a reclamar nesta posição' };
+        }
+        
+        this.declareDraw(reason);
+        this.emitGameOver();
+        return { success: true, reason, draw: true };
+    }
+    
+    /**
+     * Gera hash do tabuleiro atual (chave Zobrist em hexadecimal, 16 caracteres).
+     * É a chave usada na contagem de repetições e no cache da IA.
+     */
+    getBoardHash() {
+        const [lo, hi] = this.getZobristKey();
+        return (hi >>> 0).toString(16).padStart(8, '0') + (lo >>> 0).toString(16).padStart(8, '0');
+    }
+    
+    /**
+     * Chave Zobrist completa [lo, hi]. O en passant só entra quando a captura
+     * é realmente possível, para que posições iguais tenham a mesma chave.
+     */
+    getZobristKey() {
+        let lo = this.gameState.zobristLo;
+        let hi = this.gameState.zobristHi;
+        
+        if (this.isEnPassantCapturePossible()) {
+            const [epLo, epHi] = ZOBRIST_KEYS.enPassant[this.gameState.enPassantTarget.col];
+            lo ^= epLo;
+            hi ^= epHi;
+        }
+        
+        return [lo, hi];
+    }
+    
+    /**
+     * Recalcula do zero a chave Zobrist (peças, roque e turno)
+     */
+    computeZobristKey() {
+        this.gameState.zobristLo = 0;
+        this.gameState.zobristHi = 0;
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                if (this.board[row][col]) {
+                    this.toggleZobristPiece(this.board[row][col], row, col);
                 }
             }
         }
         
-        // Casos de material insuficiente:
-        // 1. Apenas reis
-        if (pieceCount === 2) return true;
+        this.toggleZobristKey(this.getCastlingZobrist());
         
-        // 2. Rei + bispo vs Rei
-        // 3. Rei + cavalo vs Rei
-        if (pieceCount === 3 && (bishops.length === 1 || knights === 1)) return true;
+        if (this.gameState.turn === 'black') {
+            this.toggleZobristKey(ZOBRIST_KEYS.blackToMove);
+        }
+    }
+    
+    /**
+     * Aplica (XOR) uma chave à chave Zobrist da posição
+     */
+    toggleZobristKey([lo, hi]) {
+        this.gameState.zobristLo ^= lo;
+        this.gameState.zobristHi ^= hi;
+    }
+    
+    /**
+     * Aplica (XOR) a chave de uma peça numa casa
+     */
+    toggleZobristPiece(piece, row, col) {
+        if (!piece) return;
+        this.toggleZobristKey(ZOBRIST_KEYS.pieces[piece.color][piece.type][row * 8 + col]);
+    }
+    
+    /**
+     * Combinação das chaves dos direitos de roque atuais
+     */
+    getCastlingZobrist() {
+        let lo = 0;
+        let hi = 0;
+        
+        for (const color of ['white', 'black']) {
+            for (const side of ['kingSide', 'queenSide']) {
+                if (this.gameState.castlingRights[color][side]) {
+                    lo ^= ZOBRIST_KEYS.castling[color][side][0];
+                    hi ^= ZOBRIST_KEYS.castling[color][side][1];
+                }
+            }
+        }
         
-        // 4. Rei + bispo vs Rei + bispo (mesma cor)
-        if (pieceCount === 4 && bishops.length === 2) {
-            return bishops[0] === bishops[1];
+        return [lo, hi];
+    }
+    
+    /**
+     * Verifica se existe captura en passant legal na posição atual
+     */
+    isEnPassantCapturePossible() {
+        const target = this.gameState.enPassantTarget;
+        if (!target || !this.settings.enPassantEnabled) return false;
+        
+        const color = this.gameState.turn;
+        const pawnRow = target.row + (color === 'white' ? 1 : -1);
+        
+        for (const col of [target.col - 1, target.col + 1]) {
+            if (!this.isInBoard(pawnRow, col)) continue;
+            
+            const piece = this.board[pawnRow][col];
+            if (piece && piece.type === this.pieceTypes.PAWN && piece.color === color &&
+                this.isMoveLegal({ row: pawnRow, col }, target, color)) {
+                return true;
+            }
         }
         
         return false;
     }
     
+    /**
+     * Verifica se há material insuficiente para xeque-mate
+     */
+    hasInsufficientMaterial() {
+        const material = this.getMaterial();
+        const { white, black } = material;
+        
+        // Qualquer peão, torre ou dama permite o mate
+        if (white.heavy || black.heavy) return false;
+        
+        const knights = white.knights + black.knights;
+        const bishopColors = new Set([...white.bishopColors, ...black.bishopColors]);
+        
+        // Rei + cavalo contra rei sozinho
+        if (knights === 1 && bishopColors.size === 0) {
+            return white.pieces + black.pieces === 1;
+        }
+        
+        // Reis e bispos, todos em casas da mesma cor (de um ou dos dois lados)
+        return knights === 0 && bishopColors.size <= 1;
+    }
+    
+    /**
+     * Resume o material de cada lado (sem os reis): peças que sempre permitem
+     * o mate (peão, torre, dama), cavalos e cores das casas dos bispos
+     */
+    getMaterial() {
+        const material = {};
+        for (const color of ['white', 'black']) {
+            material[color] = { pieces: 0, heavy: 0, knights: 0, bishopColors: new Set() };
+        }
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.getPieceAt(row, col);
+                if (!piece || piece.type === this.pieceTypes.KING) continue;
+                
+                const side = material[piece.color];
+                side.pieces++;
+                
+                if (piece.type === this.pieceTypes.KNIGHT) {
+                    side.knights++;
+                } else if (piece.type === this.pieceTypes.BISHOP) {
+                    side.bishopColors.add((row + col) % 2); // 0 = casa clara, 1 = escura
+                } else {
+                    side.heavy++;
+                }
+            }
+        }
+        
+        return material;
+    }
+    
+    /**
+     * Verifica se a cor ainda pode dar mate por alguma sequência de lances legais,
+     * mesmo com a colaboração do adversário (regra da queda de bandeira da FIDE)
+     */
+    canCheckmate(color) {
+        const material = this.getMaterial();
+        const own = material[color];
+        const opponent = material[color === 'white' ? 'black' : 'white'];
+        
+        if (own.heavy > 0) return true;
+        if (own.pieces === 0) return false;
+        
+        // Dois cavalos, cavalo e bispo ou bispos das duas cores
+        if (own.knights >= 2 || own.bishopColors.size > 1 ||
+            (own.knights === 1 && own.bishopColors.size > 0)) {
+            return true;
+        }
+        
+        // Um cavalo só mata se o rei adversário puder ser bloqueado por uma peça sua
+        if (own.knights === 1) {
+            return opponent.pieces > 0;
+        }
+        
+        // Bispos de uma cor só: precisa de peça adversária que possa bloquear o rei
+        // em casa da outra cor (bispos adversários da mesma cor não servem)
+        const [bishopColor] = own.bishopColors;
+        return opponent.heavy > 0 || opponent.knights > 0 ||
+            [...opponent.bishopColors].some(squareColor => squareColor !== bishopColor);
+    }
+    
+    /**
+     * Registra a queda de bandeira da cor. É empate se o adversário não
+     * consegue dar mate por nenhuma sequência de lances legais.
+     */
+    declareTimeout(color) {
+        if (this.gameState.gameOver) {
+            return { success: false, error: 'A partida já terminou' };
+        }
+        
+        const opponent = color === 'white' ? 'black' : 'white';
+        
+        if (this.canCheckmate(opponent)) {
+            this.declareWin(opponent, 'timeout');
+        } else {
+            this.declareDraw('timeoutVsInsufficientMaterial');
+        }
+        
+        this.emitGameOver();
+        return { success: true, draw: this.gameState.draw, ...this.getGameResult() };
+    }
+    
+    /**
+     * Registra a desistência da cor
+     */
+    resign(color) {
+        if (this.gameState.gameOver) {
+            return { success: false, error: 'A partida já terminou' };
+        }
+        
+        this.declareWin(color === 'white' ? 'black' : 'white', 'resignation');
+        this.emitGameOver();
+        return { success: true, ...this.getGameResult() };
+    }
+    
+    /**
+     * Reaplica um resultado que não sai dos lances (tempo, desistência, acordo,
+     * reclamação), como o de uma partida salva. Usa o formato de getGameResult().
+     */
+    restoreResult(result) {
+        if (!result || this.gameState.gameOver) {
+            return { success: false, error: 'Nada a restaurar' };
+        }
+        
+        if (result.winner) {
+            this.declareWin(result.winner, result.reason);
+        } else {
+            this.declareDraw(result.reason);
+        }
+        
+        this.emitGameOver();
+        return { success: true, ...this.getGameResult() };
+    }
+    
+    /**
+     * Conta os nós da árvore de movimentos legais até a profundidade dada.
+     * Promoções contam uma vez por peça escolhida, como nas tabelas de referência.
+     */
+    perft(depth) {
+        if (depth === 0) return 1;
+        
+        let nodes = 0;
+        const moves = this.calculateAllLegalMoves();
+        
+        for (const move of moves) {
+            for (const promotion of this.getPromotionChoices(move)) {
+                if (depth === 1) {
+                    nodes++;
+                    continue;
+                }
+                
+                const undo = this.makeMoveInPlace(move, promotion || this.pieceTypes.QUEEN);
+                nodes += this.perft(depth - 1);
+                this.unmakeMove(undo);
+            }
+        }
+        
+        return nodes;
+    }
+    
+    /**
+     * Perft separado por movimento da raiz (em notação UCI), para localizar divergências
+     */
+    divide(depth) {
+        const moves = [];
+        let total = 0;
+        
+        if (depth < 1) return { moves, total: 1 };
+        
+        for (const move of this.calculateAllLegalMoves()) {
+            for (const promotion of this.getPromotionChoices(move)) {
+                const undo = this.makeMoveInPlace(move, promotion || this.pieceTypes.QUEEN);
+                const nodes = this.perft(depth - 1);
+                this.unmakeMove(undo);
+                
+                moves.push({ move: this.getUCIMove(move, promotion), nodes });
+                total += nodes;
+            }
+        }
+        
+        moves.sort((a, b) => a.move.localeCompare(b.move));
+        return { moves, total };
+    }
+    
+    /**
+     * Peças possíveis para um movimento (apenas promoções têm mais de uma)
+     */
+    getPromotionChoices(move) {
+        if (move.type !== 'promotion') return [null];
+        
+        return [
+            this.pieceTypes.QUEEN,
+            this.pieceTypes.ROOK,
+            this.pieceTypes.BISHOP,
+            this.pieceTypes.KNIGHT
+        ];
+    }
+    
+    /**
+     * Executa o movimento no próprio tabuleiro e devolve um registro compacto
+     * para unmakeMove. Atualiza os campos da posição (turno, roque, en passant,
+     * relógios, chave Zobrist), mas não xeque, fim de jogo, histórico ou repetições.
+     * Em simulação a peça promovida é uma cópia e hasMoved não muda.
+     */
+    makeMoveInPlace(move, promotionPiece = this.pieceTypes.QUEEN, isSimulation = true) {
+        const { from, to } = move;
+        const piece = this.getPieceAt(from.row, from.col);
+        const moveType = move.type || this.getMoveType(piece, from.row, from.col, to.row, to.col);
+        const state = this.gameState;
+        
+        const undo = {
+            from,
+            to,
+            moveType,
+            piece,
+            pieceType: piece.type,
+            hasMoved: piece.hasMoved,
+            captured: null,
+            capturedSquare: null,
+            rook: null,
+            rookFromCol: null,
+            rookHasMoved: false,
+            isSimulation,
+            state: {
+                turn: state.turn,
+                castlingRights: {
+                    white: { ...state.castlingRights.white },
+                    black: { ...state.castlingRights.black }
+                },
+                enPassantTarget: state.enPassantTarget,
+                halfMoveClock: state.halfMoveClock,
+                fullMoveNumber: state.fullMoveNumber,
+                zobristLo: state.zobristLo,
+                zobristHi: state.zobristHi,
+                check: state.check,
+                checkmate: state.checkmate,
+                stalemate: state.stalemate,
+                draw: state.draw,
+                drawReason: state.drawReason,
+                winner: state.winner,
+                winReason: state.winReason,
+                gameOver: state.gameOver
+            }
+        };
+        
+        if (moveType === 'castling') {
+            const side = to.col > from.col ? 'kingSide' : 'queenSide';
+            undo.rookFromCol = state.castlingRooks[piece.color][side];
+            undo.rook = this.getPieceAt(from.row, undo.rookFromCol);
+            undo.rookHasMoved = undo.rook ? undo.rook.hasMoved : false;
+        } else {
+            undo.capturedSquare = moveType === 'enPassant' 
+                ? { row: from.row, col: to.col } 
+                : { row: to.row, col: to.col };
+            undo.captured = this.getPieceAt(undo.capturedSquare.row, undo.capturedSquare.col);
+        }
+        
+        this.makeMoveOnBoard(from, to, isSimulation, promotionPiece, moveType);
+        this.updatePositionState({
+            piece: { type: undo.pieceType, color: piece.color },
+            from,
+            to,
+            moveType,
+            capturedPiece: undo.captured
+        });
+        
+        return undo;
+    }
+    
+    /**
+     * Desfaz um movimento feito por makeMoveInPlace
+     */
+    unmakeMove(undo) {
+        const { from, to, piece } = undo;
+        
+        if (undo.moveType === 'castling') {
+            // Retira rei e torre antes de recolocá-los (no Chess960 as casas podem se sobrepor)
+            const target = this.getCastlingTargets(to.col > from.col ? 'kingSide' : 'queenSide');
+            this.setPieceAt(from.row, target.kingCol, null);
+            this.setPieceAt(from.row, target.rookCol, null);
+            this.setPieceAt(from.row, undo.rookFromCol, undo.rook);
+            if (undo.rook) undo.rook.hasMoved = undo.rookHasMoved;
+        } else {
+            this.setPieceAt(to.row, to.col, null);
+            if (undo.captured) {
+                this.setPieceAt(undo.capturedSquare.row, undo.capturedSquare.col, undo.captured);
+                if (!undo.isSimulation) {
+                    this.gameState.capturedPieces[piece.color].pop();
+                }
+            }
+        }
+        
+        this.setPieceAt(from.row, from.col, piece);
+        piece.type = undo.pieceType;
+        piece.hasMoved = undo.hasMoved;
+        
+        Object.assign(this.gameState, undo.state);
+    }
+    
+    /**
+     * Nome da casa em notação algébrica (ex.: e4)
+     */
+    getSquareName(row, col) {
+        return String.fromCharCode(97 + col) + (8 - row);
+    }
+    
+    /**
+     * Movimento em notação UCI (ex.: e2e4, e7e8q)
+     */
+    getUCIMove(move, promotion = null) {
+        const promotionLetters = {
+            [this.pieceTypes.QUEEN]: 'q',
+            [this.pieceTypes.ROOK]: 'r',
+            [this.pieceTypes.BISHOP]: 'b',
+            [this.pieceTypes.KNIGHT]: 'n'
+        };
+        
+        return this.getSquareName(move.from.row, move.from.col) +
+               this.getSquareName(move.to.row, move.to.col) +
+               (promotion ? promotionLetters[promotion] : '');
+    }
+    
     /**
      * Clona o tabuleiro atual
      */
@@ -927,55 +1674,423 @@ class ChessRules {
         
         const lastMove = this.gameState.moveHistory.pop();
         
-        // Restaura estado anterior
-        this.gameState = lastMove.beforeState;
-        
-        // Restaura o tabuleiro
-        this.board = this.cloneBoard(); // Clona para evitar referências
-        
-        // Move a peça de volta
-        const piece = this.board[lastMove.to.row][lastMove.to.col];
-        this.board[lastMove.from.row][lastMove.from.col] = piece;
-        this.board[lastMove.to.row][lastMove.to.col] = lastMove.capturedPiece;
-        
-        // Restaura casos especiais
-        if (lastMove.moveType === 'enPassant') {
-            const capturedPawnRow = lastMove.from.row;
-            const capturedPawnCol = lastMove.to.col;
-            const pawnColor = piece.color === 'white' ? 'black' : 'white';
-            this.board[capturedPawnRow][capturedPawnCol] = {
-                type: this.pieceTypes.PAWN,
-                color: pawnColor,
-                hasMoved: true
-            };
+        // O lance continua na árvore para ser refeito
+        if (this.currentNode.parent) {
+            this.currentNode = this.currentNode.parent;
+        }
+        
+        // Desconta a posição que está sendo desfeita da contagem de repetições
+        const boardHash = this.getBoardHash();
+        if (this.gameState.repetitionCount[boardHash] > 1) {
+            this.gameState.repetitionCount[boardHash]--;
+        } else {
+            delete this.gameState.repetitionCount[boardHash];
+        }
+        
+        this.unmakeMove(lastMove.undo);
+        this.events.emit('undo', { move: lastMove });
+        
+        return { success: true, move: lastMove };
+    }
+    
+    /**
+     * Há lance para desfazer
+     */
+    canUndo() {
+        return this.gameState.moveHistory.length > 0;
+    }
+    
+    /**
+     * Há lance para refazer no ramo atual
+     */
+    canRedo() {
+        return this.currentNode.children.length > 0;
+    }
+    
+    /**
+     * Reinicia a árvore de lances a partir da posição atual
+     */
+    resetMoveTree() {
+        this.nextNodeId = 1;
+        this.moveTree = this.createTreeNode(null, null);
+        this.treeNodes = { [this.moveTree.id]: this.moveTree };
+        this.currentNode = this.moveTree;
+    }
+    
+    /**
+     * Cria um nó da árvore. children[0] é a continuação principal,
+     * os demais filhos são variações.
+     */
+    createTreeNode(parent, moveRecord) {
+        return {
+            id: this.nextNodeId++,
+            parent,
+            children: [],
+            activeChild: null, // Último filho visitado (usado pelo refazer)
+            move: moveRecord,
+            san: moveRecord ? moveRecord.san : null,
+            moveNumber: moveRecord ? moveRecord.undo.state.fullMoveNumber : null,
+            color: moveRecord ? moveRecord.piece.color : null,
+            comments: [],
+            nags: []
+        };
+    }
+    
+    /**
+     * Registra o lance na árvore, reaproveitando o nó se o lance já existir
+     */
+    addMoveToTree(moveRecord) {
+        const parent = this.currentNode;
+        let node = parent.children.find(child => 
+            child.move.from.row === moveRecord.from.row && child.move.from.col === moveRecord.from.col &&
+            child.move.to.row === moveRecord.to.row && child.move.to.col === moveRecord.to.col &&
+            child.move.promotion === moveRecord.promotion
+        );
+        
+        if (node) {
+            // O relógio registrado continua valendo ao refazer o lance pela árvore
+            if (node.move.clock && !moveRecord.clock) moveRecord.clock = node.move.clock;
+            node.move = moveRecord;
+        } else {
+            node = this.createTreeNode(parent, moveRecord);
+            parent.children.push(node);
+            this.treeNodes[node.id] = node;
+        }
+        
+        parent.activeChild = node;
+        this.currentNode = node;
+        return node;
+    }
+    
+    /**
+     * Refaz o próximo lance do ramo atual (ou o filho indicado)
+     */
+    redoMove(childIndex = null) {
+        const node = childIndex === null
+            ? this.currentNode.activeChild || this.currentNode.children[0]
+            : this.currentNode.children[childIndex];
+        
+        if (!node) {
+            return { success: false, error: 'Nenhum movimento para refazer' };
+        }
+        
+        return this.makeMove(node.move.from, node.move.to, node.move.promotion || this.pieceTypes.QUEEN, { redo: true });
+    }
+    
+    /**
+     * Vai para qualquer nó da árvore: volta até o ancestral comum e refaz o caminho.
+     * Os lances intermediários não disparam eventos.
+     */
+    goToNode(nodeId) {
+        return this.events.silently(() => this.walkToNode(nodeId));
+    }
+    
+    /**
+     * Percorre a árvore até o nó (usado por goToNode)
+     */
+    walkToNode(nodeId) {
+        const target = this.treeNodes[nodeId];
+        if (!target) {
+            return { success: false, error: 'Lance não encontrado na árvore' };
+        }
+        
+        const path = [];
+        for (let node = target; node; node = node.parent) {
+            path.unshift(node);
+        }
+        
+        while (!path.includes(this.currentNode)) {
+            if (!this.undoMove().success) break;
+        }
+        
+        for (let i = path.indexOf(this.currentNode) + 1; i < path.length; i++) {
+            const result = this.redoMove(path[i - 1].children.indexOf(path[i]));
+            if (!result.success) return result;
+        }
+        
+        return { success: true, node: target };
+    }
+    
+    /**
+     * Promove a variação que contém o nó até a linha principal
+     */
+    promoteVariation(nodeId) {
+        const target = this.treeNodes[nodeId];
+        if (!target || !target.parent) {
+            return { success: false, error: 'Lance não encontrado na árvore' };
+        }
+        
+        for (let node = target; node.parent; node = node.parent) {
+            const siblings = node.parent.children;
+            siblings.splice(siblings.indexOf(node), 1);
+            siblings.unshift(node);
+        }
+        
+        return { success: true, node: target };
+    }
+    
+    /**
+     * Apaga o nó e todos os lances seguintes da variação
+     */
+    deleteVariation(nodeId) {
+        const target = this.treeNodes[nodeId];
+        if (!target || !target.parent) {
+            return { success: false, error: 'Lance não encontrado na árvore' };
+        }
+        
+        // Se a posição atual está dentro do ramo apagado, volta para antes dele
+        for (let node = this.currentNode; node; node = node.parent) {
+            if (node === target) {
+                this.goToNode(target.parent.id);
+                break;
+            }
+        }
+        
+        const siblings = target.parent.children;
+        siblings.splice(siblings.indexOf(target), 1);
+        if (target.parent.activeChild === target) {
+            target.parent.activeChild = null;
+        }
+        
+        const removeNode = (node) => {
+            delete this.treeNodes[node.id];
+            node.children.forEach(removeNode);
+        };
+        removeNode(target);
+        
+        return { success: true };
+    }
+    
+    /**
+     * Lista os nós da linha principal
+     */
+    getMainLine() {
+        const line = [];
+        for (let node = this.moveTree.children[0]; node; node = node.children[0]) {
+            line.push(node);
+        }
+        return line;
+    }
+    
+    /**
+     * Converte a peça de promoção (tipo ou letra, como 'q' do UCI) no tipo interno
+     */
+    normalizePromotionPiece(promotionPiece) {
+        const letters = {
+            q: this.pieceTypes.QUEEN,
+            r: this.pieceTypes.ROOK,
+            b: this.pieceTypes.BISHOP,
+            n: this.pieceTypes.KNIGHT
+        };
+        
+        if (!promotionPiece) return this.pieceTypes.QUEEN;
+        if (letters[promotionPiece.toLowerCase()]) return letters[promotionPiece.toLowerCase()];
+        
+        return [this.pieceTypes.QUEEN, this.pieceTypes.ROOK, this.pieceTypes.BISHOP, this.pieceTypes.KNIGHT]
+            .includes(promotionPiece) ? promotionPiece : this.pieceTypes.QUEEN;
+    }
+    
+    /**
+     * Letra SAN de uma peça (vazia para peão)
+     */
+    getSANLetter(type) {
+        const letters = {
+            [this.pieceTypes.KNIGHT]: 'N',
+            [this.pieceTypes.BISHOP]: 'B',
+            [this.pieceTypes.ROOK]: 'R',
+            [this.pieceTypes.QUEEN]: 'Q',
+            [this.pieceTypes.KING]: 'K'
+        };
+        
+        return letters[type] || '';
+    }
+    
+    /**
+     * Gera a notação SAN de um movimento legal ainda não executado,
+     * com desambiguação (Nbd7, R1e2) e sufixo de xeque ou mate
+     */
+    getSAN(move, promotionPiece = this.pieceTypes.QUEEN, legalMoves = null) {
+        const { from, to } = move;
+        const piece = this.board[from.row][from.col];
+        const moveType = move.type || this.getMoveType(piece, from.row, from.col, to.row, to.col);
+        let notation;
+        
+        if (moveType === 'castling') {
+            notation = to.col > from.col ? 'O-O' : 'O-O-O';
+        } else {
+            const isCapture = !!this.board[to.row][to.col] || moveType === 'enPassant';
+            notation = this.getSANLetter(piece.type);
             
-            // Remove da lista de capturados
-            const capturedArray = this.gameState.capturedPieces[piece.color === 'white' ? 'white' : 'black'];
-            capturedArray.pop();
-        }
-        
-        if (lastMove.moveType === 'castling') {
-            const rookFromCol = lastMove.to.col > lastMove.from.col ? 5 : 3;
-            const rookToCol = lastMove.to.col > lastMove.from.col ? 7 : 0;
-            const rook = this.board[lastMove.from.row][rookFromCol];
-            this.board[lastMove.from.row][rookToCol] = rook;
-            this.board[lastMove.from.row][rookFromCol] = null;
-            if (rook) {
-                rook.hasMoved = false;
+            if (piece.type === this.pieceTypes.PAWN) {
+                if (isCapture) notation += String.fromCharCode(97 + from.col);
+            } else if (piece.type !== this.pieceTypes.KING) {
+                notation += this.getSANDisambiguation(move, piece, legalMoves || this.calculateAllLegalMoves());
+            }
+            
+            if (isCapture) notation += 'x';
+            notation += this.getSquareName(to.row, to.col);
+            
+            if (moveType === 'promotion') {
+                notation += '=' + this.getSANLetter(this.normalizePromotionPiece(promotionPiece));
             }
         }
         
-        if (lastMove.moveType === 'promotion') {
-            piece.type = this.pieceTypes.PAWN;
+        // Simula o movimento para saber se dá xeque ou mate
+        const undo = this.makeMoveInPlace({ ...move, type: moveType }, this.normalizePromotionPiece(promotionPiece));
+        if (this.isKingInCheck(this.gameState.turn)) {
+            notation += this.calculateAllLegalMoves().length === 0 ? '#' : '+';
         }
+        this.unmakeMove(undo);
         
-        return { success: true, move: lastMove };
+        return notation;
+    }
+    
+    /**
+     * Coluna e ou fileira de origem necessárias quando outra peça igual alcança a mesma casa
+     */
+    getSANDisambiguation(move, piece, legalMoves) {
+        const rivals = legalMoves.filter(other => 
+            other.to.row === move.to.row && other.to.col === move.to.col &&
+            (other.from.row !== move.from.row || other.from.col !== move.from.col) &&
+            other.piece.type === piece.type
+        );
+        
+        if (rivals.length === 0) return '';
+        
+        const file = String.fromCharCode(97 + move.from.col);
+        const rank = String(8 - move.from.row);
+        
+        if (!rivals.some(other => other.from.col === move.from.col)) return file;
+        if (!rivals.some(other => other.from.row === move.from.row)) return rank;
+        return file + rank;
+    }
+    
+    /**
+     * Interpreta um movimento em SAN (Nbd7, R1e2, exd5, e8=Q, e8Q, O-O, 0-0-0, Qh5+!?)
+     * e retorna o movimento legal correspondente.
+     * Erros têm code 'malformed', 'illegal' ou 'ambiguous'.
+     */
+    moveFromSAN(san) {
+        const fail = (code, error, extra = {}) => ({ success: false, code, error, san, ...extra });
+        
+        if (typeof san !== 'string') {
+            return fail('malformed', 'SAN deve ser um texto');
+        }
+        
+        // Remove glifos de anotação (!, ?, !!, ?!), sufixos de xeque/mate e "e.p."
+        const text = san.trim()
+            .replace(/\s*e\.p\.$/, '')
+            .replace(/[!?]+$/, '')
+            .replace(/[+#]+$/, '')
+            .replace(/[!?]+$/, '');
+        
+        const legalMoves = this.calculateAllLegalMoves();
+        
+        // Roque (letra O ou zero)
+        const castlingMatch = text.match(/^([O0])-\1(-\1)?$/);
+        if (castlingMatch) {
+            const side = castlingMatch[2] ? 'queenSide' : 'kingSide';
+            const move = legalMoves.find(m => m.type === 'castling' && 
+                (m.to.col > m.from.col ? 'kingSide' : 'queenSide') === side);
+            
+            if (!move) {
+                return fail('illegal', `Roque ${side === 'kingSide' ? 'curto' : 'longo'} não é permitido nesta posição`);
+            }
+            return this.createSANResult(move, null, legalMoves);
+        }
+        
+        const match = text.match(/^([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([NBRQnbrq]))?$/);
+        if (!match) {
+            return fail('malformed', `Notação SAN inválida: "${san}"`);
+        }
+        
+        const [, pieceLetter, fromFile, fromRank, , target, promotionLetter] = match;
+        const type = pieceLetter ? this.getPieceTypeFromSymbol(pieceLetter) : this.pieceTypes.PAWN;
+        const toCol = target.charCodeAt(0) - 97;
+        const toRow = 8 - parseInt(target[1]);
+        
+        const candidates = legalMoves.filter(m => 
+            m.piece.type === type &&
+            m.type !== 'castling' &&
+            m.to.row === toRow && m.to.col === toCol &&
+            (!fromFile || m.from.col === fromFile.charCodeAt(0) - 97) &&
+            (!fromRank || m.from.row === 8 - parseInt(fromRank))
+        );
+        
+        if (candidates.length === 0) {
+            return fail('illegal', `Movimento ilegal nesta posição: "${san}"`);
+        }
+        
+        if (candidates.length > 1) {
+            return fail('ambiguous', `Movimento ambíguo: "${san}"`, {
+                candidates: candidates.map(m => this.getUCIMove(m))
+            });
+        }
+        
+        const move = candidates[0];
+        const promotion = promotionLetter ? this.normalizePromotionPiece(promotionLetter) : null;
+        
+        if (move.type === 'promotion' && !promotion) {
+            return fail('malformed', `Promoção sem peça escolhida: "${san}"`);
+        }
+        
+        if (move.type !== 'promotion' && promotion) {
+            return fail('illegal', `Promoção impossível neste movimento: "${san}"`);
+        }
+        
+        return this.createSANResult(move, promotion, legalMoves);
+    }
+    
+    /**
+     * Resultado de sucesso do moveFromSAN, com a SAN canônica do movimento
+     */
+    createSANResult(move, promotion, legalMoves) {
+        return {
+            success: true,
+            move: {
+                from: { ...move.from },
+                to: { ...move.to },
+                piece: { ...move.piece },
+                type: move.type,
+                promotion
+            },
+            san: this.getSAN(move, promotion || this.pieceTypes.QUEEN, legalMoves)
+        };
+    }
+    
+    /**
+     * Executa um movimento em notação UCI (e2e4, e7e8q; no Chess960 o roque é rei "captura" torre)
+     */
+    makeMoveUCI(uci) {
+        const match = /^([a-h])([1-8])([a-h])([1-8])([qrbn])?$/.exec(String(uci || '').trim().toLowerCase());
+        if (!match) {
+            return { success: false, code: 'invalid', error: `Lance UCI inválido: ${uci}` };
+        }
+        
+        const from = { row: 8 - parseInt(match[2]), col: match[1].charCodeAt(0) - 97 };
+        const to = { row: 8 - parseInt(match[4]), col: match[3].charCodeAt(0) - 97 };
+        
+        return this.makeMove(from, to, this.normalizePromotionPiece(match[5]));
+    }
+    
+    /**
+     * Executa um movimento a partir da SAN
+     */
+    makeMoveSAN(san) {
+        const parsed = this.moveFromSAN(san);
+        if (!parsed.success) return parsed;
+        
+        const { from, to, promotion } = parsed.move;
+        return this.makeMove(from, to, promotion || this.pieceTypes.QUEEN);
     }
     
     /**
      * Obtém notação algébrica do movimento
      */
     getAlgebraicNotation(move) {
+        // Registros novos já guardam a SAN calculada no momento do lance
+        if (move.san) return move.san;
+        
         const { from, to, piece, moveType, capturedPiece } = move;
         const fileFrom = String.fromCharCode(97 + from.col);
         const rankFrom = 8 - from.row;
@@ -1037,9 +2152,19 @@ class ChessRules {
     }
     
     /**
-     * Exporta posição atual em FEN (Forsyth-Edwards Notation)
+     * A partida começou da posição inicial do xadrez padrão (o PGN dispensa SetUp/FEN)
+     */
+    isStandardStart() {
+        return this.variant === 'standard' &&
+            this.startFEN === 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+    }
+    
+    /**
+     * Exporta posição atual em FEN (Forsyth-Edwards Notation).
+     * options.castlingFormat: 'standard' (KQkq), 'xfen' ou 'shredder' (colunas das torres).
+     * Por padrão usa X-FEN no Chess960, que coincide com KQkq nas posições comuns.
      */
-    exportFEN() {
+    exportFEN(options = {}) {
         let fen = '';
         
         // Posição das peças
@@ -1081,12 +2206,8 @@ class ChessRules {
         fen += ' ' + (this.gameState.turn === 'white' ? 'w' : 'b');
         
         // Direitos de roque
-        let castling = '';
-        if (this.gameState.castlingRights.white.kingSide) castling += 'K';
-        if (this.gameState.castlingRights.white.queenSide) castling += 'Q';
-        if (this.gameState.castlingRights.black.kingSide) castling += 'k';
-        if (this.gameState.castlingRights.black.queenSide) castling += 'q';
-        fen += ' ' + (castling || '-');
+        const castlingFormat = options.castlingFormat || (this.variant === 'chess960' ? 'xfen' : 'standard');
+        fen += ' ' + this.getCastlingField(castlingFormat);
         
         // Alvo en passant
         const ep = this.gameState.enPassantTarget;
@@ -1102,9 +2223,329 @@ class ChessRules {
     }
     
     /**
-     * Carrega posição a partir de FEN
+     * Monta o campo de roque do FEN no formato pedido
+     */
+    getCastlingField(format) {
+        let castling = '';
+        
+        for (const color of ['white', 'black']) {
+            const rights = this.gameState.castlingRights[color];
+            const rooks = this.gameState.castlingRooks[color];
+            const row = color === 'white' ? 7 : 0;
+            
+            for (const side of ['kingSide', 'queenSide']) {
+                if (!rights[side]) continue;
+                
+                let symbol = side === 'kingSide' ? 'K' : 'Q';
+                const file = String.fromCharCode(65 + rooks[side]);
+                
+                if (format === 'shredder') {
+                    symbol = file;
+                } else if (format === 'xfen' && this.getOutermostRookCol(row, color, side) !== rooks[side]) {
+                    // X-FEN só usa a coluna quando a torre não é a mais externa do lado
+                    symbol = file;
+                }
+                
+                castling += color === 'white' ? symbol : symbol.toLowerCase();
+            }
+        }
+        
+        return castling || '-';
+    }
+    
+    /**
+     * Encontra a torre mais externa de um lado do rei na fileira inicial
+     */
+    getOutermostRookCol(row, color, side) {
+        const king = this.findKingPosition(color);
+        if (!king || king.row !== row) return null;
+        
+        const cols = side === 'kingSide' ? [7, 6, 5, 4, 3, 2, 1] : [0, 1, 2, 3, 4, 5, 6];
+        for (const col of cols) {
+            if (side === 'kingSide' ? col <= king.col : col >= king.col) break;
+            
+            const piece = this.board[row][col];
+            if (piece && piece.type === this.pieceTypes.ROOK && piece.color === color) {
+                return col;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Lê o campo de roque do FEN (KQkq, X-FEN ou Shredder-FEN)
+     */
+    parseCastlingField(field) {
+        this.gameState.castlingRights = {
+            white: { kingSide: false, queenSide: false },
+            black: { kingSide: false, queenSide: false }
+        };
+        this.gameState.castlingRooks = {
+            white: { kingSide: 7, queenSide: 0 },
+            black: { kingSide: 7, queenSide: 0 }
+        };
+        
+        if (field === '-') return;
+        
+        for (const char of field) {
+            const color = char === char.toUpperCase() ? 'white' : 'black';
+            const row = color === 'white' ? 7 : 0;
+            const king = this.findKingPosition(color);
+            if (!king || king.row !== row) continue;
+            
+            const letter = char.toUpperCase();
+            let side;
+            let rookCol;
+            
+            if (letter === 'K' || letter === 'Q') {
+                side = letter === 'K' ? 'kingSide' : 'queenSide';
+                rookCol = this.getOutermostRookCol(row, color, side);
+            } else if (letter >= 'A' && letter <= 'H') {
+                rookCol = letter.charCodeAt(0) - 65;
+                side = rookCol > king.col ? 'kingSide' : 'queenSide';
+            }
+            
+            if (side && rookCol !== null && rookCol !== king.col) {
+                this.gameState.castlingRights[color][side] = true;
+                this.gameState.castlingRooks[color][side] = rookCol;
+            }
+        }
+    }
+    
+    /**
+     * Indica se o roque da posição atual só existe no Chess960
+     * (rei fora da coluna e ou torres fora dos cantos)
+     */
+    requiresChess960Castling() {
+        for (const color of ['white', 'black']) {
+            const rights = this.gameState.castlingRights[color];
+            if (!rights.kingSide && !rights.queenSide) continue;
+            
+            const king = this.findKingPosition(color);
+            if (king.col !== 4) return true;
+            if (rights.kingSide && this.gameState.castlingRooks[color].kingSide !== 7) return true;
+            if (rights.queenSide && this.gameState.castlingRooks[color].queenSide !== 0) return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Valida um FEN sem alterar a partida.
+     * Retorna { valid, errors, warnings }, cada item com { code, message }.
      */
-    loadFEN(fen) {
+    validateFEN(fen) {
+        const errors = [];
+        const warnings = [];
+        const error = (code, message) => errors.push({ code, message });
+        const warning = (code, message) => warnings.push({ code, message });
+        const result = () => ({ valid: errors.length === 0, errors, warnings });
+        
+        const parts = typeof fen === 'string' ? fen.trim().split(/\s+/) : [];
+        if (parts.length < 4 || parts.length > 6) {
+            error('fieldCount', `FEN deve ter de 4 a 6 campos (encontrados ${parts.length})`);
+            return result();
+        }
+        
+        // Posição das peças
+        const rows = parts[0].split('/');
+        if (rows.length !== 8) {
+            error('rankCount', `FEN deve ter 8 fileiras (encontradas ${rows.length})`);
+            return result();
+        }
+        
+        const board = Array(8).fill().map(() => Array(8).fill(null));
+        for (let row = 0; row < 8; row++) {
+            let col = 0;
+            for (const char of rows[row]) {
+                if (/[1-8]/.test(char)) {
+                    col += parseInt(char);
+                    continue;
+                }
+                
+                const type = this.getPieceTypeFromSymbol(char.toUpperCase());
+                if (!type) {
+                    error('invalidPiece', `Peça desconhecida "${char}" na fileira ${8 - row}`);
+                } else if (col < 8) {
+                    board[row][col] = { type, color: /[A-Z]/.test(char) ? 'white' : 'black', hasMoved: true };
+                }
+                col++;
+            }
+            
+            if (col !== 8) {
+                error('rankLength', `Fileira ${8 - row} tem ${col} casas em vez de 8`);
+            }
+        }
+        
+        if (errors.length > 0) return result();
+        
+        // Contagem de material
+        for (const color of ['white', 'black']) {
+            const colorName = color === 'white' ? 'brancas' : 'pretas';
+            const pieces = board.flat().filter(piece => piece && piece.color === color);
+            const count = type => pieces.filter(piece => piece.type === type).length;
+            
+            if (count(this.pieceTypes.KING) !== 1) {
+                error('kingCount', `As ${colorName} devem ter exatamente um rei (encontrados ${count(this.pieceTypes.KING)})`);
+            }
+            if (count(this.pieceTypes.PAWN) > 8) {
+                error('tooManyPawns', `As ${colorName} têm mais de 8 peões`);
+            }
+            if (pieces.length > 16) {
+                error('tooManyPieces', `As ${colorName} têm mais de 16 peças`);
+            }
+            
+            // Peças além das iniciais só existem por promoção
+            const promoted = Math.max(0, count(this.pieceTypes.QUEEN) - 1) +
+                Math.max(0, count(this.pieceTypes.ROOK) - 2) +
+                Math.max(0, count(this.pieceTypes.BISHOP) - 2) +
+                Math.max(0, count(this.pieceTypes.KNIGHT) - 2);
+            if (promoted > 8 - count(this.pieceTypes.PAWN)) {
+                warning('impossibleMaterial', `Material das ${colorName} exige mais promoções do que peões faltando`);
+            }
+        }
+        
+        for (const row of [0, 7]) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (piece && piece.type === this.pieceTypes.PAWN) {
+                    error('pawnOnBackRank', `Peão em ${this.getSquareName(row, col)} na primeira ou última fileira`);
+                }
+            }
+        }
+        
+        // Lado a jogar
+        if (parts[1] !== 'w' && parts[1] !== 'b') {
+            error('invalidTurn', `Lado a jogar deve ser "w" ou "b" (encontrado "${parts[1]}")`);
+        }
+        const turn = parts[1] === 'b' ? 'black' : 'white';
+        const opponent = turn === 'white' ? 'black' : 'white';
+        
+        // Relógios
+        if (parts.length < 6) {
+            warning('missingClocks', 'FEN sem relógio de meio movimento e/ou número do lance');
+        }
+        if (parts[4] !== undefined && !/^\d+$/.test(parts[4])) {
+            error('invalidHalfMoveClock', `Relógio de meio movimento inválido: "${parts[4]}"`);
+        }
+        if (parts[5] !== undefined && (!/^\d+$/.test(parts[5]) || parseInt(parts[5]) < 1)) {
+            error('invalidFullMoveNumber', `Número do lance inválido: "${parts[5]}"`);
+        }
+        
+        // Sem reis válidos não há como verificar roque, xeque e en passant
+        if (errors.some(item => item.code === 'kingCount')) return result();
+        
+        // Copia rasa: com a representação 0x88 this.board é uma visão do tabuleiro
+        const savedBoard = this.board.map(row => row.slice());
+        this.board = board;
+        
+        try {
+            // Roque: rei na fileira inicial e torre na casa indicada
+            const castling = parts[2];
+            if (castling !== '-' && !/^[KQkqA-Ha-h]+$/.test(castling)) {
+                error('invalidCastling', `Campo de roque inválido: "${castling}"`);
+            } else if (castling !== '-') {
+                if (new Set(castling).size !== castling.length) {
+                    error('invalidCastling', `Campo de roque com letras repetidas: "${castling}"`);
+                }
+                
+                for (const char of castling) {
+                    const color = char === char.toUpperCase() ? 'white' : 'black';
+                    const row = color === 'white' ? 7 : 0;
+                    const king = this.findKingPosition(color);
+                    const letter = char.toUpperCase();
+                    
+                    if (king.row !== row) {
+                        error('castlingKingMoved', `Direito de roque "${char}" sem o rei na fileira inicial`);
+                        continue;
+                    }
+                    
+                    let rookCol = null;
+                    if (letter === 'K' || letter === 'Q') {
+                        rookCol = this.getOutermostRookCol(row, color, letter === 'K' ? 'kingSide' : 'queenSide');
+                    } else {
+                        const col = letter.charCodeAt(0) - 65;
+                        const piece = board[row][col];
+                        if (piece && piece.type === this.pieceTypes.ROOK && piece.color === color) {
+                            rookCol = col;
+                        }
+                    }
+                    
+                    if (rookCol === null) {
+                        error('castlingWithoutRook', `Direito de roque "${char}" sem torre na casa correspondente`);
+                    } else if (this.variant !== 'chess960' && letter !== 'K' && letter !== 'Q') {
+                        warning('chess960Castling', `Roque "${char}" só é possível no Chess960`);
+                    } else if (this.variant !== 'chess960' && (king.col !== 4 || (rookCol !== 0 && rookCol !== 7))) {
+                        warning('chess960Castling', `Roque "${char}" com rei ou torre fora da casa inicial (Chess960)`);
+                    }
+                }
+            }
+            
+            // En passant: casa vazia atrás de um peão que acabou de avançar duas casas
+            const enPassant = parts[3];
+            if (enPassant !== '-') {
+                const epRank = turn === 'white' ? '6' : '3';
+                
+                if (!/^[a-h][36]$/.test(enPassant) || enPassant[1] !== epRank) {
+                    error('invalidEnPassant', `Casa de en passant impossível: "${enPassant}"`);
+                } else {
+                    const col = enPassant.charCodeAt(0) - 97;
+                    const row = 8 - parseInt(enPassant[1]);
+                    const direction = turn === 'white' ? 1 : -1;
+                    const pawn = board[row + direction][col];
+                    
+                    if (!pawn || pawn.type !== this.pieceTypes.PAWN || pawn.color !== opponent ||
+                        board[row][col] || board[row - direction][col]) {
+                        error('invalidEnPassant', `Casa de en passant "${enPassant}" sem peão que acabou de avançar duas casas`);
+                    } else {
+                        const capturers = [col - 1, col + 1].filter(c => {
+                            const piece = this.isInBoard(row + direction, c) ? board[row + direction][c] : null;
+                            return piece && piece.type === this.pieceTypes.PAWN && piece.color === turn;
+                        });
+                        if (capturers.length === 0) {
+                            warning('enPassantNotCapturable', `Nenhum peão pode capturar en passant em "${enPassant}"`);
+                        }
+                    }
+                    
+                    if (parts[4] !== undefined && parts[4] !== '0') {
+                        warning('halfMoveClockMismatch', 'Relógio de meio movimento deveria ser 0 após avanço de peão');
+                    }
+                }
+            }
+            
+            // O lado que não joga não pode estar em xeque
+            if (this.isKingInCheck(opponent)) {
+                error('opponentInCheck', `O rei das ${opponent === 'white' ? 'brancas' : 'pretas'} está em xeque, mas não é a vez delas`);
+            }
+        } finally {
+            this.board = savedBoard;
+        }
+        
+        return result();
+    }
+    
+    /**
+     * Carrega posição a partir de FEN.
+     * FEN inválido é recusado, exceto com options.lenient. options.variant mantém
+     * o Chess960 quando o roque do FEN também vale no xadrez padrão.
+     */
+    loadFEN(fen, options = {}) {
+        let validation = { valid: true, errors: [], warnings: [] };
+        
+        if (!options.lenient) {
+            validation = this.validateFEN(fen);
+            if (!validation.valid) {
+                console.error('FEN inválido:', validation.errors);
+                return {
+                    success: false,
+                    error: validation.errors.map(item => item.message).join('; '),
+                    errors: validation.errors,
+                    warnings: validation.warnings
+                };
+            }
+        }
+        
         try {
             const parts = fen.trim().split(/\s+/);
             if (parts.length < 4) throw new Error('FEN inválido');
@@ -1122,6 +2563,7 @@ class ChessRules {
                     } else {
                         const color = /[A-Z]/.test(char) ? 'white' : 'black';
                         const type = this.getPieceTypeFromSymbol(char.toUpperCase());
+                        if (!type) throw new Error(`Peça desconhecida "${char}"`);
                         this.board[row][col] = {
                             type,
                             color,
@@ -1136,20 +2578,13 @@ class ChessRules {
             this.gameState.turn = parts[1] === 'w' ? 'white' : 'black';
             
             // Direitos de roque
-            this.gameState.castlingRights = {
-                white: { kingSide: false, queenSide: false },
-                black: { kingSide: false, queenSide: false }
-            };
+            this.parseCastlingField(parts[2]);
             
-            if (parts[2] !== '-') {
-                for (const char of parts[2]) {
-                    switch (char) {
-                        case 'K': this.gameState.castlingRights.white.kingSide = true; break;
-                        case 'Q': this.gameState.castlingRights.white.queenSide = true; break;
-                        case 'k': this.gameState.castlingRights.black.kingSide = true; break;
-                        case 'q': this.gameState.castlingRights.black.queenSide = true; break;
-                    }
-                }
+            // Variante: roque que só existe no Chess960 a define; senão vale
+            // options.variant (quem sabe a variante da partida) ou o xadrez padrão
+            const variant = this.requiresChess960Castling() ? 'chess960' : options.variant || 'standard';
+            if (variant !== this.variant) {
+                this.setVariant(variant);
             }
             
             // Alvo en passant
@@ -1167,19 +2602,102 @@ class ChessRules {
             // Limpa histórico
             this.gameState.moveHistory = [];
             this.gameState.capturedPieces = { white: [], black: [] };
-            this.gameState.repetitionCount = {};
+            this.computeZobristKey();
+            this.gameState.repetitionCount = { [this.getBoardHash()]: 1 };
+            this.startFEN = this.exportFEN();
+            this.resetMoveTree();
             
-            // Recalcula estado
-            this.gameState.check = this.isKingInCheck(this.gameState.turn === 'white' ? 'black' : 'white');
+            // Recalcula estado (o xeque é sempre do lado que joga)
+            this.gameState.check = this.isKingInCheck(this.gameState.turn);
+            this.gameState.checkmate = false;
+            this.gameState.stalemate = false;
+            this.gameState.draw = false;
+            this.gameState.drawReason = null;
+            this.gameState.winner = null;
+            this.gameState.winReason = null;
+            this.gameState.gameOver = false;
             this.checkGameOver();
             
-            return { success: true };
+            return { success: true, warnings: validation.warnings };
         } catch (error) {
             console.error('Erro ao carregar FEN:', error);
             return { success: false, error: error.message };
         }
     }
     
+    /**
+     * Carrega um jogo lido pelo PGNParser: a linha principal é refeita e as
+     * variações entram na árvore de lances com seus comentários e NAGs.
+     */
+    loadPGNGame(game) {
+        const headers = game.headers || {};
+        const variant = /960|fischer/i.test(headers.Variant || '') ? 'chess960' : 'standard';
+        this.setVariant(variant);
+        
+        if (headers.FEN && headers.SetUp !== '0') {
+            const fenResult = this.loadFEN(headers.FEN, { variant });
+            if (!fenResult.success) {
+                return { success: false, error: `FEN do cabeçalho inválido: ${fenResult.error}` };
+            }
+        } else {
+            this.reset();
+        }
+        
+        this.moveTree.comments = [...(game.comments || [])];
+        
+        const result = this.events.silently(() => this.playPGNLine(game.moves));
+        if (!result.success) return result;
+        
+        return { success: true, headers, result: game.result, moves: game.moves.length };
+    }
+    
+    /**
+     * Joga uma sequência de lances do PGN a partir do nó atual, incluindo as variações
+     */
+    playPGNLine(pgnMoves) {
+        for (const pgnMove of pgnMoves) {
+            const parent = this.currentNode;
+            const moveNumber = this.gameState.fullMoveNumber;
+            const dots = this.gameState.turn === 'white' ? '.' : '...';
+            const location = `(linha ${pgnMove.line}, coluna ${pgnMove.column})`;
+            
+            const result = this.gameState.gameOver
+                ? { success: false, code: 'illegal', error: 'lance após o fim da partida' }
+                : this.makeMoveSAN(pgnMove.san);
+            
+            if (!result.success) {
+                return {
+                    success: false,
+                    code: result.code,
+                    error: `Lance ${moveNumber}${dots} ${pgnMove.san}: ${result.error} ${location}`,
+                    line: pgnMove.line,
+                    column: pgnMove.column,
+                    ply: this.gameState.moveHistory.length
+                };
+            }
+            
+            const node = this.currentNode;
+            node.comments = [...pgnMove.comments];
+            node.commentsBefore = [...(pgnMove.commentsBefore || [])];
+            node.nags = [...pgnMove.nags];
+            if (pgnMove.clock) node.move.clock = { ...pgnMove.clock };
+            if (pgnMove.drawOffer) node.move.drawOffer = true;
+            
+            // Variações são alternativas a este lance, a partir da posição anterior
+            for (const variation of pgnMove.variations) {
+                this.goToNode(parent.id);
+                const variationResult = this.playPGNLine(variation);
+                if (!variationResult.success) return variationResult;
+            }
+            
+            if (pgnMove.variations.length > 0) {
+                this.goToNode(node.id);
+            }
+        }
+        
+        return { success: true };
+    }
+    
     /**
      * Obtém tipo de peça a partir do símbolo FEN
      */
@@ -1191,7 +2709,7 @@ class ChessRules {
             case 'R': return this.pieceTypes.ROOK;
             case 'Q': return this.pieceTypes.QUEEN;
             case 'K': return this.pieceTypes.KING;
-            default: return this.pieceTypes.PAWN;
+            default: return null;
         }
     }
     
@@ -1248,20 +2766,36 @@ class ChessRules {
     }
     
     /**
-     * Obtém resultado do jogo
+     * Obtém resultado do jogo: { result ('1-0', '0-1', '1/2-1/2'), winner, reason, termination }.
+     * reason é o motivo exato (checkmate, timeout, resignation ou o drawReason) e
+     * termination é o valor da tag PGN Termination.
      */
     getGameResult() {
         if (!this.gameState.gameOver) return null;
         
+        let winner = null;
+        let reason = null;
+        
         if (this.gameState.checkmate) {
-            return this.gameState.turn === 'white' ? '0-1' : '1-0';
+            winner = this.gameState.turn === 'white' ? 'black' : 'white';
+            reason = 'checkmate';
+        } else if (this.gameState.winner) {
+            winner = this.gameState.winner;
+            reason = this.gameState.winReason;
+        } else if (this.gameState.draw || this.gameState.stalemate) {
+            reason = this.gameState.drawReason || 'stalemate';
+        } else {
+            return null;
         }
         
-        if (this.gameState.draw || this.gameState.stalemate) {
-            return '1/2-1/2';
-        }
+        const timeout = reason === 'timeout' || reason === 'timeoutVsInsufficientMaterial';
         
-        return null;
+        return {
+            result: winner ? (winner === 'white' ? '1-0' : '0-1') : '1/2-1/2',
+            winner,
+            reason,
+            termination: timeout ? 'time forfeit' : 'normal'
+        };
     }
     
     /**
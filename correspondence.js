@@ -0,0 +1,578 @@
+/**
+ * XADREZ POR CORRESPONDÊNCIA
+ * Partidas lentas, jogadas ao longo de dias: cada lance tem um prazo em dias (no lugar
+ * do relógio), só vale depois de confirmado e pode ser respondido automaticamente por
+ * lances condicionais ("se ele jogar X, respondo Y"). Toda partida é salva a cada
+ * mudança, então várias ficam abertas ao mesmo tempo e são retomadas pela lista.
+ */
+
+class CorrespondenceGames {
+    constructor(game) {
+        this.game = game;
+        
+        this.storageKey = 'chess_correspondence_games';
+        this.games = this.loadGames(); // { id: registro }
+        this.current = null; // Registro da partida aberta
+        this.pending = null; // Lance aguardando confirmação: { from, to, promotion, san }
+        this.defaultDays = 3;
+        
+        this.controls = null;
+        this.elements = {};
+        
+        game.on('move', ({ move, color }) => this.handleMove(move, color));
+        game.on('undo', () => this.handleUndo());
+        game.on('gameOver', () => this.save());
+    }
+    
+    /**
+     * Há uma partida por correspondência aberta no tabuleiro
+     */
+    isOpen() {
+        return this.current !== null;
+    }
+    
+    /**
+     * A partida aberta é a que está no tabuleiro (outro modo pode ter assumido)
+     */
+    isActive() {
+        return this.current !== null && this.game.gameState.mode === 'correspondence';
+    }
+    
+    /**
+     * Começa uma partida nova com o prazo por lance (em dias) e os nomes dos jogadores
+     */
+    createGame(options = {}) {
+        const game = this.game;
+        const days = Number(options.days) || this.defaultDays;
+        if (days <= 0) {
+            return { success: false, error: 'O prazo por lance precisa ser positivo' };
+        }
+        
+        game.newGame();
+        
+        const now = Date.now();
+        const record = {
+            id: `c${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            white: options.white || 'Brancas',
+            black: options.black || 'Pretas',
+            days,
+            variant: game.rules.variant,
+            startFEN: game.rules.startFEN,
+            moves: [], // Lances em UCI
+            times: [], // Momento (ms) de cada lance
+            conditionals: { white: [], black: [] }, // Linhas { ply, moves: [uci, ...] }
+            result: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        this.games[record.id] = record;
+        this.activate(record);
+        this.save();
+        
+        return { success: true, id: record.id };
+    }
+    
+    /**
+     * Retoma uma partida da lista: refaz os lances a partir da posição inicial
+     */
+    open(id) {
+        const game = this.game;
+        const record = this.games[id];
+        if (!record) {
+            return { success: false, error: 'Partida não encontrada' };
+        }
+        
+        game.newGame();
+        
+        const rules = game.rules;
+        rules.setVariant(record.variant);
+        game.gameState.variant = record.variant;
+        
+        const loaded = game.loadPosition(record.startFEN);
+        if (!loaded.success) return loaded;
+        
+        rules.events.silently(() => {
+            for (const uci of record.moves) {
+                if (!rules.makeMoveUCI(uci).success) break;
+            }
+            
+            // Desistência e perda por prazo não aparecem nos lances
+            rules.restoreResult(record.result);
+        });
+        
+        this.activate(record);
+        game.refreshAfterNavigation();
+        this.checkDeadline();
+        
+        return { success: true };
+    }
+    
+    /**
+     * Põe o registro no tabuleiro: modo, relógio parado e painel
+     */
+    activate(record) {
+        const game = this.game;
+        
+        this.current = record;
+        this.pending = null;
+        game.gameState.mode = 'correspondence';
+        game.clock.stop();
+        
+        game.elements.difficultyLevel.textContent = `Correspondência · ${record.days} dia(s) por lance`;
+        this.renderDeadlines();
+        this.updateControls();
+    }
+    
+    /**
+     * Tira a partida do tabuleiro (ela continua salva na lista)
+     */
+    close() {
+        this.clearPending();
+        this.current = null;
+        this.updateControls();
+    }
+    
+    /**
+     * Apaga a partida da lista
+     */
+    remove(id) {
+        if (this.current && this.current.id === id) this.close();
+        
+        delete this.games[id];
+        this.saveGames();
+        this.updateControls();
+    }
+    
+    /**
+     * Lance escolhido no tabuleiro: fica aguardando confirmação
+     */
+    propose(from, to, promotion = null) {
+        const game = this.game;
+        const legal = game.rules.calculateAllLegalMoves().some(move =>
+            move.from.row === from.row && move.from.col === from.col &&
+            move.to.row === to.row && move.to.col === to.col
+        );
+        
+        if (!legal) {
+            game.soundManager.play('illegal');
+            game.showNotification('Movimento inválido', 'error');
+            return { success: false, error: 'Movimento inválido' };
+        }
+        
+        this.clearPending();
+        game.clearSelection();
+        
+        this.pending = { from: { ...from }, to: { ...to }, promotion, san: game.describeMove(from, to, promotion) };
+        game.getSquareElement(from.row, from.col).classList.add('pending-move');
+        game.getSquareElement(to.row, to.col).classList.add('pending-move');
+        game.soundManager.play('click');
+        
+        this.updateControls();
+        return { success: true, pending: true };
+    }
+    
+    /**
+     * Confirma e envia o lance pendente
+     */
+    confirm() {
+        const pending = this.pending;
+        if (!pending) return { success: false, error: 'Nenhum lance aguardando confirmação' };
+        
+        this.clearPending();
+        this.updateControls();
+        this.game.makeMove(pending.from, pending.to, pending.promotion, { confirmed: true });
+        
+        return { success: true };
+    }
+    
+    /**
+     * Desiste do lance pendente
+     */
+    cancel() {
+        this.clearPending();
+        this.updateControls();
+    }
+    
+    clearPending() {
+        if (!this.pending) return;
+        
+        const { from, to } = this.pending;
+        this.pending = null;
+        this.game.getSquareElement(from.row, from.col).classList.remove('pending-move');
+        this.game.getSquareElement(to.row, to.col).classList.remove('pending-move');
+    }
+    
+    /**
+     * Lance jogado: registra o horário, salva e, se houver, joga a resposta condicional
+     */
+    handleMove(move, color) {
+        if (!this.isActive()) return;
+        
+        const history = this.game.rules.gameState.moveHistory;
+        const ply = history.indexOf(move);
+        this.current.times.length = ply;
+        this.current.times.push(Date.now());
+        
+        const reply = this.takeConditionalReply(color === 'white' ? 'black' : 'white', ply, this.toUCI(move));
+        this.save();
+        
+        // A resposta sai depois que o tabuleiro terminar de mostrar o lance
+        if (reply) {
+            setTimeout(() => this.playConditional(reply), 0);
+        }
+    }
+    
+    /**
+     * Lance desfeito (pedido de volta aceito): descarta horário e linhas que ficaram à frente
+     */
+    handleUndo() {
+        if (!this.isActive()) return;
+        
+        const plies = this.game.rules.gameState.moveHistory.length;
+        this.current.times.length = plies;
+        ['white', 'black'].forEach(color => {
+            this.current.conditionals[color] = this.current.conditionals[color].filter(line => line.ply <= plies);
+        });
+        
+        this.save();
+    }
+    
+    /**
+     * Adiciona uma linha condicional para quem aguarda o adversário:
+     * "e5 Nf3 Nc6 Bb5" = se ele jogar e5, respondo Nf3; se depois Nc6, respondo Bb5.
+     * Aceita SAN ou UCI.
+     */
+    addConditional(text) {
+        if (!this.isActive() || this.game.gameOver) {
+            return { success: false, error: 'Abra uma partida por correspondência em andamento' };
+        }
+        
+        const rules = this.game.rules;
+        const tokens = String(text || '').trim().split(/[\s,]+/).filter(token => token && !/^\d+\.+$/.test(token));
+        if (tokens.length < 2 || tokens.length % 2 !== 0) {
+            return { success: false, error: 'Informe pares de lances: o do adversário e a sua resposta' };
+        }
+        
+        // Confere a linha numa cópia da posição atual
+        const copy = new ChessRules();
+        copy.setVariant(rules.variant);
+        copy.loadFEN(rules.exportFEN(), { lenient: true, variant: rules.variant });
+        
+        const moves = [];
+        const error = copy.events.silently(() => {
+            for (const token of tokens) {
+                const result = /^[a-h][1-8][a-h][1-8][qrbn]?$/i.test(token)
+                    ? copy.makeMoveUCI(token)
+                    : copy.makeMoveSAN(token);
+                if (!result.success) return `${token}: ${result.error}`;
+                moves.push(this.toUCI(result.moveRecord));
+            }
+            return null;
+        });
+        if (error) return { success: false, error };
+        
+        // Quem espera é o lado que não está na vez
+        const owner = rules.gameState.turn === 'white' ? 'black' : 'white';
+        this.current.conditionals[owner].push({ ply: rules.gameState.moveHistory.length, moves });
+        this.save();
+        this.updateControls();
+        
+        return { success: true, owner, moves };
+    }
+    
+    /**
+     * Apaga as linhas condicionais de quem aguarda
+     */
+    clearConditionals() {
+        if (!this.isActive()) return;
+        
+        this.current.conditionals = { white: [], black: [] };
+        this.save();
+        this.updateControls();
+    }
+    
+    /**
+     * O adversário jogou `uci` no meio-lance `ply`: devolve a resposta combinada
+     * (ou null). As linhas que não previram o lance são descartadas.
+     */
+    takeConditionalReply(owner, ply, uci) {
+        const lines = this.current.conditionals[owner];
+        const match = lines.find(line => line.ply === ply && line.moves[0] === uci);
+        const reply = match ? match.moves[1] : null;
+        
+        this.current.conditionals[owner] = lines
+            .filter(line => line.ply === ply && line.moves[0] === uci && line.moves[1] === reply)
+            .map(line => ({ ply: ply + 2, moves: line.moves.slice(2) }))
+            .filter(line => line.moves.length > 0);
+        
+        return reply;
+    }
+    
+    /**
+     * Joga a resposta condicional (já confirmada ao ser cadastrada)
+     */
+    playConditional(uci) {
+        const game = this.game;
+        if (!this.isActive() || game.gameOver) return;
+        
+        const match = /^([a-h])([1-8])([a-h])([1-8])([qrbn])?$/.exec(uci);
+        const from = { row: 8 - parseInt(match[2]), col: match[1].charCodeAt(0) - 97 };
+        const to = { row: 8 - parseInt(match[4]), col: match[3].charCodeAt(0) - 97 };
+        
+        const promotion = match[5] ? game.rules.normalizePromotionPiece(match[5]) : null;
+        
+        this.clearPending();
+        game.showNotification(`Lance condicional: ${game.describeMove(from, to, promotion)}`, 'info');
+        game.makeMove(from, to, promotion, { confirmed: true });
+    }
+    
+    /**
+     * Prazo do lance atual (ms): último lance (ou início da partida) + dias por lance
+     */
+    getDeadline(record = this.current) {
+        const last = record.times.length > 0 ? record.times[record.times.length - 1] : record.createdAt;
+        return last + record.days * 24 * 60 * 60 * 1000;
+    }
+    
+    /**
+     * Prazo esgotado perde a partida; senão, atualiza os mostradores
+     */
+    checkDeadline() {
+        const game = this.game;
+        if (!this.isActive() || game.gameOver || !game.gameState.gameActive) return;
+        
+        if (Date.now() >= this.getDeadline()) {
+            game.handleTimeout(game.rules.gameState.turn);
+            return;
+        }
+        
+        this.renderDeadlines();
+    }
+    
+    /**
+     * Mostra no lugar dos relógios o tempo até o prazo (lado na vez) e o prazo por lance
+     */
+    renderDeadlines() {
+        const game = this.game;
+        const record = this.current;
+        if (!record) return;
+        
+        const turn = game.rules.gameState.turn;
+        const remaining = game.gameOver ? null : this.getDeadline(record) - Date.now();
+        
+        ['white', 'black'].forEach(color => {
+            const element = color === 'white' ? game.elements.whiteClock : game.elements.blackClock;
+            element.textContent = color === turn && remaining !== null
+                ? this.formatRemaining(remaining)
+                : `${record.days}d`;
+        });
+    }
+    
+    /**
+     * Tempo até o prazo: "2d 05:17" ou, no último dia, "05:17:42"
+     */
+    formatRemaining(ms) {
+        const total = Math.max(0, Math.floor(ms / 1000));
+        const days = Math.floor(total / 86400);
+        const hours = String(Math.floor(total % 86400 / 3600)).padStart(2, '0');
+        const minutes = String(Math.floor(total % 3600 / 60)).padStart(2, '0');
+        const seconds = String(total % 60).padStart(2, '0');
+        
+        return days > 0 ? `${days}d ${hours}:${minutes}` : `${hours}:${minutes}:${seconds}`;
+    }
+    
+    toUCI(move) {
+        return this.game.rules.getUCIMove(move, move.promotion);
+    }
+    
+    /**
+     * Copia a partida do tabuleiro para o registro aberto e grava a lista
+     */
+    save() {
+        if (!this.isActive()) return;
+        
+        const rules = this.game.rules;
+        const record = this.current;
+        
+        record.moves = rules.gameState.moveHistory.map(move => this.toUCI(move));
+        record.times.length = Math.min(record.times.length, record.moves.length);
+        record.result = rules.gameState.gameOver ? rules.getGameResult() : null;
+        record.updatedAt = Date.now();
+        
+        this.saveGames();
+        this.updateControls();
+    }
+    
+    saveGames() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.games));
+        } catch (error) {
+            this.game.showNotification('Não foi possível salvar as partidas por correspondência', 'error');
+        }
+    }
+    
+    loadGames() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Partidas da lista: em andamento primeiro, pelo prazo mais próximo
+     */
+    listGames() {
+        return Object.values(this.games).sort((a, b) => {
+            if (!a.result !== !b.result) return a.result ? 1 : -1;
+            return a.result ? b.updatedAt - a.updatedAt : this.getDeadline(a) - this.getDeadline(b);
+        });
+    }
+    
+    /**
+     * Linha da lista: jogadores, lance, vez e prazo (ou resultado)
+     */
+    describeGame(record) {
+        const players = `${record.white} × ${record.black}`;
+        if (record.result) return `${players} · ${record.result.result}`;
+        
+        const turn = record.moves.length % 2 === 0 === record.startFEN.split(' ')[1].startsWith('w') ? record.white : record.black;
+        const remaining = this.getDeadline(record) - Date.now();
+        const deadline = remaining > 0 ? `prazo ${this.formatRemaining(remaining)}` : 'prazo esgotado';
+        
+        return `${players} · ${record.moves.length} meio(s)-lance(s) · vez de ${turn} · ${deadline}`;
+    }
+    
+    /**
+     * Cria o painel (nova partida, confirmação, condicionais e lista) abaixo do tabuleiro
+     */
+    createControls() {
+        const board = this.game.elements.board;
+        if (!board || this.controls) return;
+        
+        const controls = document.createElement('div');
+        controls.className = 'correspondence-panel';
+        controls.innerHTML = `
+            <div class="correspondence-fields">
+                <strong>Correspondência</strong>
+                <input type="text" class="correspondence-white" maxlength="30" placeholder="Brancas">
+                <input type="text" class="correspondence-black" maxlength="30" placeholder="Pretas">
+                <select class="correspondence-days" title="Prazo por lance">
+                    <option value="1">1 dia</option>
+                    <option value="2">2 dias</option>
+                    <option value="3" selected>3 dias</option>
+                    <option value="5">5 dias</option>
+                    <option value="7">7 dias</option>
+                    <option value="14">14 dias</option>
+                </select>
+                <button class="btn" data-action="new">Nova partida</button>
+            </div>
+            <div class="correspondence-confirm">
+                <span class="correspondence-confirm-text"></span>
+                <div class="button-group">
+                    <button class="btn primary" data-action="confirm">Confirmar</button>
+                    <button class="btn" data-action="cancel">Cancelar</button>
+                </div>
+            </div>
+            <div class="correspondence-conditionals">
+                <input type="text" class="correspondence-conditional-input" placeholder="Condicionais: e5 Nf3 Nc6 Bb5">
+                <button class="btn" data-action="add-conditional">Adicionar</button>
+                <button class="btn" data-action="clear-conditionals">Limpar</button>
+                <span class="correspondence-conditional-list"></span>
+            </div>
+            <ul class="correspondence-list"></ul>
+        `;
+        
+        this.elements = {
+            white: controls.querySelector('.correspondence-white'),
+            black: controls.querySelector('.correspondence-black'),
+            days: controls.querySelector('.correspondence-days'),
+            confirm: controls.querySelector('.correspondence-confirm'),
+            confirmText: controls.querySelector('.correspondence-confirm-text'),
+            conditionals: controls.querySelector('.correspondence-conditionals'),
+            conditionalInput: controls.querySelector('.correspondence-conditional-input'),
+            conditionalList: controls.querySelector('.correspondence-conditional-list'),
+            list: controls.querySelector('.correspondence-list')
+        };
+        
+        controls.querySelector('[data-action="new"]').addEventListener('click', () => {
+            this.createGame({
+                white: this.elements.white.value.trim(),
+                black: this.elements.black.value.trim(),
+                days: this.elements.days.value
+            });
+        });
+        controls.querySelector('[data-action="confirm"]').addEventListener('click', () => this.confirm());
+        controls.querySelector('[data-action="cancel"]').addEventListener('click', () => this.cancel());
+        controls.querySelector('[data-action="add-conditional"]').addEventListener('click', () => {
+            const result = this.addConditional(this.elements.conditionalInput.value);
+            if (!result.success) {
+                this.game.showNotification(result.error, 'warning');
+                return;
+            }
+            this.elements.conditionalInput.value = '';
+        });
+        controls.querySelector('[data-action="clear-conditionals"]').addEventListener('click', () => this.clearConditionals());
+        
+        board.insertAdjacentElement('afterend', controls);
+        this.controls = controls;
+        this.updateControls();
+    }
+    
+    /**
+     * Mostra o lance a confirmar, as condicionais de quem aguarda e a lista de partidas
+     */
+    updateControls() {
+        if (!this.controls) return;
+        
+        const active = this.isActive();
+        
+        this.elements.confirm.style.display = this.pending ? 'flex' : 'none';
+        if (this.pending) {
+            this.elements.confirmText.textContent = `Enviar ${this.pending.san}?`;
+        }
+        
+        this.elements.conditionals.style.display = active && !this.game.gameOver ? 'flex' : 'none';
+        if (active) {
+            const owner = this.game.rules.gameState.turn === 'white' ? 'black' : 'white';
+            const lines = this.current.conditionals[owner];
+            this.elements.conditionalList.textContent = lines.length > 0
+                ? `${lines.length} linha(s) de ${owner === 'white' ? 'brancas' : 'pretas'}`
+                : '';
+        }
+        
+        const list = this.elements.list;
+        list.innerHTML = '';
+        this.listGames().forEach(record => {
+            const item = document.createElement('li');
+            item.className = 'correspondence-item';
+            item.classList.toggle('current', record === this.current);
+            
+            const text = document.createElement('span');
+            text.textContent = this.describeGame(record);
+            item.appendChild(text);
+            
+            const open = document.createElement('button');
+            open.className = 'btn';
+            open.textContent = 'Abrir';
+            open.addEventListener('click', () => this.open(record.id));
+            item.appendChild(open);
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn';
+            remove.textContent = 'Apagar';
+            remove.addEventListener('click', () => {
+                if (confirm(`Apagar a partida ${record.white} × ${record.black}?`)) this.remove(record.id);
+            });
+            item.appendChild(remove);
+            
+            list.appendChild(item);
+        });
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CorrespondenceGames;
+}
@@ -0,0 +1,100 @@
+/**
+ * EMISSOR DE EVENTOS
+ * Usado por ChessRules e ChessGame para avisar sons, interface e análises
+ * (lance, xeque, fim de jogo, relógio...) sem chamadas fixas entre os módulos.
+ */
+
+class ChessEventEmitter {
+    /**
+     * @param {string[]} eventNames Eventos aceitos; nomes fora da lista geram erro
+     */
+    constructor(eventNames) {
+        this.eventNames = new Set(eventNames);
+        this.listeners = {};
+        this.muted = 0;
+        
+        eventNames.forEach(event => {
+            this.listeners[event] = [];
+        });
+    }
+    
+    /**
+     * Verifica se o evento é conhecido
+     */
+    assertEvent(event) {
+        if (!this.eventNames.has(event)) {
+            throw new Error(`Evento desconhecido: ${event}`);
+        }
+    }
+    
+    /**
+     * Inscreve um ouvinte. Retorna a função que cancela a inscrição.
+     */
+    on(event, handler) {
+        this.assertEvent(event);
+        if (typeof handler !== 'function') {
+            throw new TypeError('O ouvinte precisa ser uma função');
+        }
+        
+        this.listeners[event].push(handler);
+        return () => this.off(event, handler);
+    }
+    
+    /**
+     * Inscreve um ouvinte que é removido após a primeira chamada
+     */
+    once(event, handler) {
+        const unsubscribe = this.on(event, (data) => {
+            unsubscribe();
+            handler(data);
+        });
+        return unsubscribe;
+    }
+    
+    /**
+     * Cancela a inscrição (sem ouvinte, remove todos os do evento)
+     */
+    off(event, handler = null) {
+        this.assertEvent(event);
+        
+        this.listeners[event] = handler
+            ? this.listeners[event].filter(listener => listener !== handler)
+            : [];
+    }
+    
+    /**
+     * Dispara o evento. O erro de um ouvinte não impede os demais.
+     */
+    emit(event, data = {}) {
+        this.assertEvent(event);
+        if (this.muted > 0) return;
+        
+        const payload = { type: event, ...data };
+        
+        // Copia a lista: ouvintes podem se desinscrever durante o disparo
+        for (const listener of [...this.listeners[event]]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Erro no ouvinte do evento ${event}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Executa a função sem disparar eventos (navegação, importação de PGN...)
+     */
+    silently(callback) {
+        this.muted++;
+        try {
+            return callback();
+        } finally {
+            this.muted--;
+        }
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChessEventEmitter;
+}
@@ -4,25 +4,50 @@
  */
 
 class ChessGame {
-    constructor() {
+    /**
+     * @param {Object} options spectator: true cria só o tabuleiro para assistir
+     *   (sem IA, rede, sons nem ouvintes de entrada), com os elementos de options.elements
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.spectator = Boolean(options.spectator);
+        
         // Módulos do jogo
         this.rules = new ChessRules();
-        this.ai = new ChessAI();
+        this.ai = this.spectator ? null : new ChessAI();
         this.soundManager = new SoundManager();
+        this.notation = new NotationService();
+        this.replay = new ReplayNavigator(this);
+        this.clock = new ChessClock(); // Relógio com incremento, atraso e períodos
+        this.offers = new GameOffers(this); // Ofertas de empate e pedidos de volta
+        
+        // Eventos da partida (os de ChessRules são repassados)
+        this.events = new ChessEventEmitter([
+            'move', 'check', 'gameOver', 'undo',
+            'promotionRequested', 'clockTick', 'flag',
+            'aiThinkingStart', 'aiMove', 'offer'
+        ]);
+        ['move', 'check', 'gameOver', 'undo'].forEach(event => {
+            this.rules.on(event, (data) => this.events.emit(event, data));
+        });
         
         // Estado do jogo
         this.gameState = {
-            mode: 'pvp', // pvp, ai-easy, ai-medium, ai-hard, ai-expert, ai-master
+            mode: 'pvp', // pvp, network, correspondence, ai-easy, ai-medium, ai-hard, ai-expert, ai-master
+            variant: 'standard', // standard, chess960
+            startPosition: null, // Índice Chess960 fixo (null = sorteado)
             playerColor: 'white', // Cor que o jogador controla
             isPlayerTurn: true,
             gameActive: false,
+            analysis: false, // Análise (PGN importado, "Analisar daqui"): desfazer é livre
             flipped: false, // Tabuleiro virado
             selectedSquare: null,
             validMoves: [],
             moveHistory: [],
             capturedPieces: { white: [], black: [] },
+            timeControl: '300', // String TimeControl do PGN (5 minutos)
             timers: {
-                white: 300, // 5 minutos em segundos
+                white: 300, // 5 minutos em segundos (espelho do relógio, para exibição)
                 black: 300,
                 lastUpdate: Date.now()
             },
@@ -30,7 +55,12 @@ class ChessGame {
                 soundEnabled: true,
                 highlightsEnabled: true,
                 boardColor: 'classic',
-                animationSpeed: 'medium'
+                animationSpeed: 'medium',
+                notation: 'san', // san, lan, uci, figurine, localized
+                notationLocale: 'pt', // Letras das peças na notação localizada
+                replaySpeed: 1000, // Intervalo do autoplay do replay (ms)
+                takebackPolicy: 'limited', // Voltas contra a IA: always, limited, never
+                takebackLimit: 3 // Voltas por partida na política 'limited'
             }
         };
         
@@ -59,17 +89,110 @@ class ChessGame {
         this.dragOffset = { x: 0, y: 0 };
         this.promotionPending = null;
         this.gameOver = false;
+        this.boardEditor = null; // Editor de posição (modo de montagem)
+        this.premoves = []; // Lances antecipados na vez do adversário: { from, to, promotion }
+        this.spectators = []; // Partidas acompanhadas (SpectatorView)
+        this.spectatorGrid = null;
         this.animationQueue = [];
         this.isAnimating = false;
         
+        // Sons reagem aos eventos
+        this.setupEventSubscriptions();
+        
+        // Partida em rede (depois dos ouvintes do relógio: corrige os tempos pelo servidor)
+        this.network = this.spectator ? null : new NetworkGame(this);
+        
+        // Partidas por correspondência (prazo em dias, confirmação e lances condicionais)
+        this.correspondence = this.spectator ? null : new CorrespondenceGames(this);
+        
+        // Biblioteca de partidas salvas
+        this.library = this.spectator ? null : new SavedGames(this);
+        
+        if (this.spectator) {
+            this.gameState.settings.soundEnabled = false;
+            this.soundManager.enabled = false;
+        }
+        
         // Inicialização
         this.init();
     }
     
+    /**
+     * Inscreve um ouvinte de evento da partida. Retorna a função que cancela a inscrição.
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+    
+    /**
+     * Cancela a inscrição de um ouvinte
+     */
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+    
+    /**
+     * Liga os sons aos eventos da partida
+     */
+    setupEventSubscriptions() {
+        this.on('move', ({ move, color, redo }) => {
+            this.playMoveSound(move);
+            
+            // Aperta o relógio de quem jogou (incremento, Bronstein, troca de período)
+            // e guarda no lance o tempo restante e o gasto. Correspondência usa prazos.
+            // Refazer não é lance novo: volta o tempo registrado no lance, sem incremento
+            if (this.gameState.gameActive && !this.gameOver && this.gameState.mode !== 'correspondence') {
+                if (redo) {
+                    this.clock.setTurn(this.rules.gameState.turn);
+                    if (move.clock) this.clock.setTimes({ [color]: move.clock.remaining });
+                    this.syncClockPeriods();
+                } else {
+                    move.clock = this.clock.press(color);
+                }
+                this.syncTimers();
+            }
+            
+            // O lance expira ofertas pendentes e apaga avisos de recusa
+            this.offers.handleMove();
+        });
+        
+        // Desfazer devolve a vez sem mexer nos tempos (o período volta com os lances)
+        this.on('undo', () => {
+            this.clock.setTurn(this.rules.gameState.turn);
+            this.syncClockPeriods();
+            this.syncTimers();
+        });
+        
+        this.on('gameOver', ({ reason }) => {
+            if (reason === 'checkmate') {
+                this.soundManager.play('checkmate');
+            } else if (reason === 'resignation') {
+                this.soundManager.play('defeat');
+            } else if (reason !== 'timeout') {
+                this.soundManager.play('draw');
+            }
+        });
+        
+        this.on('aiThinkingStart', () => {
+            this.elements.gameStatus.textContent = 'IA pensando...';
+        });
+        
+        this.on('aiMove', ({ thinkingTime }) => {
+            this.elements.aiTime.textContent = `${thinkingTime}ms`;
+        });
+    }
+    
     /**
      * Inicializa o jogo
      */
     async init() {
+        // Espectador: só o tabuleiro, sem painéis nem ouvintes de entrada
+        if (this.spectator) {
+            Object.assign(this.elements, this.options.elements);
+            this.createBoard();
+            return;
+        }
+        
         console.log('Inicializando ChessGame...');
         
         // Obtém referências dos elementos
@@ -81,6 +204,13 @@ class ChessGame {
         // Configura event listeners
         this.setupEventListeners();
         
+        // Barra de navegação do replay
+        this.replay.createControls();
+        this.offers.createControls();
+        this.network.createControls();
+        this.correspondence.createControls();
+        this.library.createControls();
+        
         // Inicializa IA
         await this.ai.init();
         
@@ -90,6 +220,9 @@ class ChessGame {
         // Inicia um novo jogo
         this.newGame();
         
+        // Volta à partida em rede interrompida (página recarregada)
+        this.network.resume();
+        
         console.log('ChessGame inicializado com sucesso');
     }
     
@@ -132,8 +265,8 @@ class ChessGame {
                 square.dataset.row = row;
                 square.dataset.col = col;
                 
-                // Adiciona peça se houver
-                const piece = this.rules.board[displayRow][displayCol];
+                // Adiciona peça se houver (replay e lances antecipados mudam a posição mostrada)
+                const piece = this.getDisplayedBoard()[displayRow][displayCol];
                 if (piece) {
                     const pieceElement = this.createPieceElement(piece, displayRow, displayCol);
                     square.appendChild(pieceElement);
@@ -167,6 +300,9 @@ class ChessGame {
      * Aplica cor do tabuleiro
      */
     applyBoardColor() {
+        // O tabuleiro do espectador segue as cores da página
+        if (this.spectator) return;
+        
         document.body.classList.remove(
             'board-color-green',
             'board-color-blue',
@@ -185,7 +321,10 @@ class ChessGame {
         // Modos de jogo
         document.querySelectorAll('.mode-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                this.setGameMode(e.target.dataset.mode || e.target.closest('.mode-btn').dataset.mode);
+                const modeBtn = e.target.closest('.mode-btn');
+                this.setGameMode(modeBtn.dataset.mode, {
+                    variant: modeBtn.dataset.variant || this.gameState.variant
+                });
             });
         });
         
@@ -193,11 +332,32 @@ class ChessGame {
         document.getElementById('btn-new-game').addEventListener('click', () => this.newGame());
         document.getElementById('btn-undo').addEventListener('click', () => this.undoMove());
         document.getElementById('btn-redo').addEventListener('click', () => this.redoMove());
+        document.addEventListener('keydown', (e) => this.handleKeyboardShortcut(e));
         document.getElementById('btn-flip-board').addEventListener('click', () => this.flipBoard());
         document.getElementById('btn-hint').addEventListener('click', () => this.showHint());
         document.getElementById('btn-save').addEventListener('click', () => this.saveGame());
-        document.getElementById('btn-load').addEventListener('click', () => this.loadGame());
+        document.getElementById('btn-load').addEventListener('click', () => this.library.toggle());
         document.getElementById('btn-resign').addEventListener('click', () => this.resign());
+        
+        const claimDrawButton = document.getElementById('btn-claim-draw');
+        if (claimDrawButton) {
+            claimDrawButton.addEventListener('click', () => this.claimDraw());
+        }
+        
+        const offerDrawButton = document.getElementById('btn-offer-draw');
+        if (offerDrawButton) {
+            offerDrawButton.addEventListener('click', () => this.offerDraw());
+        }
+        
+        const takebackButton = document.getElementById('btn-takeback');
+        if (takebackButton) {
+            takebackButton.addEventListener('click', () => this.requestTakeback());
+        }
+        
+        const setupButton = document.getElementById('btn-setup-board');
+        if (setupButton) {
+            setupButton.addEventListener('click', () => this.enterSetupMode());
+        }
         document.getElementById('btn-rematch').addEventListener('click', () => this.rematch());
         document.getElementById('btn-new-game-modal').addEventListener('click', () => {
             document.getElementById('gameover-modal').style.display = 'none';
@@ -222,8 +382,7 @@ class ChessGame {
         });
         
         document.getElementById('time-control').addEventListener('change', (e) => {
-            const minutes = parseInt(e.target.value);
-            this.setTimeControl(minutes);
+            this.setTimeControl(e.target.value);
         });
         
         // Modal de promoção
@@ -254,8 +413,11 @@ class ChessGame {
         // Event listeners para arrastar peças
         this.setupDragAndDrop();
         
-        // Atualização do timer
-        setInterval(() => this.updateTimers(), 1000);
+        // Atualização do timer (décimos de segundo nos últimos 10s), também das partidas assistidas
+        setInterval(() => {
+            this.updateTimers();
+            this.spectators.forEach(view => view.tick());
+        }, 100);
     }
     
     /**
@@ -272,10 +434,18 @@ class ChessGame {
         document.addEventListener('touchmove', (e) => this.dragPiece(e), { passive: false });
         document.addEventListener('touchend', (e) => this.dropPiece(e));
         
+        // Botão direito cancela os lances antecipados
+        this.elements.board.addEventListener('contextmenu', (e) => {
+            if (this.premoves.length > 0) {
+                e.preventDefault();
+                this.clearPremoves();
+            }
+        });
+        
         // Click para seleção
         this.elements.board.addEventListener('click', (e) => {
             const square = e.target.closest('.chess-square');
-            if (square && !this.isDragging) {
+            if (square && !this.isDragging && !this.boardEditor && !this.replay.isActive()) {
                 this.handleSquareClick(square);
             }
         });
@@ -285,7 +455,7 @@ class ChessGame {
      * Inicia arrasto de peça
      */
     startDrag(e) {
-        if (this.gameOver || this.promotionPending) return;
+        if (this.gameOver || this.promotionPending || this.boardEditor || this.replay.isActive()) return;
         
         const touch = e.type === 'touchstart';
         const clientX = touch ? e.touches[0].clientX : e.clientX;
@@ -298,15 +468,21 @@ class ChessGame {
         const col = parseInt(pieceElement.dataset.col);
         const color = pieceElement.dataset.color;
         
-        // Verifica se é a vez do jogador
-        if (color !== this.rules.gameState.turn) return;
+        // Na vez da IA, o arrasto registra um lance antecipado
+        const premove = this.canPremove(color);
         
-        // Verifica modo de jogo
-        if (this.gameState.mode !== 'pvp' && color !== this.gameState.playerColor) return;
+        if (!premove) {
+            // Verifica se é a vez do jogador
+            if (color !== this.rules.gameState.turn) return;
+            
+            // Verifica modo de jogo
+            if (!this.isLocalGame() && color !== this.gameState.playerColor) return;
+        }
         
         e.preventDefault();
         
         this.isDragging = true;
+        this.isPremoveDrag = premove;
         this.draggedPiece = pieceElement;
         
         // Calcula offset
@@ -322,7 +498,11 @@ class ChessGame {
         this.soundManager.play('piece_pickup');
         
         // Mostra movimentos válidos
-        this.showValidMoves(row, col);
+        if (premove) {
+            this.showPremoveTargets(row, col);
+        } else {
+            this.showValidMoves(row, col);
+        }
     }
     
     /**
@@ -406,14 +586,19 @@ class ChessGame {
         );
         
         if (isValidMove && toRow >= 0 && toRow < 8 && toCol >= 0 && toCol < 8) {
-            // Executa movimento
-            this.makeMove({ row: fromRow, col: fromCol }, { row: toRow, col: toCol });
+            // Executa movimento (ou o guarda, se for antecipado)
+            if (this.isPremoveDrag) {
+                this.queuePremove({ row: fromRow, col: fromCol }, { row: toRow, col: toCol });
+            } else {
+                this.makeMove({ row: fromRow, col: fromCol }, { row: toRow, col: toCol });
+            }
         } else {
             // Retorna peça à posição original
             this.returnPieceToSquare(this.draggedPiece, fromRow, fromCol);
         }
         
         this.isDragging = false;
+        this.isPremoveDrag = false;
         this.draggedPiece = null;
         this.clearValidMoves();
     }
@@ -436,11 +621,17 @@ class ChessGame {
         const row = parseInt(square.dataset.row);
         const col = parseInt(square.dataset.col);
         
+        // Na vez da IA, os cliques registram lances antecipados
+        if (this.canPremove()) {
+            this.handlePremoveClick(row, col);
+            return;
+        }
+        
         // Se já tem uma peça selecionada, tenta mover
         if (this.gameState.selectedSquare) {
             const from = this.gameState.selectedSquare;
             const isValid = this.gameState.validMoves.some(move => 
-                move.to.row === row && move.to.col === toCol
+                move.to.row === row && move.to.col === col
             );
             
             if (isValid) {
@@ -469,7 +660,7 @@ class ChessGame {
         if (piece.color !== this.rules.gameState.turn) return;
         
         // Verifica modo de jogo
-        if (this.gameState.mode !== 'pvp' && piece.color !== this.gameState.playerColor) return;
+        if (!this.isLocalGame() && piece.color !== this.gameState.playerColor) return;
         
         // Marca como selecionada
         this.gameState.selectedSquare = { row, col };
@@ -509,6 +700,224 @@ class ChessGame {
         });
     }
     
+    /**
+     * Tabuleiro mostrado: posição revista no replay ou, com lances antecipados,
+     * a posição como ficaria depois deles
+     */
+    getDisplayedBoard() {
+        if (this.replay.isActive()) return this.replay.getBoard();
+        if (this.premoves.length > 0) return this.getPremoveBoard();
+        return this.rules.board;
+    }
+    
+    /**
+     * O jogador pode antecipar lances: contra a IA, na vez dela
+     */
+    canPremove(color = this.gameState.playerColor) {
+        return !this.gameOver && !this.isLocalGame() &&
+            color === this.gameState.playerColor &&
+            this.rules.gameState.turn !== this.gameState.playerColor;
+    }
+    
+    /**
+     * Cópia do tabuleiro com os lances antecipados aplicados (sem checar legalidade)
+     */
+    getPremoveBoard() {
+        const board = this.rules.board.map(row => row.slice());
+        
+        for (const { from, to, promotion } of this.premoves) {
+            const piece = board[from.row][from.col];
+            if (!piece) continue;
+            
+            board[from.row][from.col] = null;
+            
+            // Roque: rei e torre vão para as casas finais (no Chess960 podem se sobrepor)
+            const side = this.getPremoveCastlingSide(piece, from, to);
+            if (side) {
+                const rookCol = this.rules.gameState.castlingRooks[piece.color][side];
+                const target = this.rules.getCastlingTargets(side);
+                const rook = board[from.row][rookCol];
+                board[from.row][rookCol] = null;
+                board[from.row][target.kingCol] = piece;
+                if (rook) board[from.row][target.rookCol] = rook;
+                continue;
+            }
+            
+            const promotes = piece.type === 'pawn' && (to.row === 0 || to.row === 7);
+            board[to.row][to.col] = promotes ? { ...piece, type: promotion } : piece;
+        }
+        
+        return board;
+    }
+    
+    /**
+     * Casa de destino do roque como lance: a da própria torre no Chess960
+     * (como em getCastlingMoves), g/c no xadrez padrão
+     */
+    getPremoveCastlingCol(color, side) {
+        return this.rules.variant === 'chess960'
+            ? this.rules.gameState.castlingRooks[color][side]
+            : this.rules.getCastlingTargets(side).kingCol;
+    }
+    
+    /**
+     * Lado do roque do lance antecipado (ou null): o rei sai da casa atual dele
+     * e vai para o destino de um roque ainda permitido
+     */
+    getPremoveCastlingSide(piece, from, to) {
+        if (piece.type !== 'king' || to.row !== from.row) return null;
+        
+        const king = this.rules.findKingPosition(piece.color);
+        if (!king || king.row !== from.row || king.col !== from.col) return null;
+        
+        const rights = this.rules.gameState.castlingRights[piece.color];
+        return ['kingSide', 'queenSide'].find(side =>
+            rights[side] && to.col === this.getPremoveCastlingCol(piece.color, side)
+        ) || null;
+    }
+    
+    /**
+     * Casas possíveis para um lance antecipado: o alcance da peça ignorando
+     * bloqueios, já que a posição ainda vai mudar com o lance do adversário
+     */
+    getPremoveTargets(row, col) {
+        const piece = this.getPremoveBoard()[row][col];
+        if (!piece) return [];
+        
+        const directions = this.rules.moveDirections;
+        const targets = [];
+        const add = (r, c) => {
+            if (this.rules.isInBoard(r, c)) targets.push({ row: r, col: c });
+        };
+        
+        switch (piece.type) {
+            case 'pawn': {
+                const startRow = piece.color === 'white' ? 6 : 1;
+                directions.pawn[piece.color].forEach(([dr, dc]) => {
+                    if (Math.abs(dr) === 2 && row !== startRow) return;
+                    add(row + dr, col + dc);
+                });
+                break;
+            }
+            case 'knight':
+            case 'king':
+                directions[piece.type].forEach(([dr, dc]) => add(row + dr, col + dc));
+                
+                // Roque a partir da casa do rei, com as torres de roque das regras
+                if (piece.type === 'king') {
+                    ['kingSide', 'queenSide'].forEach(side => {
+                        const to = { row, col: this.getPremoveCastlingCol(piece.color, side) };
+                        const listed = targets.some(t => t.row === to.row && t.col === to.col);
+                        if (!listed && this.getPremoveCastlingSide(piece, { row, col }, to) === side) {
+                            add(to.row, to.col);
+                        }
+                    });
+                }
+                break;
+            default:
+                directions[piece.type].forEach(([dr, dc]) => {
+                    for (let r = row + dr, c = col + dc; this.rules.isInBoard(r, c); r += dr, c += dc) {
+                        add(r, c);
+                    }
+                });
+        }
+        
+        return targets;
+    }
+    
+    /**
+     * Destaca as casas possíveis do lance antecipado
+     */
+    showPremoveTargets(row, col) {
+        this.clearValidMoves();
+        
+        const targets = this.getPremoveTargets(row, col);
+        this.gameState.validMoves = targets.map(to => ({ from: { row, col }, to }));
+        
+        if (!this.gameState.settings.highlightsEnabled) return;
+        
+        targets.forEach(target => {
+            this.getSquareElement(target.row, target.col).classList.add('valid-move');
+        });
+    }
+    
+    /**
+     * Clique na vez da IA: escolhe a peça e depois o destino do lance antecipado
+     */
+    handlePremoveClick(row, col) {
+        const from = this.gameState.selectedSquare;
+        
+        if (from && this.gameState.validMoves.some(move => move.to.row === row && move.to.col === col)) {
+            this.clearSelection();
+            this.queuePremove(from, { row, col });
+            return;
+        }
+        
+        this.clearSelection();
+        
+        const piece = this.getPremoveBoard()[row][col];
+        if (!piece || piece.color !== this.gameState.playerColor) return;
+        
+        this.gameState.selectedSquare = { row, col };
+        this.getSquareElement(row, col).classList.add('selected');
+        this.showPremoveTargets(row, col);
+    }
+    
+    /**
+     * Adiciona um lance antecipado à fila (promoção sempre para dama)
+     */
+    queuePremove(from, to) {
+        this.premoves.push({ from: { ...from }, to: { ...to }, promotion: this.rules.pieceTypes.QUEEN });
+        this.updateBoard();
+        this.soundManager.play('click');
+    }
+    
+    /**
+     * Joga o primeiro lance antecipado se ainda for legal; se não for, descarta a fila
+     */
+    playPremove() {
+        if (this.premoves.length === 0 || this.gameOver) return;
+        
+        const premove = this.premoves.shift();
+        const legal = this.rules.calculateAllLegalMoves().some(move =>
+            move.from.row === premove.from.row && move.from.col === premove.from.col &&
+            move.to.row === premove.to.row && move.to.col === premove.to.col
+        );
+        
+        if (!legal) {
+            this.premoves = [];
+            this.updateBoard();
+            this.showNotification('Lance antecipado cancelado: não é mais legal', 'info');
+            return;
+        }
+        
+        this.makeMove(premove.from, premove.to, premove.promotion);
+    }
+    
+    /**
+     * Cancela todos os lances antecipados
+     */
+    clearPremoves() {
+        if (this.premoves.length === 0) return;
+        
+        this.premoves = [];
+        this.clearSelection();
+        this.updateBoard();
+    }
+    
+    /**
+     * Marca origem e destino dos lances antecipados
+     */
+    updatePremoveHighlights() {
+        this.elements.squares.forEach(sq => sq.classList.remove('premove'));
+        if (this.replay.isActive()) return;
+        
+        this.premoves.forEach(({ from, to }) => {
+            this.getSquareElement(from.row, from.col).classList.add('premove');
+            this.getSquareElement(to.row, to.col).classList.add('premove');
+        });
+    }
+    
     /**
      * Limpa seleção e movimentos válidos
      */
@@ -532,13 +941,26 @@ class ChessGame {
     }
     
     /**
-     * Executa movimento
+     * Executa movimento.
+     * options.confirmed: lance por correspondência já confirmado (senão aguarda confirmação)
      */
-    async makeMove(from, to) {
+    async makeMove(from, to, promotionPiece = null, options = {}) {
         if (this.gameOver) return;
         
-        // Executa movimento nas regras
-        const result = this.rules.makeMove(from, to);
+        // Promoção: a peça é escolhida antes de executar o lance
+        if (!promotionPiece && this.isPromotionMove(from, to)) {
+            this.handlePromotion(from, to);
+            return;
+        }
+        
+        // Correspondência: o lance só sai depois de confirmado
+        if (this.gameState.mode === 'correspondence' && !options.confirmed) {
+            this.correspondence.propose(from, to, promotionPiece);
+            return;
+        }
+        
+        // Executa movimento nas regras (o som vem do evento 'move')
+        const result = this.rules.makeMove(from, to, promotionPiece || undefined);
         
         if (!result.success) {
             this.soundManager.play('illegal');
@@ -549,9 +971,6 @@ class ChessGame {
         // Atualiza interface
         this.updateBoard();
         
-        // Toca som apropriado
-        this.playMoveSound(result.moveRecord);
-        
         // Atualiza histórico
         this.updateMoveHistory();
         
@@ -561,12 +980,6 @@ class ChessGame {
         // Atualiza status do jogo
         this.updateGameStatus();
         
-        // Verifica promoção
-        if (result.moveRecord.moveType === 'promotion') {
-            this.handlePromotion(from, to);
-            return;
-        }
-        
         // Limpa seleção
         this.clearSelection();
         
@@ -583,22 +996,45 @@ class ChessGame {
         this.updateTurnIndicator();
         
         // Se for vez da IA, faz movimento
-        if (this.gameState.mode !== 'pvp' && !this.gameState.isPlayerTurn) {
+        if (this.isAIGame() && !this.gameState.isPlayerTurn) {
             await this.makeAIMove();
         }
     }
     
+    /**
+     * Partida contra a IA (modos ai-*)
+     */
+    isAIGame() {
+        return this.gameState.mode.startsWith('ai-');
+    }
+    
+    /**
+     * Os dois lados jogam neste tabuleiro (PvP local e correspondência)
+     */
+    isLocalGame() {
+        return this.gameState.mode === 'pvp' || this.gameState.mode === 'correspondence';
+    }
+    
+    /**
+     * Verifica se o lance é uma promoção legal (precisa escolher a peça)
+     */
+    isPromotionMove(from, to) {
+        return this.rules.calculateAllLegalMoves().some(move =>
+            move.type === 'promotion' &&
+            move.from.row === from.row && move.from.col === from.col &&
+            move.to.row === to.row && move.to.col === to.col
+        );
+    }
+    
     /**
      * Movimento da IA
      */
     async makeAIMove() {
-        if (this.gameOver) return;
-        
-        // Mostra status
-        this.elements.gameStatus.textContent = 'IA pensando...';
+        if (this.gameOver || !this.isAIGame()) return;
         
         // Obtém FEN atual
         const fen = this.rules.exportFEN();
+        this.events.emit('aiThinkingStart', { fen, mode: this.gameState.mode });
         
         // Configura callback para análise
         const analysisCallback = (data) => {
@@ -607,10 +1043,14 @@ class ChessGame {
         
         // Obtém melhor movimento da IA
         const startTime = Date.now();
+        const positionKey = this.rules.getBoardHash();
         
         this.ai.getBestMove(fen, (move) => {
             const thinkingTime = Date.now() - startTime;
             
+            // A posição mudou enquanto a IA pensava (lance desfeito, nova partida...)
+            if (this.rules.getBoardHash() !== positionKey) return;
+            
             if (move) {
                 // Executa movimento da IA
                 const result = this.rules.makeMove(move.from, move.to, move.promotion);
@@ -618,15 +1058,11 @@ class ChessGame {
                 if (result.success) {
                     // Atualiza interface
                     this.updateBoard();
-                    this.playMoveSound(result.moveRecord);
                     this.updateMoveHistory();
                     this.updateCapturedPieces();
                     this.updateGameStatus();
                     
-                    // Verifica promoção (IA sempre promove para rainha)
-                    if (result.moveRecord.moveType === 'promotion') {
-                        this.updateBoard(); // Atualiza novamente para mostrar rainha
-                    }
+                    this.events.emit('aiMove', { move: result.moveRecord, thinkingTime });
                     
                     // Verifica fim de jogo
                     if (result.checkmate || result.stalemate || result.draw) {
@@ -640,10 +1076,43 @@ class ChessGame {
                     
                     // Atualiza status
                     this.elements.gameStatus.textContent = 'Sua vez';
-                    this.elements.aiTime.textContent = `${thinkingTime}ms`;
+                    
+                    // Joga o lance antecipado, se houver
+                    this.playPremove();
                 }
             }
-        }, analysisCallback);
+        }, analysisCallback, positionKey);
+    }
+    
+    /**
+     * Lance do adversário recebido do relay (partida em rede), em UCI
+     */
+    applyNetworkMove(uci) {
+        if (this.gameOver) {
+            return { success: false, error: 'A partida já terminou' };
+        }
+        
+        const result = this.rules.makeMoveUCI(uci);
+        if (!result.success) return result;
+        
+        this.updateBoard();
+        this.updateMoveHistory();
+        this.updateCapturedPieces();
+        this.updateGameStatus();
+        
+        if (result.checkmate || result.stalemate || result.draw) {
+            this.handleGameOver(result);
+            return result;
+        }
+        
+        this.gameState.isPlayerTurn = true;
+        this.updateTurnIndicator();
+        this.elements.gameStatus.textContent = 'Sua vez';
+        
+        // Joga o lance antecipado, se houver
+        this.playPremove();
+        
+        return result;
     }
     
     /**
@@ -683,10 +1152,11 @@ class ChessGame {
         this.elements.pieces.forEach(piece => piece.remove());
         this.elements.pieces = [];
         
-        // Adiciona peças atualizadas
+        // Adiciona peças atualizadas (replay e lances antecipados mudam a posição mostrada)
+        const board = this.getDisplayedBoard();
         for (let row = 0; row < 8; row++) {
             for (let col = 0; col < 8; col++) {
-                const piece = this.rules.board[row][col];
+                const piece = board[row][col];
                 const square = this.getSquareElement(row, col);
                 
                 if (piece) {
@@ -699,6 +1169,8 @@ class ChessGame {
                 }
             }
         }
+        
+        this.updatePremoveHighlights();
     }
     
     /**
@@ -712,41 +1184,99 @@ class ChessGame {
     }
     
     /**
-     * Atualiza histórico de movimentos
+     * Atualiza histórico de movimentos (linha principal e variações indentadas)
      */
     updateMoveHistory() {
         if (!this.elements.moveHistory) return;
         
-        const moves = this.rules.getMoveHistory();
         this.elements.moveHistory.innerHTML = '';
+        this.renderMoveLine(this.rules.moveTree.children[0], 0, this.elements.moveHistory);
         
-        moves.forEach(move => {
-            const item = document.createElement('div');
-            item.className = 'move-history-item';
+        // Rola para o lance atual (o cartão do espectador rola sozinho, sem mexer na página)
+        const current = this.elements.moveHistory.querySelector('.current');
+        if (current && current.scrollIntoView && !this.spectator) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+        
+        // Atualiza contador
+        this.elements.moveNumber.textContent = this.rules.gameState.fullMoveNumber;
+    }
+    
+    /**
+     * Desenha uma linha da árvore a partir do nó. Na linha principal cada
+     * número de lance ocupa uma linha; variações ficam em blocos indentados.
+     */
+    renderMoveLine(node, depth, container) {
+        const nagGlyphs = { 1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!' };
+        let item = null;
+        
+        while (node) {
+            const isWhite = node.color === 'white';
+            const moveElement = document.createElement('span');
+            moveElement.className = depth === 0 ? `${node.color}-move` : 'variation-move';
+            moveElement.textContent = this.notation.formatMove(node.move) + node.nags.map(nag => nagGlyphs[nag] || '').join('');
+            moveElement.dataset.nodeId = node.id;
             
-            item.innerHTML = `
-                <span class="move-number">${move.number}.</span>
-                <span class="white-move">${move.white || ''}</span>
-                <span class="black-move">${move.black || ''}</span>
-            `;
+            if (node === this.rules.currentNode) {
+                moveElement.classList.add('current');
+            }
+            if (node === this.replay.node) {
+                moveElement.classList.add('viewing');
+            }
             
-            // Destaca último movimento
-            if (move.number * 2 - (move.black ? 0 : 1) === this.rules.gameState.moveHistory.length) {
-                item.classList.add('current');
+            // Clique revê a posição; duplo clique leva a partida até ela fora de partida valendo (o espectador só assiste)
+            if (!this.spectator) {
+                moveElement.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.replay.view(node.id);
+                });
+                moveElement.addEventListener('dblclick', (e) => {
+                    e.stopPropagation();
+                    this.goToMoveNode(node.id);
+                });
             }
             
-            item.addEventListener('click', () => {
-                this.replayToMove(move.number, move.white ? 'white' : 'black');
-            });
+            if (depth === 0) {
+                // Nova linha a cada lance das brancas ou após uma variação
+                if (isWhite || !item) {
+                    item = document.createElement('div');
+                    item.className = 'move-history-item';
+                    item.innerHTML = `<span class="move-number">${node.moveNumber}.</span>`;
+                    if (!isWhite) {
+                        item.innerHTML += '<span class="white-move">...</span>';
+                    }
+                    container.appendChild(item);
+                }
+                item.appendChild(moveElement);
+            } else {
+                if (!item) {
+                    item = document.createElement('div');
+                    item.className = 'move-variation';
+                    item.style.marginLeft = `${depth * 16}px`;
+                    container.appendChild(item);
+                }
+                
+                // Número antes do lance das brancas e no início da variação
+                if (isWhite || item.childElementCount === 0) {
+                    const number = document.createElement('span');
+                    number.className = 'move-number';
+                    number.textContent = `${node.moveNumber}${isWhite ? '.' : '...'}`;
+                    item.appendChild(number);
+                }
+                item.appendChild(moveElement);
+            }
             
-            this.elements.moveHistory.appendChild(item);
-        });
-        
-        // Rola para o final
-        this.elements.moveHistory.scrollTop = this.elements.moveHistory.scrollHeight;
-        
-        // Atualiza contador
-        this.elements.moveNumber.textContent = this.rules.gameState.fullMoveNumber;
+            // Variações alternativas a este lance aparecem logo abaixo dele
+            const siblings = node.parent.children;
+            if (siblings[0] === node && siblings.length > 1) {
+                siblings.slice(1).forEach(variation => {
+                    this.renderMoveLine(variation, depth + 1, container);
+                });
+                item = null;
+            }
+            
+            node = node.children[0];
+        }
     }
     
     /**
@@ -801,6 +1331,24 @@ class ChessGame {
             this.elements.gameStatus.textContent = `${this.rules.gameState.turn === 'white' ? 'Branco' : 'Preto'} a jogar`;
         }
         
+        // Empate reclamável (regras FIDE)
+        const claimReason = this.rules.canClaimDraw();
+        const claimButton = document.getElementById('btn-claim-draw');
+        if (claimButton) {
+            claimButton.disabled = !claimReason;
+        }
+        
+        // Desfazer e refazer só quando há lance no histórico ou na árvore
+        const undoButton = document.getElementById('btn-undo');
+        const redoButton = document.getElementById('btn-redo');
+        if (undoButton) undoButton.disabled = !this.rules.canUndo();
+        if (redoButton) redoButton.disabled = !this.rules.canRedo();
+        if (claimReason) {
+            this.elements.gameStatus.textContent += claimReason === 'threefoldRepetition'
+                ? ' (empate por repetição pode ser reclamado)'
+                : ' (empate pelos 50 movimentos pode ser reclamado)';
+        }
+        
         // Destaca rei em xeque
         if (this.rules.gameState.check) {
             const kingPos = this.rules.findKingPosition(this.rules.gameState.turn);
@@ -823,42 +1371,92 @@ class ChessGame {
     updateTimers() {
         if (!this.gameState.gameActive || this.gameOver) return;
         
-        const now = Date.now();
-        const elapsed = (now - this.gameState.timers.lastUpdate) / 1000;
-        this.gameState.timers.lastUpdate = now;
-        
-        // Atualiza timer do jogador atual
-        if (this.rules.gameState.turn === 'white') {
-            this.gameState.timers.white = Math.max(0, this.gameState.timers.white - elapsed);
-        } else {
-            this.gameState.timers.black = Math.max(0, this.gameState.timers.black - elapsed);
+        // Correspondência não tem relógio: confere o prazo do lance
+        if (this.gameState.mode === 'correspondence') {
+            this.correspondence.checkDeadline();
+            return;
         }
         
-        // Atualiza display
-        this.elements.whiteClock.textContent = this.formatTime(this.gameState.timers.white);
-        this.elements.blackClock.textContent = this.formatTime(this.gameState.timers.black);
+        // Desconta o tempo do lado que está jogando conforme o controle escolhido
+        this.clock.tick();
+        this.syncTimers();
+        
+        this.events.emit('clockTick', {
+            white: this.gameState.timers.white,
+            black: this.gameState.timers.black,
+            turn: this.rules.gameState.turn
+        });
         
-        // Verifica timeout
-        if (this.gameState.timers.white <= 0 || this.gameState.timers.black <= 0) {
+        // Verifica timeout (em rede, quem decide a queda de bandeira é o servidor)
+        if (this.clock.getFlagged() && this.gameState.mode !== 'network') {
             this.handleTimeout();
         }
     }
     
     /**
-     * Formata tempo (MM:SS)
+     * Acerta o período de cada lado pelos lances do histórico
      */
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    syncClockPeriods() {
+        const counts = { white: 0, black: 0 };
+        this.rules.gameState.moveHistory.forEach(move => counts[move.piece.color]++);
+        this.clock.setMoveCounts(counts);
     }
     
     /**
-     * Trata timeout
+     * Copia os tempos do relógio para o estado e o display
      */
-    handleTimeout() {
-        const winner = this.gameState.timers.white <= 0 ? 'Preto' : 'Branco';
-        this.showGameOverModal(`${winner} venceu por tempo!`, 'timeout');
+    syncTimers() {
+        this.gameState.timers = {
+            white: this.clock.getTime('white'),
+            black: this.clock.getTime('black'),
+            lastUpdate: this.clock.lastUpdate || Date.now()
+        };
+        
+        // Correspondência mostra os prazos no lugar dos relógios
+        if (this.correspondence && this.correspondence.isActive()) {
+            this.correspondence.renderDeadlines();
+            return;
+        }
+        
+        // No replay, mostra os relógios da posição revista
+        const shown = this.replay.getClocks() || this.gameState.timers;
+        const format = seconds => seconds === null ? '--:--' : this.formatTime(seconds);
+        this.elements.whiteClock.textContent = format(shown.white);
+        this.elements.blackClock.textContent = format(shown.black);
+    }
+    
+    /**
+     * Formata tempo (MM:SS, com décimos abaixo de 10 segundos)
+     */
+    formatTime(seconds) {
+        if (seconds < 10) {
+            return `00:0${(Math.floor(Math.max(0, seconds) * 10) / 10).toFixed(1)}`;
+        }
+        
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    
+    /**
+     * Trata timeout (do relógio ou do prazo da correspondência)
+     */
+    handleTimeout(flagged = this.clock.getFlagged()) {
+        this.clock.stop();
+        
+        this.gameOver = true;
+        this.gameState.gameActive = false;
+        this.events.emit('flag', { color: flagged });
+        
+        // Sem material para dar mate, a queda de bandeira é empate
+        const result = this.rules.declareTimeout(flagged);
+        if (result.draw) {
+            this.handleGameOver(result);
+            return;
+        }
+        
+        const winner = flagged === 'white' ? 'Preto' : 'Branco';
+        this.showGameOverModal(`${winner} venceu por tempo!`, 'timeout');
     }
     
     /**
@@ -866,6 +1464,11 @@ class ChessGame {
      */
     handlePromotion(from, to) {
         this.promotionPending = { from, to };
+        this.events.emit('promotionRequested', {
+            from: { ...from },
+            to: { ...to },
+            color: this.rules.gameState.turn
+        });
         
         // Mostra modal de promoção
         const modal = document.getElementById('promotion-modal');
@@ -894,49 +1497,22 @@ class ChessGame {
         };
         
         const promotionPiece = promotionMap[pieceType] || 'queen';
+        const { from, to } = this.promotionPending;
         
-        // Executa movimento com promoção
-        const result = this.rules.makeMove(
-            this.promotionPending.from,
-            this.promotionPending.to,
-            promotionPiece
-        );
+        // Fecha modal
+        document.getElementById('promotion-modal').style.display = 'none';
+        this.promotionPending = null;
         
-        if (result.success) {
-            // Atualiza interface
-            this.updateBoard();
-            this.soundManager.play('promotion');
-            this.updateMoveHistory();
-            this.updateGameStatus();
-            
-            // Fecha modal
-            document.getElementById('promotion-modal').style.display = 'none';
-            this.promotionPending = null;
-            
-            // Verifica fim de jogo
-            if (result.checkmate || result.stalemate || result.draw) {
-                this.handleGameOver(result);
-                return;
-            }
-            
-            // Alterna turno
-            this.gameState.isPlayerTurn = !this.gameState.isPlayerTurn;
-            this.updateTurnIndicator();
-            
-            // Se for vez da IA
-            if (this.gameState.mode !== 'pvp' && !this.gameState.isPlayerTurn) {
-                this.makeAIMove();
-            }
-        }
+        // Executa movimento com a peça escolhida
+        this.makeMove(from, to, promotionPiece);
     }
     
     /**
      * Cancela promoção
      */
     cancelPromotion() {
-        // Desfaz movimento
-        this.rules.undoMove();
-        this.updateBoard();
+        // O lance ainda não foi executado: só limpa a seleção
+        this.clearSelection();
         
         // Fecha modal
         document.getElementById('promotion-modal').style.display = 'none';
@@ -949,6 +1525,8 @@ class ChessGame {
     handleGameOver(result) {
         this.gameOver = true;
         this.gameState.gameActive = false;
+        this.clock.stop();
+        this.clearPremoves();
         
         let title = 'Fim de Jogo!';
         let message = '';
@@ -959,17 +1537,23 @@ class ChessGame {
             title = 'Xeque-mate!';
             message = `${winner} venceu!`;
             type = 'checkmate';
-            this.soundManager.play('checkmate');
         } else if (result.stalemate) {
             title = 'Afogamento!';
             message = 'Empate por afogamento!';
             type = 'stalemate';
-            this.soundManager.play('draw');
         } else if (result.draw) {
+            const drawMessages = {
+                insufficientMaterial: 'Empate por material insuficiente!',
+                threefoldRepetition: 'Empate por tripla repetição!',
+                fivefoldRepetition: 'Empate automático por quíntupla repetição!',
+                fiftyMoves: 'Empate pela regra dos 50 movimentos!',
+                seventyFiveMoves: 'Empate automático pela regra dos 75 movimentos!',
+                agreement: 'Empate por acordo!',
+                timeoutVsInsufficientMaterial: 'Empate: o tempo acabou, mas o adversário não tem material para dar mate!'
+            };
             title = 'Empate!';
-            message = 'O jogo terminou em empate!';
+            message = drawMessages[this.rules.gameState.drawReason] || 'O jogo terminou em empate!';
             type = 'draw';
-            this.soundManager.play('draw');
         }
         
         this.showGameOverModal(message, type);
@@ -992,11 +1576,15 @@ class ChessGame {
         
         result.textContent = message;
         moves.textContent = this.rules.gameState.moveHistory.length;
-        time.textContent = this.formatTime(300 - Math.min(this.gameState.timers.white, this.gameState.timers.black));
+        time.textContent = this.formatTime(this.clock.getElapsed());
         winner.textContent = type === 'checkmate' ? (this.rules.gameState.turn === 'white' ? 'Preto' : 'Branco') : 'Nenhum';
         
         modal.style.display = 'flex';
-        this.soundManager.play(type === 'checkmate' ? 'checkmate' : 'game_end');
+        
+        // O som do mate já sai do evento 'gameOver'
+        if (type !== 'checkmate') {
+            this.soundManager.play('game_end');
+        }
     }
     
     /**
@@ -1018,33 +1606,41 @@ class ChessGame {
     }
     
     /**
-     * Define modo de jogo
+     * Define modo de jogo.
+     * options.variant: 'standard' ou 'chess960'; options.startPosition: índice 0-959
+     * (omitido = posição Chess960 sorteada a cada partida)
      */
-    setGameMode(mode) {
+    setGameMode(mode, options = {}) {
         this.gameState.mode = mode;
         
+        if (options.variant) {
+            const startPosition = options.startPosition !== undefined ? options.startPosition : null;
+            const result = this.rules.setVariant(options.variant, startPosition);
+            
+            if (result.success) {
+                this.gameState.variant = options.variant;
+                this.gameState.startPosition = startPosition;
+                this.ai.setVariant(options.variant);
+            } else {
+                this.showNotification(result.error, 'error');
+            }
+        }
+        
         // Atualiza botões ativos
         document.querySelectorAll('.mode-btn').forEach(btn => {
             btn.classList.remove('active');
-            if (btn.dataset.mode === mode) {
+            if (btn.dataset.mode === mode && 
+                (!btn.dataset.variant || btn.dataset.variant === this.gameState.variant)) {
                 btn.classList.add('active');
             }
         });
         
         // Atualiza display de dificuldade
-        const levelNames = {
-            'pvp': 'PvP',
-            'ai-easy': 'Fácil',
-            'ai-medium': 'Média',
-            'ai-hard': 'Difícil',
-            'ai-expert': 'Avançada',
-            'ai-master': 'Super Avançada'
-        };
-        
-        this.elements.difficultyLevel.textContent = levelNames[mode] || 'PvP';
+        this.elements.difficultyLevel.textContent = this.getModeName(mode) +
+            (this.gameState.variant === 'chess960' ? ' · Chess960' : '');
         
         // Configura IA se necessário
-        if (mode !== 'pvp') {
+        if (this.isAIGame()) {
             const aiLevel = mode.replace('ai-', '');
             this.ai.setLevel(aiLevel);
             
@@ -1057,10 +1653,53 @@ class ChessGame {
         this.newGame();
     }
     
+    /**
+     * Nome do modo para a interface (nível da IA nos modos ai-*)
+     */
+    getModeName(mode) {
+        const levelNames = {
+            'pvp': 'PvP',
+            'network': 'Em rede',
+            'correspondence': 'Correspondência',
+            'ai-easy': 'Fácil',
+            'ai-medium': 'Média',
+            'ai-hard': 'Difícil',
+            'ai-expert': 'Avançada',
+            'ai-master': 'Super Avançada'
+        };
+        
+        return levelNames[mode] || 'PvP';
+    }
+    
     /**
      * Inicia novo jogo
      */
     newGame() {
+        // Nova partida encerra a partida em rede (o lugar fica reservado no servidor)
+        if (this.network.isActive()) this.network.leave();
+        if (this.gameState.mode === 'network') {
+            this.setGameMode('pvp');
+            return;
+        }
+        
+        // A partida por correspondência fica salva na lista; o tabuleiro volta ao PvP
+        if (this.correspondence.isOpen()) this.correspondence.close();
+        if (this.gameState.mode === 'correspondence') {
+            this.setGameMode('pvp');
+            return;
+        }
+        
+        this.replay.exit();
+        this.premoves = [];
+        this.offers.reset();
+        this.gameState.analysis = false;
+        
+        // Fecha o editor de posição, se aberto
+        if (this.boardEditor) {
+            this.boardEditor.close();
+            this.boardEditor = null;
+        }
+        
         // Reinicia regras
         this.rules.reset();
         
@@ -1072,8 +1711,7 @@ class ChessGame {
         this.promotionPending = null;
         
         // Reinicia timers
-        const minutes = parseInt(document.getElementById('time-control').value) || 5;
-        this.setTimeControl(minutes);
+        this.setTimeControl(this.getSelectedTimeControl());
         
         // Atualiza interface
         this.createBoard();
@@ -1089,62 +1727,262 @@ class ChessGame {
         this.soundManager.play('game_start');
         
         // Se for modo IA e jogador é preto, IA começa
-        if (this.gameState.mode !== 'pvp' && this.gameState.playerColor === 'black') {
+        if (this.isAIGame() && this.gameState.playerColor === 'black') {
             this.gameState.isPlayerTurn = false;
             this.makeAIMove();
         }
     }
     
     /**
-     * Define controle de tempo
+     * Define controle de tempo: minutos (morte súbita) ou string TimeControl
+     * como "300+3", "300d5", "40/5400:1800+30", "*60" ou "300|180" (brancas|pretas)
      */
-    setTimeControl(minutes) {
-        const seconds = minutes * 60;
-        this.gameState.timers = {
-            white: seconds,
-            black: seconds,
-            lastUpdate: Date.now()
-        };
+    setTimeControl(control) {
+        const spec = typeof control === 'number' ? String(control * 60) : control;
+        
+        const result = this.clock.configure(spec);
+        if (!result.success) {
+            this.showNotification(result.error, 'error');
+            return result;
+        }
         
-        this.elements.whiteClock.textContent = this.formatTime(seconds);
-        this.elements.blackClock.textContent = this.formatTime(seconds);
+        this.gameState.timeControl = result.control;
+        this.clock.reset(this.rules.gameState.turn);
+        this.clock.start();
+        this.syncTimers();
+        
+        return result;
+    }
+    
+    /**
+     * Controle de tempo escolhido no seletor (ou o atual, sem seletor)
+     */
+    getSelectedTimeControl() {
+        const select = document.getElementById('time-control');
+        return select && select.value ? select.value : this.gameState.timeControl;
     }
     
     /**
      * Desfaz movimento
      */
-    undoMove() {
-        if (this.rules.gameState.moveHistory.length === 0) return;
+    undoMove(options = {}) {
+        if (this.promotionPending || this.boardEditor) return;
+        if (!this.rules.canUndo()) return;
+        
+        // Partida em andamento: desfazer vira pedido de volta ao adversário (ou à política da IA).
+        // Em rede o pedido é recusado na hora: a partida só muda pelo servidor
+        if (!options.approved && (this.isGameInProgress() || this.gameState.mode === 'network')) {
+            this.requestTakeback();
+            return;
+        }
         
-        const result = this.rules.undoMove();
-        if (result.success) {
-            // Atualiza interface
-            this.updateBoard();
-            this.updateMoveHistory();
-            this.updateCapturedPieces();
-            this.updateGameStatus();
-            this.updateTurnIndicator();
-            
-            // Se for modo IA, desfaz também movimento da IA
-            if (this.gameState.mode !== 'pvp' && !this.gameState.isPlayerTurn) {
-                this.rules.undoMove();
-                this.updateBoard();
-                this.updateMoveHistory();
-                this.updateCapturedPieces();
-                this.updateGameStatus();
+        this.replay.exit();
+        this.clearPremoves();
+        
+        // A IA para de pensar na posição que vai ser desfeita
+        this.ai.stopThinking();
+        
+        let result = this.rules.undoMove();
+        
+        // Contra a IA volta um par completo, até ser a vez do jogador
+        if (this.isAIGame()) {
+            while (result.success && this.rules.gameState.turn !== this.gameState.playerColor) {
+                result = this.rules.undoMove();
             }
-            
-            this.gameState.isPlayerTurn = true;
-            this.soundManager.play('click');
+        }
+        
+        this.refreshAfterNavigation();
+        this.soundManager.play('click');
+        
+        // Voltou ao início com a IA de brancas: ela joga de novo
+        if (!this.gameOver && !this.gameState.isPlayerTurn) {
+            this.makeAIMove();
         }
     }
     
     /**
-     * Refaz movimento (se implementado)
+     * Refaz o próximo movimento do ramo atual
      */
     redoMove() {
-        // Implementação básica - em produção seria mais complexa
-        this.showNotification('Funcionalidade em desenvolvimento', 'info');
+        if (this.promotionPending || this.boardEditor) return;
+        
+        // Em rede a partida só avança pelos lances do servidor; em andamento,
+        // refazer jogaria de novo lances já voltados sem o adversário concordar
+        if (this.gameState.mode === 'network' || this.isGameInProgress()) return;
+        
+        this.replay.exit();
+        this.clearPremoves();
+        
+        const result = this.rules.redoMove();
+        if (!result.success) {
+            this.showNotification(result.error, 'info');
+            return;
+        }
+        
+        // Contra a IA refaz também a resposta dela; se não houver, a IA joga
+        const aiToMove = this.isAIGame() && !this.rules.gameState.gameOver &&
+            this.rules.gameState.turn !== this.gameState.playerColor;
+        const aiReply = aiToMove ? this.rules.redoMove() : null;
+        
+        this.refreshAfterNavigation();
+        
+        if (aiReply && !aiReply.success) {
+            this.makeAIMove();
+        }
+    }
+    
+    /**
+     * Atalhos de teclado: Ctrl+Z desfaz, Ctrl+Y (ou Ctrl+Shift+Z) refaz,
+     * setas (e Home/End) navegam pelo replay, Esc cancela lances antecipados
+     */
+    handleKeyboardShortcut(e) {
+        // Não interfere na digitação em campos de texto
+        const target = e.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+        
+        // Setas navegam pelo replay
+        const replayKeys = {
+            ArrowLeft: 'previous',
+            ArrowRight: 'next',
+            ArrowUp: 'first',
+            Home: 'first',
+            ArrowDown: 'last',
+            End: 'last'
+        };
+        
+        if (e.key === 'Escape' && this.premoves.length > 0) {
+            this.clearPremoves();
+            return;
+        }
+        
+        if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+            if (replayKeys[e.key] && !this.boardEditor) {
+                e.preventDefault();
+                this.replay.stopAutoplay();
+                this.replay[replayKeys[e.key]]();
+            }
+            return;
+        }
+        
+        const key = e.key.toLowerCase();
+        
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undoMove();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            this.redoMove();
+        }
+    }
+    
+    /**
+     * Vai para um lance da árvore (linha principal ou variação)
+     */
+    goToMoveNode(nodeId) {
+        if (this.promotionPending) return;
+        
+        // Em rede a posição ao vivo é a do servidor; em andamento, voltar lances
+        // só com pedido de volta: nos dois casos o clique só revê
+        if (this.gameState.mode === 'network' || this.isGameInProgress()) {
+            this.replay.view(nodeId);
+            return;
+        }
+        
+        this.replay.exit();
+        
+        const result = this.rules.goToNode(nodeId);
+        if (!result.success) {
+            this.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.refreshAfterNavigation();
+        this.soundManager.play('click');
+        this.resumeAIAfterNavigation();
+    }
+    
+    /**
+     * Promove uma variação para a linha principal
+     */
+    promoteVariation(nodeId) {
+        const result = this.rules.promoteVariation(nodeId);
+        if (!result.success) {
+            this.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.updateMoveHistory();
+    }
+    
+    /**
+     * Apaga uma variação (o lance e todos os seguintes)
+     */
+    deleteVariation(nodeId) {
+        // Apagar o ramo da posição atual voltaria lances sem pedido de volta
+        if (this.isGameInProgress() && this.isNodeOnCurrentPath(nodeId)) {
+            this.showNotification('Partida em andamento: peça para voltar o lance', 'warning');
+            return;
+        }
+        
+        this.replay.exit();
+        
+        const result = this.rules.deleteVariation(nodeId);
+        if (!result.success) {
+            this.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.refreshAfterNavigation();
+        this.resumeAIAfterNavigation();
+    }
+    
+    /**
+     * Contra a IA, a navegação pode parar na vez dela: ela joga
+     */
+    resumeAIAfterNavigation() {
+        if (this.isAIGame() && !this.gameOver && this.rules.gameState.turn !== this.gameState.playerColor) {
+            this.makeAIMove();
+        }
+    }
+    
+    /**
+     * O nó é a posição atual ou um lance que levou até ela
+     */
+    isNodeOnCurrentPath(nodeId) {
+        for (let node = this.rules.currentNode; node; node = node.parent) {
+            if (node.id === nodeId) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Atualiza a interface depois de mudar a posição pela árvore de lances
+     */
+    refreshAfterNavigation() {
+        this.gameState.selectedSquare = null;
+        this.gameState.validMoves = [];
+        this.gameOver = this.rules.gameState.gameOver;
+        this.gameState.gameActive = !this.gameOver;
+        this.gameState.isPlayerTurn = this.isLocalGame() ||
+            this.rules.gameState.turn === this.gameState.playerColor;
+        
+        // O relógio passa ao lado a jogar (parado se a partida terminou)
+        this.clock.setTurn(this.rules.gameState.turn);
+        if (this.gameOver) {
+            this.clock.stop();
+        } else if (!this.clock.running && this.gameState.mode !== 'correspondence') {
+            this.clock.start();
+        }
+        this.syncTimers();
+        
+        this.updateBoard();
+        this.updateMoveHistory();
+        this.updateCapturedPieces();
+        this.updateGameStatus();
+        this.updateTurnIndicator();
+        
+        // A árvore muda a posição sem eventos: a transmissão confere os lances
+        this.network.syncStream();
     }
     
     /**
@@ -1161,7 +1999,7 @@ class ChessGame {
      */
     async showHint() {
         if (this.gameOver || this.promotionPending) return;
-        if (this.gameState.mode !== 'pvp' && !this.gameState.isPlayerTurn) return;
+        if (!this.isLocalGame() && !this.gameState.isPlayerTurn) return;
         
         const fen = this.rules.exportFEN();
         const hint = await this.ai.getHint(fen, this.rules.gameState.turn);
@@ -1173,7 +2011,7 @@ class ChessGame {
             this.getSquareElement(hint.to.row, hint.to.col).classList.add('hint-move');
             
             this.soundManager.play('notification');
-            this.showNotification('Dica mostrada! Movimento em destaque.', 'info');
+            this.showNotification(`Dica: ${this.describeMove(hint.from, hint.to, hint.promotion)}`, 'info');
             
             // Remove destaque após 3 segundos
             setTimeout(() => {
@@ -1183,74 +2021,97 @@ class ChessGame {
     }
     
     /**
-     * Salva jogo
+     * Lance legal ainda não jogado na notação escolhida (para dicas e avisos)
+     */
+    describeMove(from, to, promotion = null) {
+        const legalMoves = this.rules.calculateAllLegalMoves();
+        const move = legalMoves.find(m =>
+            m.from.row === from.row && m.from.col === from.col &&
+            m.to.row === to.row && m.to.col === to.col
+        );
+        if (!move) {
+            return this.rules.getSquareName(from.row, from.col) + this.rules.getSquareName(to.row, to.col);
+        }
+        
+        const promotionPiece = move.type === 'promotion'
+            ? this.rules.normalizePromotionPiece(promotion || 'queen')
+            : null;
+        
+        return this.notation.formatMove({
+            ...move,
+            moveType: move.type,
+            capturedPiece: move.type === 'castling' ? null : this.rules.board[to.row][to.col],
+            promotion: promotionPiece,
+            san: this.rules.getSAN(move, promotionPiece || undefined, legalMoves)
+        });
+    }
+    
+    /**
+     * Salva jogo na biblioteca
      */
     saveGame() {
-        try {
-            const gameData = {
-                fen: this.rules.exportFEN(),
-                mode: this.gameState.mode,
-                moveHistory: this.rules.gameState.moveHistory,
-                timers: this.gameState.timers,
-                settings: this.gameState.settings,
-                timestamp: Date.now()
-            };
-            
-            const key = `chess_save_${Date.now()}`;
-            localStorage.setItem(key, JSON.stringify(gameData));
-            
-            // Salva também como último jogo
-            localStorage.setItem('chess_last_game', JSON.stringify(gameData));
-            
-            this.showNotification('Jogo salvo com sucesso!', 'success');
-            this.soundManager.play('notification');
-            
-        } catch (error) {
-            this.showNotification('Erro ao salvar jogo', 'error');
+        const result = this.library.save();
+        if (!result.success) {
+            this.showNotification(result.error, 'error');
+            return result;
         }
+        
+        this.showNotification('Jogo salvo com sucesso!', 'success');
+        this.soundManager.play('notification');
+        return result;
     }
     
     /**
-     * Carrega jogo
+     * Carrega um jogo da biblioteca
      */
-    loadGame() {
-        try {
-            const saved = localStorage.getItem('chess_last_game');
-            if (!saved) {
-                this.showNotification('Nenhum jogo salvo encontrado', 'warning');
-                return;
-            }
-            
-            const gameData = JSON.parse(saved);
-            
-            // Carrega FEN
-            this.rules.loadFEN(gameData.fen);
-            
-            // Atualiza estado do jogo
-            this.gameState.mode = gameData.mode || 'pvp';
-            this.gameState.timers = gameData.timers || this.gameState.timers;
-            this.gameState.settings = { ...this.gameState.settings, ...gameData.settings };
-            
-            // Atualiza interface
-            this.updateBoard();
-            this.updateMoveHistory();
-            this.updateCapturedPieces();
-            this.updateGameStatus();
-            this.updateTurnIndicator();
-            
-            // Atualiza controles
-            this.setGameMode(this.gameState.mode);
-            this.applyBoardColor();
-            
-            this.gameOver = false;
-            this.gameState.gameActive = true;
-            
-            this.showNotification('Jogo carregado com sucesso!', 'success');
-            this.soundManager.play('game_start');
-            
-        } catch (error) {
-            this.showNotification('Erro ao carregar jogo', 'error');
+    loadGame(id) {
+        const result = this.library.load(id);
+        if (!result.success) {
+            this.showNotification(result.error, 'error');
         }
+        return result;
+    }
+    
+    /**
+     * Restaura uma partida salva: refaz os lances (histórico e relógios de cada lance)
+     * e devolve os tempos do momento em que foi salva
+     */
+    restoreGame(record) {
+        // Partidas em rede e por correspondência voltam como PvP local
+        const mode = !record.mode || record.mode === 'network' || record.mode === 'correspondence' ? 'pvp' : record.mode;
+        this.setGameMode(mode, { variant: record.variant || 'standard' });
+        
+        const replayed = this.library.replay(record, this.rules);
+        if (!replayed.success) {
+            this.rules.reset();
+            this.createBoard();
+            return { success: false, error: `Erro ao carregar jogo: ${replayed.error}` };
+        }
+        
+        if (this.isAIGame()) this.gameState.playerColor = record.playerColor || 'white';
+        this.gameState.settings = { ...this.gameState.settings, ...record.settings };
+        this.applyBoardColor();
+        
+        // O relógio recomeça: o período de cada lado volta pelos lances refeitos
+        this.setTimeControl(record.timeControl || this.gameState.timeControl);
+        this.syncClockPeriods();
+        this.refreshAfterNavigation();
+        if (record.timers) {
+            this.clock.setTimes(record.timers);
+            this.syncTimers();
+        }
+        
+        this.showNotification(replayed.complete
+            ? 'Jogo carregado com sucesso!'
+            : 'Jogo carregado (só a posição: os lances salvos não conferem)', replayed.complete ? 'success' : 'warning');
+        this.soundManager.play('game_start');
+        
+        // Salva na vez da IA: ela continua
+        if (this.isAIGame() && !this.gameOver && !this.gameState.isPlayerTurn) {
+            this.makeAIMove();
+        }
+        
+        return { success: true, complete: replayed.complete };
     }
     
     /**
@@ -1260,18 +2121,86 @@ class ChessGame {
         if (!this.gameState.gameActive || this.gameOver) return;
         
         if (confirm('Tem certeza que deseja desistir?')) {
-            const winner = this.rules.gameState.turn === 'white' ? 'Preto' : 'Branco';
+            // No PvP local desiste quem está na vez; nos outros modos, o jogador
+            const loser = this.isLocalGame() ? this.rules.gameState.turn : this.gameState.playerColor;
+            const winner = loser === 'white' ? 'Preto' : 'Branco';
+            
+            this.gameOver = true;
+            this.gameState.gameActive = false;
+            this.clock.stop();
+            
+            this.rules.resign(loser);
             this.showGameOverModal(`${winner} venceu por desistência!`, 'resignation');
-            this.soundManager.play('defeat');
         }
     }
     
+    /**
+     * Partida valendo: ativa, sem fim de jogo e fora do modo de análise
+     */
+    isGameInProgress() {
+        return this.gameState.gameActive && !this.gameOver && !this.gameState.analysis;
+    }
+    
+    /**
+     * Oferece empate ao adversário (contra a IA a resposta é imediata)
+     */
+    offerDraw() {
+        const result = this.offers.offerDraw();
+        this.notifyOfferResult(result, 'Oferta de empate enviada');
+        return result;
+    }
+    
+    /**
+     * Pede para voltar o lance (aceite do adversário no PvP, política da IA nos outros modos)
+     */
+    requestTakeback() {
+        const result = this.offers.requestTakeback();
+        this.notifyOfferResult(result, 'Pedido de volta enviado');
+        return result;
+    }
+    
+    /**
+     * Avisa o resultado de uma oferta ou pedido
+     */
+    notifyOfferResult(result, pendingMessage) {
+        if (!result.success) {
+            this.showNotification(result.error, 'warning');
+        } else if (result.pending) {
+            this.showNotification(pendingMessage, 'info');
+        } else if (!result.accepted) {
+            this.showNotification(this.offers.describe(), 'info');
+        }
+    }
+    
+    /**
+     * Reclama empate (tripla repetição ou regra dos 50 movimentos)
+     */
+    claimDraw() {
+        if (!this.gameState.gameActive || this.gameOver) return;
+        
+        const result = this.rules.claimDraw();
+        if (!result.success) {
+            this.showNotification(result.error, 'warning');
+            return;
+        }
+        
+        this.updateGameStatus();
+        this.handleGameOver(result);
+    }
+    
     /**
      * Revanche
      */
     rematch() {
         document.getElementById('gameover-modal').style.display = 'none';
         
+        // Correspondência: nova partida com os jogadores trocados
+        if (this.correspondence.isActive()) {
+            const { white, black, days } = this.correspondence.current;
+            this.correspondence.createGame({ white: black, black: white, days });
+            return;
+        }
+        
         // Mantém modo, inverte cores se for PvP
         if (this.gameState.mode === 'pvp') {
             this.gameState.playerColor = this.gameState.playerColor === 'white' ? 'black' : 'white';
@@ -1281,11 +2210,29 @@ class ChessGame {
     }
     
     /**
-     * Replay para movimento específico
+     * Revê a posição após o lance da linha atual (moveNumber e cor de quem jogou)
      */
     replayToMove(moveNumber, color) {
-        // Implementação simplificada
-        this.showNotification('Replay em desenvolvimento', 'info');
+        let node = this.rules.currentNode;
+        while (node.parent && !(node.moveNumber === moveNumber && node.color === color)) {
+            node = node.parent;
+        }
+        
+        if (!node.parent) {
+            this.showNotification('Lance não encontrado', 'warning');
+            return { success: false, error: 'Lance não encontrado' };
+        }
+        
+        return this.replay.view(node.id);
+    }
+    
+    /**
+     * Ajusta a velocidade do autoplay do replay (intervalo em ms)
+     */
+    setReplaySpeed(speed) {
+        this.replay.setSpeed(speed);
+        this.gameState.settings.replaySpeed = this.replay.speed;
+        this.saveSettings();
     }
     
     /**
@@ -1298,6 +2245,7 @@ class ChessGame {
         document.getElementById('setting-pawn-double').checked = this.rules.settings.pawnDoubleMoveEnabled;
         document.getElementById('setting-promotion').checked = this.rules.settings.autoQueenPromotion;
         document.getElementById('setting-50move').checked = this.rules.settings.fiftyMoveRuleEnabled;
+        document.getElementById('setting-draw-rules').value = this.rules.settings.drawRules;
         
         document.getElementById('master-volume').value = this.soundManager.volumeLevels.master;
         document.getElementById('move-volume').value = this.soundManager.volumeLevels.move;
@@ -1307,6 +2255,10 @@ class ChessGame {
         document.getElementById('piece-size').value = this.gameState.settings.animationSpeed || 'medium';
         document.getElementById('piece-style').value = 'merida'; // Placeholder
         document.getElementById('animation-speed').value = this.gameState.settings.animationSpeed || 'medium';
+        document.getElementById('setting-notation').value = this.gameState.settings.notation;
+        document.getElementById('setting-notation-locale').value = this.gameState.settings.notationLocale;
+        document.getElementById('setting-takeback-policy').value = this.gameState.settings.takebackPolicy;
+        document.getElementById('setting-takeback-limit').value = this.gameState.settings.takebackLimit;
         
         // Mostra modal
         document.getElementById('settings-modal').style.display = 'flex';
@@ -1322,7 +2274,8 @@ class ChessGame {
             castlingEnabled: document.getElementById('setting-castling').checked,
             pawnDoubleMoveEnabled: document.getElementById('setting-pawn-double').checked,
             autoQueenPromotion: document.getElementById('setting-promotion').checked,
-            fiftyMoveRuleEnabled: document.getElementById('setting-50move').checked
+            fiftyMoveRuleEnabled: document.getElementById('setting-50move').checked,
+            drawRules: document.getElementById('setting-draw-rules').value
         });
         
         // Atualiza sons
@@ -1336,6 +2289,16 @@ class ChessGame {
         // Atualiza aparência
         this.gameState.settings.animationSpeed = document.getElementById('animation-speed').value;
         
+        // Atualiza notação
+        this.gameState.settings.notation = document.getElementById('setting-notation').value;
+        this.gameState.settings.notationLocale = document.getElementById('setting-notation-locale').value;
+        this.applyNotationSettings();
+        this.updateMoveHistory();
+        
+        // Voltas contra a IA
+        this.gameState.settings.takebackPolicy = document.getElementById('setting-takeback-policy').value;
+        this.gameState.settings.takebackLimit = Math.max(0, parseInt(document.getElementById('setting-takeback-limit').value) || 0);
+        
         // Salva configurações
         this.saveSettings();
         
@@ -1346,6 +2309,23 @@ class ChessGame {
         this.soundManager.play('notification');
     }
     
+    /**
+     * Aplica formato e idioma da notação escolhidos (valores inválidos voltam ao padrão)
+     */
+    applyNotationSettings() {
+        const result = this.notation.setOptions({
+            format: this.gameState.settings.notation,
+            locale: this.gameState.settings.notationLocale
+        });
+        
+        if (!result.success) {
+            console.warn(result.error);
+            this.gameState.settings.notation = 'san';
+            this.gameState.settings.notationLocale = 'pt';
+            this.notation.setOptions({ format: 'san', locale: 'pt' });
+        }
+    }
+    
     /**
      * Salva configurações
      */
@@ -1356,6 +2336,11 @@ class ChessGame {
                 highlightsEnabled: this.gameState.settings.highlightsEnabled,
                 boardColor: this.gameState.settings.boardColor,
                 animationSpeed: this.gameState.settings.animationSpeed,
+                notation: this.gameState.settings.notation,
+                notationLocale: this.gameState.settings.notationLocale,
+                replaySpeed: this.gameState.settings.replaySpeed,
+                takebackPolicy: this.gameState.settings.takebackPolicy,
+                takebackLimit: this.gameState.settings.takebackLimit,
                 rules: this.rules.settings,
                 soundLevels: this.soundManager.volumeLevels
             };
@@ -1381,8 +2366,15 @@ class ChessGame {
                     soundEnabled: settings.soundEnabled !== undefined ? settings.soundEnabled : true,
                     highlightsEnabled: settings.highlightsEnabled !== undefined ? settings.highlightsEnabled : true,
                     boardColor: settings.boardColor || 'classic',
-                    animationSpeed: settings.animationSpeed || 'medium'
+                    animationSpeed: settings.animationSpeed || 'medium',
+                    notation: settings.notation || 'san',
+                    notationLocale: settings.notationLocale || 'pt',
+                    replaySpeed: settings.replaySpeed || 1000,
+                    takebackPolicy: settings.takebackPolicy || 'limited',
+                    takebackLimit: settings.takebackLimit !== undefined ? settings.takebackLimit : 3
                 };
+                this.applyNotationSettings();
+                this.replay.setSpeed(this.gameState.settings.replaySpeed);
                 
                 // Regras
                 if (settings.rules) {
@@ -1407,37 +2399,112 @@ class ChessGame {
     }
     
     /**
-     * Exporta jogo como PGN
+     * Exporta jogo como PGN. options.rules, options.players, options.timeControl e
+     * options.date exportam outra partida (uma salva, refeita numa cópia das regras).
      */
-    exportPGN() {
+    exportPGN(options = {}) {
+        // PGN padrão usa SAN em inglês; outras notações servem para leitura e impressão
+        const format = options.notation || 'san';
+        const rules = options.rules || this.rules;
+        const players = options.players || this.getPlayerNames();
+        
+        const gameResult = rules.getGameResult();
+        const result = gameResult ? gameResult.result : '*';
+        
+        // Correspondência não usa relógio ("-" = sem controle de tempo no PGN)
+        const correspondence = !options.rules && this.correspondence && this.correspondence.isActive();
+        const timeControl = options.rules ? options.timeControl || '-' : correspondence ? '-' : this.gameState.timeControl;
+        
         // Implementação básica de PGN
         let pgn = `[Event "Xadrez PvP"]\n`;
         pgn += `[Site "xadrezpvp.netlify.app"]\n`;
-        pgn += `[Date "${new Date().toISOString().split('T')[0]}"]\n`;
-        pgn += `[White "${this.gameState.mode === 'pvp' ? 'Jogador' : 'Humano'}"]\n`;
-        pgn += `[Black "${this.gameState.mode === 'pvp' ? 'Jogador' : 'IA'}"]\n`;
-        pgn += `[Result "${this.rules.getGameResult() || '*"}"]\n\n`;
-        
-        const moves = this.rules.getMoveHistory();
-        moves.forEach((move, index) => {
-            if (move.white) {
-                pgn += `${move.number}. ${move.white} `;
-                if (move.black) {
-                    pgn += `${move.black} `;
+        pgn += `[Date "${(options.date || new Date()).toISOString().split('T')[0]}"]\n`;
+        pgn += `[White "${players.white}"]\n`;
+        pgn += `[Black "${players.black}"]\n`;
+        pgn += `[Result "${result}"]\n`;
+        pgn += `[TimeControl "${timeControl}"]\n`;
+        if (gameResult) {
+            pgn += `[Termination "${gameResult.termination}"]\n`;
+        }
+        
+        if (rules.variant === 'chess960') {
+            pgn += `[Variant "Chess960"]\n`;
+        }
+        
+        // Chess960 e partidas de outra posição (editor, FEN importado) exigem a posição inicial
+        if (!rules.isStandardStart()) {
+            pgn += `[SetUp "1"]\n`;
+            pgn += `[FEN "${rules.startFEN}"]\n`;
+        }
+        pgn += '\n';
+        
+        let afterComment = false;
+        rules.gameState.moveHistory.forEach((move, index) => {
+            const moveNumber = move.undo.state.fullMoveNumber;
+            
+            if (move.piece.color === 'white') {
+                pgn += `${moveNumber}. `;
+            } else if (index === 0 || afterComment) {
+                pgn += `${moveNumber}... `;
+            }
+            afterComment = false;
+            
+            pgn += `${this.notation.formatMove(move, { format, locale: options.locale })} `;
+            if (move.drawOffer) pgn += '(=) ';
+            
+            // Relógio: tempo restante e tempo gasto no lance
+            if (move.clock) {
+                const commands = [];
+                if (typeof move.clock.remaining === 'number') {
+                    commands.push(`[%clk ${this.formatClockTime(move.clock.remaining)}]`);
                 }
-                
-                // Quebra de linha a cada 10 movimentos
-                if (move.number % 10 === 0) {
-                    pgn += '\n';
+                if (typeof move.clock.spent === 'number') {
+                    commands.push(`[%emt ${this.formatClockTime(move.clock.spent)}]`);
+                }
+                if (commands.length > 0) {
+                    pgn += `{${commands.join(' ')}} `;
+                    afterComment = true;
                 }
             }
+            
+            // Quebra de linha a cada 10 movimentos
+            if (move.piece.color === 'black' && moveNumber % 10 === 0) {
+                pgn += '\n';
+            }
         });
         
-        pgn += ` ${this.rules.getGameResult() || '*'}`;
+        pgn += ` ${result}`;
         
         return pgn;
     }
     
+    /**
+     * Nomes dos jogadores (cabeçalhos do PGN e partidas salvas)
+     */
+    getPlayerNames() {
+        if (this.correspondence && this.correspondence.isActive()) {
+            return { white: this.correspondence.current.white, black: this.correspondence.current.black };
+        }
+        
+        return {
+            white: this.gameState.mode === 'pvp' ? 'Jogador' : 'Humano',
+            black: this.gameState.mode === 'pvp' ? 'Jogador' : 'IA'
+        };
+    }
+    
+    /**
+     * Tempo no formato dos comandos [%clk]/[%emt]: h:mm:ss (décimos, se houver)
+     */
+    formatClockTime(seconds) {
+        const tenths = Math.round(Math.max(0, seconds) * 10);
+        const hours = Math.floor(tenths / 36000);
+        const mins = Math.floor(tenths / 600) % 60;
+        const secs = Math.floor(tenths / 10) % 60;
+        const fraction = tenths % 10 ? `.${tenths % 10}` : '';
+        
+        return `${hours}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}${fraction}`;
+    }
+    
     /**
      * Copia PGN para clipboard
      */
@@ -1450,6 +2517,229 @@ class ChessGame {
         });
     }
     
+    /**
+     * Importa uma partida em PGN (gameIndex escolhe o jogo em arquivos com vários)
+     */
+    importPGN(text, gameIndex = 0) {
+        const parsed = new PGNParser().parse(text);
+        if (!parsed.success) {
+            this.showNotification(`Erro no PGN: ${parsed.error}`, 'error');
+            return parsed;
+        }
+        
+        const game = parsed.games[gameIndex];
+        if (!game) {
+            this.showNotification('Nenhum jogo encontrado no PGN', 'warning');
+            return { success: false, error: 'Nenhum jogo encontrado no PGN' };
+        }
+        
+        // Partida importada é analisada em modo PvP
+        this.setGameMode('pvp');
+        
+        const result = this.rules.loadPGNGame(game);
+        if (!result.success) {
+            this.rules.reset();
+            this.createBoard();
+            this.showNotification(`Erro no PGN: ${result.error}`, 'error');
+            return result;
+        }
+        
+        this.gameState.variant = this.rules.variant;
+        this.ai.setVariant(this.rules.variant);
+        this.gameState.isPlayerTurn = true;
+        this.gameState.pgnHeaders = game.headers;
+        this.gameState.analysis = true;
+        this.offers.reset();
+        this.gameState.selectedSquare = null;
+        this.gameState.validMoves = [];
+        this.promotionPending = null;
+        
+        // Partidas com resultado final não continuam
+        this.gameOver = this.rules.gameState.gameOver || game.result !== '*';
+        this.gameState.gameActive = !this.gameOver;
+        
+        // Relógios: controle do cabeçalho (se válido) e os últimos tempos registrados
+        const timeControl = (game.headers || {}).TimeControl;
+        this.setTimeControl(timeControl && ChessClock.parse(timeControl).success ? timeControl : this.gameState.timeControl);
+        this.syncClockPeriods();
+        this.clock.setTimes(this.replay.getClocksAt(this.rules.currentNode));
+        if (this.gameOver) this.clock.stop();
+        this.syncTimers();
+        
+        // Atualiza interface
+        this.createBoard();
+        this.updateMoveHistory();
+        this.updateCapturedPieces();
+        this.updateGameStatus();
+        this.updateTurnIndicator();
+        
+        if (game.result !== '*') {
+            this.elements.gameStatus.textContent = `Partida importada: ${game.result}`;
+        }
+        
+        this.showNotification(`PGN importado (${result.moves} lances)`, 'success');
+        return { ...result, games: parsed.games.length };
+    }
+    
+    /**
+     * Entra no modo de montagem de posição, partindo da posição atual
+     */
+    enterSetupMode() {
+        if (this.boardEditor || this.promotionPending) return;
+        
+        this.replay.exit();
+        this.clearPremoves();
+        
+        this.ai.stopThinking();
+        this.clearSelection();
+        this.gameState.gameActive = false;
+        
+        this.boardEditor = new BoardEditor(this);
+        this.boardEditor.open(this.rules.exportFEN());
+        
+        this.elements.gameStatus.textContent = 'Editor de posição';
+        this.soundManager.play('click');
+    }
+    
+    /**
+     * Sai do modo de montagem sem alterar a partida
+     */
+    exitSetupMode() {
+        if (!this.boardEditor) return;
+        
+        this.boardEditor.close();
+        this.boardEditor = null;
+        this.gameState.gameActive = !this.gameOver;
+        
+        this.createBoard();
+        this.updateGameStatus();
+    }
+    
+    /**
+     * Carrega a posição montada como nova partida (sem lances anteriores)
+     */
+    loadPosition(fen) {
+        // A transmissão não acompanha uma troca de posição inicial
+        if (this.network.isStreaming()) this.network.leave();
+        
+        // Posição nova não é lance da partida por correspondência aberta
+        if (this.correspondence.isOpen()) this.correspondence.close();
+        if (this.gameState.mode === 'correspondence') this.gameState.mode = 'pvp';
+        
+        this.replay.exit();
+        this.premoves = [];
+        this.offers.reset();
+        this.gameState.analysis = false;
+        
+        const result = this.rules.loadFEN(fen);
+        if (!result.success) {
+            this.showNotification(`Posição inválida: ${result.error}`, 'error');
+            return result;
+        }
+        
+        if (this.boardEditor) {
+            this.boardEditor.close();
+            this.boardEditor = null;
+        }
+        
+        // A variante vem do FEN: interface, IA e regras passam a concordar
+        this.gameState.variant = this.rules.variant;
+        this.gameState.startPosition = null;
+        this.ai.setVariant(this.rules.variant);
+        this.elements.difficultyLevel.textContent = this.getModeName(this.gameState.mode) +
+            (this.gameState.variant === 'chess960' ? ' · Chess960' : '');
+        
+        this.gameOver = this.rules.gameState.gameOver;
+        this.gameState.gameActive = !this.gameOver;
+        this.gameState.selectedSquare = null;
+        this.gameState.validMoves = [];
+        this.gameState.pgnHeaders = null;
+        this.promotionPending = null;
+        this.gameState.isPlayerTurn = this.isLocalGame() ||
+            this.rules.gameState.turn === this.gameState.playerColor;
+        
+        this.setTimeControl(this.getSelectedTimeControl());
+        
+        // Atualiza interface
+        this.createBoard();
+        this.updateMoveHistory();
+        this.updateCapturedPieces();
+        this.updateGameStatus();
+        this.updateTurnIndicator();
+        
+        return result;
+    }
+    
+    /**
+     * "Jogar daqui": continua no modo atual a partir da posição montada
+     */
+    playFromPosition(fen) {
+        const result = this.loadPosition(fen);
+        if (!result.success) return result;
+        
+        this.soundManager.play('game_start');
+        
+        // Se for a vez da IA, ela começa
+        if (!this.gameOver && !this.gameState.isPlayerTurn) {
+            this.makeAIMove();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * "Analisar daqui": posição em modo PvP com a sugestão do motor em destaque
+     */
+    analyzeFromPosition(fen) {
+        const validation = this.rules.validateFEN(fen);
+        if (!validation.valid) {
+            this.showNotification(`Posição inválida: ${validation.errors[0].message}`, 'error');
+            return { success: false, error: validation.errors[0].message };
+        }
+        
+        this.setGameMode('pvp');
+        
+        const result = this.loadPosition(fen);
+        if (result.success) this.gameState.analysis = true;
+        if (result.success && !this.gameOver) {
+            this.showHint();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Acompanha como espectador a partida da sala (em rede ou transmitida).
+     * Várias podem ser acompanhadas ao mesmo tempo, cada uma num cartão abaixo do tabuleiro.
+     */
+    watchGame(url, room) {
+        const code = String(room).trim().toUpperCase();
+        if (this.spectators.some(view => view.room === code && view.url === url)) {
+            this.showNotification(`A sala ${code} já está sendo assistida`, 'info');
+            return null;
+        }
+        
+        if (!this.spectatorGrid) {
+            this.spectatorGrid = document.createElement('div');
+            this.spectatorGrid.className = 'spectator-grid';
+            this.elements.board.insertAdjacentElement('afterend', this.spectatorGrid);
+        }
+        
+        const view = new SpectatorView(this, url, code);
+        this.spectators.push(view);
+        this.spectatorGrid.appendChild(view.element);
+        view.connect();
+        
+        return view;
+    }
+    
+    /**
+     * Para de acompanhar uma partida (chamado pelo cartão ao fechar)
+     */
+    stopWatching(view) {
+        this.spectators = this.spectators.filter(other => other !== view);
+    }
+    
     /**
      * Obtém estatísticas do jogo
      */
@@ -0,0 +1,274 @@
+/**
+ * OFERTAS DE EMPATE E PEDIDOS DE VOLTA
+ * Uma oferta fica pendente até o adversário aceitar, recusar ou jogar (o lance a expira).
+ * Contra a IA a resposta é imediata: empate pela avaliação material, volta pela
+ * política configurada. Depois de uma recusa, o mesmo pedido só pode ser repetido
+ * alguns lances depois.
+ */
+
+class GameOffers {
+    constructor(game) {
+        this.game = game;
+        
+        this.pending = null; // { type: 'draw' | 'takeback', from, ply }
+        this.notice = null; // Oferta recusada/expirada, mostrada até o próximo lance
+        this.lastRefused = {}; // Meio-lance da última recusa por tipo e cor ("draw:white")
+        this.takebacksUsed = 0; // Voltas concedidas pela IA nesta partida
+        this.throttlePlies = 6; // Meios-lances de espera depois de uma recusa
+        this.aiDrawMinMove = 20; // A IA não aceita empate antes deste lance
+        
+        this.controls = null;
+        this.elements = {};
+    }
+    
+    /**
+     * Nova partida: esquece ofertas, recusas e voltas usadas
+     */
+    reset() {
+        this.pending = null;
+        this.notice = null;
+        this.lastRefused = {};
+        this.takebacksUsed = 0;
+        this.updateControls();
+    }
+    
+    /**
+     * Cor de quem pede: o jogador contra a IA ou em rede; no PvP, quem acabou de jogar
+     * (oferta de empate) ou quem quer desfazer o próprio lance (volta)
+     */
+    getRequester() {
+        const game = this.game;
+        if (!game.isLocalGame()) return game.gameState.playerColor;
+        
+        const turn = game.rules.gameState.turn;
+        return turn === 'white' ? 'black' : 'white';
+    }
+    
+    /**
+     * Verifica se a cor pode fazer o pedido agora
+     */
+    canOffer(type, color) {
+        const game = this.game;
+        
+        if (game.gameOver || !game.gameState.gameActive) {
+            return { success: false, error: 'A partida não está em andamento' };
+        }
+        if (this.pending) {
+            return { success: false, error: 'Já existe um pedido aguardando resposta' };
+        }
+        if (type === 'takeback' && game.gameState.mode === 'network') {
+            return { success: false, error: 'Partidas em rede não permitem voltar lances' };
+        }
+        if (type === 'takeback' && !game.rules.canUndo()) {
+            return { success: false, error: 'Não há lance para voltar' };
+        }
+        
+        const refusedAt = this.lastRefused[`${type}:${color}`];
+        const ply = game.rules.gameState.moveHistory.length;
+        if (refusedAt !== undefined && ply - refusedAt < this.throttlePlies) {
+            const wait = Math.ceil((this.throttlePlies - (ply - refusedAt)) / 2);
+            return { success: false, error: `Aguarde ${wait} lance(s) para repetir o pedido` };
+        }
+        
+        return { success: true };
+    }
+    
+    /**
+     * Oferece empate. A oferta fica marcada no último lance de quem ofereceu: (=) no PGN.
+     */
+    offerDraw(color = this.getRequester()) {
+        const check = this.canOffer('draw', color);
+        if (!check.success) return check;
+        
+        const history = this.game.rules.gameState.moveHistory;
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (history[i].piece.color === color) {
+                history[i].drawOffer = true;
+                break;
+            }
+        }
+        
+        return this.open('draw', color);
+    }
+    
+    /**
+     * Pede para voltar o lance (no PvP o adversário decide; contra a IA, a política)
+     */
+    requestTakeback(color = this.getRequester()) {
+        const check = this.canOffer('takeback', color);
+        if (!check.success) return check;
+        
+        return this.open('takeback', color);
+    }
+    
+    /**
+     * Registra o pedido; contra a IA responde na hora
+     */
+    open(type, color) {
+        this.pending = { type, from: color, ply: this.game.rules.gameState.moveHistory.length };
+        this.notice = null;
+        this.game.events.emit('offer', { offer: type, from: color, status: 'pending' });
+        
+        if (this.game.isAIGame()) {
+            const accepted = type === 'draw' ? this.aiAcceptsDraw() : this.aiGrantsTakeback();
+            return accepted ? this.accept() : this.decline();
+        }
+        
+        this.updateControls();
+        return { success: true, pending: true };
+    }
+    
+    /**
+     * A IA aceita empate se já passou da abertura e não está à frente em material
+     */
+    aiAcceptsDraw() {
+        const rules = this.game.rules;
+        if (rules.gameState.fullMoveNumber < this.aiDrawMinMove) return false;
+        
+        const stats = rules.getGameStats();
+        const aiColor = this.game.gameState.playerColor === 'white' ? 'black' : 'white';
+        const playerColor = this.game.gameState.playerColor;
+        
+        return stats[aiColor].value <= stats[playerColor].value;
+    }
+    
+    /**
+     * Política de volta contra a IA: 'always', 'never' ou 'limited' (até takebackLimit)
+     */
+    aiGrantsTakeback() {
+        const settings = this.game.gameState.settings;
+        
+        switch (settings.takebackPolicy) {
+            case 'always':
+                return true;
+            case 'never':
+                return false;
+            default:
+                return this.takebacksUsed < settings.takebackLimit;
+        }
+    }
+    
+    /**
+     * O adversário aceita o pedido pendente
+     */
+    accept() {
+        const offer = this.pending;
+        if (!offer) return { success: false, error: 'Nenhum pedido pendente' };
+        
+        this.pending = null;
+        this.game.events.emit('offer', { offer: offer.type, from: offer.from, status: 'accepted' });
+        
+        if (offer.type === 'draw') {
+            const result = this.game.rules.agreeDraw();
+            this.updateControls();
+            if (result.success) this.game.handleGameOver(result);
+            return { ...result, accepted: true };
+        }
+        
+        if (this.game.isAIGame()) this.takebacksUsed++;
+        this.game.undoMove({ approved: true });
+        this.updateControls();
+        
+        return { success: true, accepted: true };
+    }
+    
+    /**
+     * O adversário recusa: o pedido só pode ser repetido depois de alguns lances
+     */
+    decline() {
+        const offer = this.pending;
+        if (!offer) return { success: false, error: 'Nenhum pedido pendente' };
+        
+        this.close(offer, 'declined');
+        return { success: true, accepted: false };
+    }
+    
+    /**
+     * Um lance foi jogado: o aviso anterior some e o pedido pendente expira
+     */
+    handleMove() {
+        this.notice = null;
+        
+        if (this.pending) {
+            this.close(this.pending, 'expired');
+        }
+        
+        this.updateControls();
+    }
+    
+    /**
+     * Encerra o pedido sem aceite, guardando a recusa para o limite de repetição
+     */
+    close(offer, status) {
+        this.pending = null;
+        this.notice = { ...offer, status };
+        this.lastRefused[`${offer.type}:${offer.from}`] = this.game.rules.gameState.moveHistory.length;
+        
+        this.game.events.emit('offer', { offer: offer.type, from: offer.from, status });
+        this.updateControls();
+    }
+    
+    /**
+     * Texto do pedido pendente ou do último recusado
+     */
+    describe() {
+        const offer = this.pending || this.notice;
+        if (!offer) return '';
+        
+        const who = offer.from === 'white' ? 'Brancas' : 'Pretas';
+        const what = offer.type === 'draw' ? 'empate' : 'voltar o lance';
+        
+        if (this.pending) {
+            return offer.type === 'draw' ? `${who} oferecem empate` : `${who} pedem para voltar o lance`;
+        }
+        return offer.status === 'declined' ? `Pedido de ${what} recusado` : `Pedido de ${what} expirou`;
+    }
+    
+    /**
+     * Cria a faixa de resposta (Aceitar/Recusar) abaixo do tabuleiro
+     */
+    createControls() {
+        const board = this.game.elements.board;
+        if (!board || this.controls) return;
+        
+        const controls = document.createElement('div');
+        controls.className = 'offer-bar';
+        controls.innerHTML = `
+            <span class="offer-message"></span>
+            <div class="button-group">
+                <button class="btn primary" data-action="accept">Aceitar</button>
+                <button class="btn" data-action="decline">Recusar</button>
+            </div>
+        `;
+        
+        controls.querySelector('[data-action="accept"]').addEventListener('click', () => this.accept());
+        controls.querySelector('[data-action="decline"]').addEventListener('click', () => this.decline());
+        
+        this.elements = {
+            message: controls.querySelector('.offer-message'),
+            buttons: controls.querySelector('.button-group')
+        };
+        
+        board.insertAdjacentElement('afterend', controls);
+        this.controls = controls;
+        this.updateControls();
+    }
+    
+    /**
+     * Mostra o pedido pendente (com botões) ou o aviso de recusa
+     */
+    updateControls() {
+        if (!this.controls) return;
+        
+        const text = this.describe();
+        this.controls.style.display = text ? 'flex' : 'none';
+        this.controls.classList.toggle('pending', this.pending !== null);
+        this.elements.message.textContent = text;
+        this.elements.buttons.style.display = this.pending ? 'flex' : 'none';
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameOffers;
+}
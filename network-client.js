@@ -0,0 +1,760 @@
+/**
+ * PARTIDA EM REDE (PvP entre dois navegadores)
+ * Conversa com o relay de server/relay-server.js (o protocolo está documentado lá).
+ * O servidor é a referência: a cada entrada ou reconexão a partida é refeita a partir
+ * da lista de lances que ele envia; lances, relógios, desistências e ofertas de empate
+ * locais são repassados a ele.
+ * Na transmissão é o contrário: a partida local (contra a IA ou PvP no mesmo
+ * navegador) é a referência e o servidor só a repassa aos espectadores.
+ */
+
+class NetworkGame {
+    constructor(game) {
+        this.game = game;
+        
+        this.socket = null;
+        this.session = null; // { url, room, token, color } (color 'both' na transmissão)
+        this.pendingRequest = null; // 'create' ou 'join' a enviar quando a conexão abrir
+        this.applying = false; // Aplicando estado/lance do servidor (não repassar)
+        this.players = { white: false, black: false };
+        this.spectatorCount = 0;
+        this.syncing = false; // Transmissão: aguardando o estado para conferir os lances
+        this.statusText = 'Desconectado';
+        this.reconnectTimer = null;
+        this.reconnectDelay = 1000; // Dobra a cada tentativa, até maxReconnectDelay
+        this.maxReconnectDelay = 15000;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 10;
+        this.storageKey = 'chess_network_session';
+        
+        this.controls = null;
+        this.elements = {};
+        
+        // Ações locais que o servidor precisa saber
+        game.on('move', ({ move, color }) => this.handleLocalMove(move, color));
+        game.on('undo', () => this.handleLocalUndo());
+        game.on('offer', (offer) => this.handleLocalOffer(offer));
+        game.on('gameOver', (result) => this.handleLocalGameOver(result));
+        game.on('aiMove', ({ move }) => this.handleLocalEvaluation(move));
+    }
+    
+    /**
+     * Há uma partida em rede (conectada ou tentando reconectar)
+     */
+    isActive() {
+        return this.session !== null || this.socket !== null;
+    }
+    
+    /**
+     * Cria uma sala com o controle de tempo e a variante atuais
+     */
+    createRoom(url, color = 'white') {
+        const game = this.game;
+        const request = {
+            type: 'create',
+            timeControl: game.getSelectedTimeControl(),
+            color,
+            variant: game.gameState.variant
+        };
+        if (game.gameState.variant === 'chess960' && game.gameState.startPosition !== null) {
+            request.position = game.gameState.startPosition;
+        }
+        
+        this.open(url, request);
+    }
+    
+    /**
+     * Transmite a partida local aos espectadores: cria uma sala de transmissão
+     * já com os lances e relógios jogados até agora
+     */
+    stream(url) {
+        const game = this.game;
+        const rules = game.rules;
+        
+        if (game.gameState.mode === 'network') {
+            game.showNotification('Partidas em rede já podem ser assistidas pelo código da sala', 'info');
+            return;
+        }
+        
+        this.open(url, {
+            type: 'create',
+            stream: true,
+            timeControl: game.gameState.timeControl,
+            variant: rules.variant,
+            fen: rules.startFEN,
+            moves: rules.gameState.moveHistory.map(move => rules.getUCIMove(move, move.promotion)),
+            clocks: rules.gameState.moveHistory.map(move => move.clock || null)
+        });
+    }
+    
+    /**
+     * A partida local está sendo transmitida
+     */
+    isStreaming() {
+        return this.session !== null && this.session.color === 'both';
+    }
+    
+    /**
+     * Entra na sala pelo código
+     */
+    joinRoom(url, room) {
+        this.open(url, { type: 'join', room: String(room).trim().toUpperCase() });
+    }
+    
+    /**
+     * Retoma a sessão salva (recarregar a página não perde o lugar)
+     */
+    resume() {
+        const saved = this.loadSession();
+        if (!saved) return false;
+        
+        this.session = saved;
+        this.connect();
+        return true;
+    }
+    
+    /**
+     * Sai da partida em rede (o lugar continua reservado no servidor)
+     */
+    leave() {
+        this.session = null;
+        this.pendingRequest = null;
+        this.syncing = false;
+        this.spectatorCount = 0;
+        this.clearSession();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close(1000);
+        }
+        
+        this.setStatus('Desconectado');
+        this.updateControls();
+    }
+    
+    /**
+     * Abre uma conexão nova para criar ou entrar numa sala
+     */
+    open(url, request) {
+        this.leave();
+        
+        this.session = { url, room: null, token: null, color: null };
+        this.pendingRequest = request;
+        this.connect();
+    }
+    
+    /**
+     * Conecta ao relay; ao abrir, envia o pedido pendente ou retoma o lugar pelo token
+     */
+    connect() {
+        const session = this.session;
+        if (!session) return;
+        
+        let socket;
+        try {
+            socket = new WebSocket(session.url);
+        } catch (error) {
+            this.game.showNotification(`Endereço inválido: ${session.url}`, 'error');
+            this.leave();
+            return;
+        }
+        
+        this.socket = socket;
+        this.setStatus('Conectando...');
+        
+        socket.onopen = () => {
+            this.reconnectAttempts = 0;
+            this.reconnectDelay = 1000;
+            this.setStatus('Conectado');
+            
+            if (session.token) {
+                // O estado que volta com a reconexão confere a transmissão
+                this.syncing = this.isStreaming();
+                this.send({ type: 'join', room: session.room, token: session.token });
+            } else if (this.pendingRequest) {
+                this.send(this.pendingRequest);
+            }
+            this.pendingRequest = null;
+        };
+        
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(message);
+        };
+        
+        socket.onclose = (event) => {
+            if (this.socket !== socket) return;
+            
+            this.socket = null;
+            
+            // O mesmo lugar foi retomado em outra janela: esta desiste de reconectar
+            if (event && event.code === 4000) {
+                this.setStatus('Partida aberta em outra janela');
+                return;
+            }
+            
+            this.scheduleReconnect();
+        };
+    }
+    
+    /**
+     * Tenta reconectar com espera crescente
+     */
+    scheduleReconnect() {
+        if (!this.session || !this.session.token) {
+            this.game.showNotification('Não foi possível conectar ao relay', 'error');
+            this.leave();
+            return;
+        }
+        
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.setStatus('Sem conexão com o servidor');
+            this.game.showNotification('Não foi possível reconectar à partida em rede', 'error');
+            return;
+        }
+        
+        this.reconnectAttempts++;
+        this.setStatus(`Reconectando (${this.reconnectAttempts})...`);
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+    }
+    
+    /**
+     * Envia uma mensagem (ignorada sem conexão aberta: a reconexão ressincroniza)
+     */
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return false;
+        
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+    
+    /**
+     * Trata uma mensagem do servidor
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.session = { ...this.session, room: message.room, token: message.token, color: message.color };
+                // A transmissão não é retomada ao recarregar: a partida local seria outra
+                if (!this.isStreaming()) this.saveSession();
+                this.updateControls();
+                break;
+            case 'state':
+                if (this.isStreaming()) {
+                    this.reconcileStream(message);
+                } else {
+                    this.applyState(message);
+                }
+                break;
+            case 'move':
+                // Na transmissão o lance é o eco do nosso
+                if (!this.isStreaming()) this.handleRemoteMove(message);
+                break;
+            case 'offer':
+                if (!this.isStreaming()) this.handleRemoteOffer(message);
+                break;
+            case 'gameOver':
+                if (!this.isStreaming() && !this.game.gameOver) this.applyResult(message);
+                break;
+            case 'presence':
+                this.players = message.players;
+                this.spectatorCount = message.spectators || 0;
+                this.updateControls();
+                break;
+            case 'error':
+                this.handleError(message);
+                break;
+        }
+    }
+    
+    /**
+     * Refaz a partida a partir do estado do servidor: posição inicial, lances,
+     * relógios, oferta pendente e resultado
+     */
+    applyState(state) {
+        const game = this.game;
+        this.players = state.players;
+        
+        this.withRemote(() => {
+            game.gameState.mode = 'network';
+            game.gameState.playerColor = state.color;
+            game.gameState.flipped = state.color === 'black';
+            
+            game.rules.setVariant(state.variant);
+            game.gameState.variant = state.variant;
+            
+            const loaded = game.loadPosition(state.startFEN);
+            if (!loaded.success) return;
+            
+            const rules = game.rules;
+            rules.events.silently(() => {
+                state.moves.forEach((uci, ply) => {
+                    const result = rules.makeMoveUCI(uci);
+                    if (result.success) result.moveRecord.clock = state.clocks[ply] || null;
+                });
+            });
+            
+            game.setTimeControl(state.timeControl);
+            
+            if (state.result) {
+                this.applyResult(state.result);
+            } else if (state.offer) {
+                game.offers.offerDraw(state.offer.from);
+            }
+            
+            game.refreshAfterNavigation();
+            this.applyTime(state.time);
+        });
+        
+        game.elements.difficultyLevel.textContent = `Rede · sala ${state.room}` +
+            (state.variant === 'chess960' ? ' · Chess960' : '');
+        this.updateControls();
+    }
+    
+    /**
+     * Transmissão: confere os lances do servidor com os locais, volta os que
+     * divergem e envia os que faltam (ex.: jogados enquanto a conexão caiu)
+     */
+    reconcileStream(state) {
+        if (!this.syncing) return;
+        this.syncing = false;
+        
+        const rules = this.game.rules;
+        const history = rules.gameState.moveHistory;
+        const local = history.map(move => rules.getUCIMove(move, move.promotion));
+        
+        let common = 0;
+        while (common < local.length && common < state.moves.length && local[common] === state.moves[common]) {
+            common++;
+        }
+        
+        for (let ply = state.moves.length - 1; ply >= common; ply--) {
+            this.send({ type: 'undo', ply });
+        }
+        for (let ply = common; ply < local.length; ply++) {
+            this.send({ type: 'move', move: local[ply], ply, clock: history[ply].clock || null });
+        }
+        
+        if (!state.result && rules.gameState.gameOver) {
+            this.sendStreamResult(rules.getGameResult());
+        }
+    }
+    
+    /**
+     * Transmissão: pede o estado do servidor para conferir a partida
+     * (depois de navegar pela árvore, que muda a posição sem eventos)
+     */
+    syncStream() {
+        if (!this.isStreaming() || this.syncing) return;
+        
+        this.syncing = this.send({ type: 'sync' });
+    }
+    
+    /**
+     * Lance vindo do servidor: o eco do nosso (só acerta o relógio) ou o do adversário
+     */
+    handleRemoteMove(message) {
+        const game = this.game;
+        const history = game.rules.gameState.moveHistory;
+        
+        if (message.ply < history.length) {
+            const record = history[message.ply];
+            if (game.rules.getUCIMove(record, record.promotion) !== message.move) {
+                this.send({ type: 'sync' });
+                return;
+            }
+            record.clock = message.clock;
+            this.applyTime(message.time);
+            return;
+        }
+        
+        // Perdemos algum lance: pede o estado completo
+        if (message.ply > history.length) {
+            this.send({ type: 'sync' });
+            return;
+        }
+        
+        const result = this.withRemote(() => game.applyNetworkMove(message.move));
+        if (!result.success) {
+            this.send({ type: 'sync' });
+            return;
+        }
+        
+        result.moveRecord.clock = message.clock;
+        this.applyTime(message.time);
+    }
+    
+    /**
+     * Oferta de empate vinda do servidor
+     */
+    handleRemoteOffer(message) {
+        const offers = this.game.offers;
+        const mine = message.from === this.session.color;
+        
+        this.withRemote(() => {
+            if (message.status === 'pending' && !mine && !offers.pending) {
+                offers.offerDraw(message.from);
+                this.game.showNotification(offers.describe(), 'info');
+            } else if (message.status === 'declined' && mine && offers.pending) {
+                offers.decline();
+                this.game.showNotification(offers.describe(), 'info');
+            } else if (message.status === 'accepted' && mine && offers.pending) {
+                offers.accept();
+            } else if (message.status === 'expired' && offers.pending) {
+                offers.close(offers.pending, 'expired');
+            }
+        });
+    }
+    
+    /**
+     * Encerra a partida local com o resultado do servidor
+     */
+    applyResult(result) {
+        const game = this.game;
+        const rules = game.rules;
+        
+        this.withRemote(() => {
+            if (!rules.gameState.gameOver) {
+                if (result.reason === 'resignation') {
+                    rules.resign(result.color);
+                } else if (result.reason === 'timeout' || result.reason === 'timeoutVsInsufficientMaterial') {
+                    game.events.emit('flag', { color: result.color });
+                    rules.declareTimeout(result.color);
+                } else if (result.reason === 'agreement') {
+                    rules.agreeDraw();
+                } else if (result.reason === 'threefoldRepetition' || result.reason === 'fiftyMoves') {
+                    rules.claimDraw();
+                }
+            }
+            
+            if (result.reason === 'resignation' || result.reason === 'timeout') {
+                game.gameOver = true;
+                game.gameState.gameActive = false;
+                game.clock.stop();
+                game.clearPremoves();
+                
+                const winner = result.winner === 'white' ? 'Branco' : 'Preto';
+                const how = result.reason === 'resignation' ? 'desistência' : 'tempo';
+                game.showGameOverModal(`${winner} venceu por ${how}!`, result.reason);
+            } else {
+                game.handleGameOver({
+                    checkmate: result.reason === 'checkmate',
+                    stalemate: result.reason === 'stalemate',
+                    draw: result.winner === null
+                });
+            }
+        });
+    }
+    
+    /**
+     * Acerta os relógios pelos tempos do servidor
+     */
+    applyTime(time) {
+        const clock = this.game.clock;
+        
+        clock.setTimes(time);
+        if (!time.running || this.game.gameOver) {
+            clock.stop();
+        } else if (!clock.running) {
+            clock.start(time.turn);
+        }
+        this.game.syncTimers();
+    }
+    
+    /**
+     * Erros do servidor: sala inexistente/cheia encerra a sessão; os outros ressincronizam
+     */
+    handleError(message) {
+        // Na transmissão o erro só indica divergência: confere de novo
+        if (this.isStreaming() && ['illegal', 'outOfSync', 'gameOver'].includes(message.code)) {
+            this.syncStream();
+            return;
+        }
+        
+        this.game.showNotification(message.message, 'error');
+        
+        if (message.code === 'roomNotFound' || message.code === 'roomFull' || message.code === 'invalidOptions') {
+            this.leave();
+        } else if (!['illegal', 'outOfSync', 'notYourTurn', 'notStarted'].includes(message.code)) {
+            // Nos outros casos o servidor já manda o estado junto com o erro
+            this.send({ type: 'sync' });
+        }
+    }
+    
+    /**
+     * Nosso lance: repassa em UCI com o número do meio-lance
+     */
+    handleLocalMove(move, color) {
+        const ply = this.game.rules.gameState.moveHistory.indexOf(move);
+        
+        if (this.isStreamGame()) {
+            this.send({ type: 'move', move: this.game.rules.getUCIMove(move, move.promotion), ply, clock: move.clock || null });
+            return;
+        }
+        
+        if (!this.isRemoteGame() || color !== this.session.color) return;
+        
+        const sent = this.send({ type: 'move', move: this.game.rules.getUCIMove(move, move.promotion), ply });
+        if (!sent) {
+            this.game.showNotification('Sem conexão: o lance será desfeito ao reconectar', 'warning');
+        }
+    }
+    
+    /**
+     * Transmissão: lance desfeito aqui
+     */
+    handleLocalUndo() {
+        if (!this.isStreamGame()) return;
+        
+        this.send({ type: 'undo', ply: this.game.rules.gameState.moveHistory.length });
+    }
+    
+    /**
+     * Transmissão: avaliação do motor depois do lance da IA, do ponto de vista
+     * das brancas (o motor avalia pelo lado que jogou)
+     */
+    handleLocalEvaluation(move) {
+        if (!this.isStreamGame() || !this.game.ai) return;
+        
+        const evaluation = this.game.ai.evaluation;
+        const sign = move.piece.color === 'white' ? 1 : -1;
+        const mate = typeof evaluation === 'string' && evaluation.match(/^(Mate|Mated) in (\d+)$/);
+        
+        let value = null;
+        if (typeof evaluation === 'number') {
+            value = evaluation * sign;
+        } else if (mate) {
+            value = `#${(mate[1] === 'Mate' ? sign : -sign) < 0 ? '-' : ''}${mate[2]}`;
+        }
+        if (value === null) return;
+        
+        const ply = this.game.rules.gameState.moveHistory.indexOf(move);
+        this.send({ type: 'eval', ply, evaluation: value });
+    }
+    
+    /**
+     * Nossa oferta de empate ou nossa resposta à do adversário
+     */
+    handleLocalOffer({ offer, from, status }) {
+        if (!this.isRemoteGame() || offer !== 'draw') return;
+        
+        const mine = from === this.session.color;
+        if (status === 'pending' && mine) {
+            this.send({ type: 'offer', offer });
+        } else if ((status === 'accepted' || status === 'declined') && !mine) {
+            this.send({ type: 'answer', accept: status === 'accepted' });
+        }
+    }
+    
+    /**
+     * Desistência ou reclamação de empate feitas aqui
+     */
+    handleLocalGameOver(result) {
+        if (this.isStreamGame()) {
+            this.sendStreamResult(result);
+            return;
+        }
+        if (!this.isRemoteGame()) return;
+        
+        const reason = result.reason;
+        if (reason === 'resignation') {
+            this.send({ type: 'resign' });
+        } else if (reason === 'threefoldRepetition' || reason === 'fiftyMoves') {
+            this.send({ type: 'claim' });
+        }
+    }
+    
+    /**
+     * Transmissão: fins de partida que o servidor não detecta sozinho
+     * (xeque-mate, afogamento e empates automáticos ele vê pelos lances)
+     */
+    sendStreamResult({ reason, winner }) {
+        if (reason === 'resignation') {
+            this.send({ type: 'resign', color: winner === 'white' ? 'black' : 'white' });
+        } else if (reason === 'timeout' || reason === 'timeoutVsInsufficientMaterial') {
+            this.send({ type: 'flag', color: this.game.clock.getFlagged() });
+        } else if (reason === 'agreement') {
+            this.send({ type: 'draw' });
+        } else if (reason === 'threefoldRepetition' || reason === 'fiftyMoves') {
+            this.send({ type: 'claim' });
+        }
+    }
+    
+    /**
+     * A ação local deve ir ao servidor: partida em rede e não é o próprio servidor aplicando
+     */
+    isRemoteGame() {
+        return !this.applying && this.session !== null && this.session.color !== null &&
+            this.game.gameState.mode === 'network';
+    }
+    
+    /**
+     * A ação local deve ir à transmissão
+     */
+    isStreamGame() {
+        return !this.applying && this.isStreaming();
+    }
+    
+    /**
+     * Executa o callback marcando que as mudanças vêm do servidor
+     */
+    withRemote(callback) {
+        const previous = this.applying;
+        this.applying = true;
+        try {
+            return callback();
+        } finally {
+            this.applying = previous;
+        }
+    }
+    
+    saveSession() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.session));
+        } catch (error) {
+            // Sem localStorage a reconexão só funciona enquanto a página estiver aberta
+        }
+    }
+    
+    loadSession() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return saved && saved.url && saved.room && saved.token ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    clearSession() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nada a apagar
+        }
+    }
+    
+    /**
+     * Cria o painel de rede (servidor, sala, criar/entrar/sair) abaixo do tabuleiro
+     */
+    createControls() {
+        const board = this.game.elements.board;
+        if (!board || this.controls) return;
+        
+        const host = typeof location !== 'undefined' && location.hostname ? location.hostname : 'localhost';
+        
+        const controls = document.createElement('div');
+        controls.className = 'network-panel';
+        controls.innerHTML = `
+            <div class="network-fields">
+                <input type="text" class="network-url" value="ws://${host}:8080" title="Endereço do relay">
+                <input type="text" class="network-room" maxlength="6" placeholder="Sala" title="Código da sala">
+                <select class="network-color" title="Sua cor ao criar a sala">
+                    <option value="white">Brancas</option>
+                    <option value="black">Pretas</option>
+                    <option value="random">Aleatório</option>
+                </select>
+            </div>
+            <div class="button-group">
+                <button class="btn" data-action="create">Criar sala</button>
+                <button class="btn" data-action="join">Entrar</button>
+                <button class="btn" data-action="watch">Assistir</button>
+                <button class="btn" data-action="stream">Transmitir</button>
+                <button class="btn" data-action="leave">Sair</button>
+            </div>
+            <span class="network-status">Desconectado</span>
+        `;
+        
+        this.elements = {
+            url: controls.querySelector('.network-url'),
+            room: controls.querySelector('.network-room'),
+            color: controls.querySelector('.network-color'),
+            status: controls.querySelector('.network-status'),
+            leave: controls.querySelector('[data-action="leave"]')
+        };
+        
+        controls.querySelector('[data-action="create"]').addEventListener('click', () => {
+            this.createRoom(this.elements.url.value.trim(), this.elements.color.value);
+        });
+        controls.querySelector('[data-action="join"]').addEventListener('click', () => {
+            if (!this.elements.room.value.trim()) {
+                this.game.showNotification('Digite o código da sala', 'warning');
+                return;
+            }
+            this.joinRoom(this.elements.url.value.trim(), this.elements.room.value);
+        });
+        controls.querySelector('[data-action="watch"]').addEventListener('click', () => {
+            if (!this.elements.room.value.trim()) {
+                this.game.showNotification('Digite o código da sala', 'warning');
+                return;
+            }
+            this.game.watchGame(this.elements.url.value.trim(), this.elements.room.value);
+        });
+        controls.querySelector('[data-action="stream"]').addEventListener('click', () => {
+            this.stream(this.elements.url.value.trim());
+        });
+        this.elements.leave.addEventListener('click', () => {
+            // A transmissão só para; a partida local continua
+            if (this.isStreaming()) {
+                this.leave();
+            } else {
+                this.game.setGameMode('pvp');
+            }
+        });
+        
+        board.insertAdjacentElement('afterend', controls);
+        this.controls = controls;
+        this.updateControls();
+    }
+    
+    /**
+     * Texto de estado do painel
+     */
+    setStatus(text) {
+        this.statusText = text;
+        this.updateControls();
+    }
+    
+    /**
+     * Mostra sala, cor e presença do adversário (ou os espectadores da transmissão)
+     */
+    updateControls() {
+        if (!this.controls) return;
+        
+        const session = this.session;
+        let text = this.statusText || 'Desconectado';
+        
+        if (session && session.room && this.socket && this.socket.readyState === WebSocket.OPEN) {
+            const opponent = session.color === 'white' ? 'black' : 'white';
+            if (this.isStreaming()) {
+                text = `Transmitindo na sala ${session.room} · ${this.spectatorCount} espectador(es)`;
+            } else {
+                text = `Sala ${session.room} · você joga de ${session.color === 'white' ? 'brancas' : 'pretas'}` +
+                    (this.players[opponent] ? '' : ' · aguardando adversário') +
+                    (this.spectatorCount > 0 ? ` · ${this.spectatorCount} espectador(es)` : '');
+            }
+            this.elements.room.value = session.room;
+            this.elements.url.value = session.url;
+        }
+        
+        this.elements.status.textContent = text;
+        this.elements.leave.disabled = !this.isActive();
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetworkGame;
+}
@@ -0,0 +1,125 @@
+/**
+ * SERVIÇO DE NOTAÇÃO
+ * Escreve lances em SAN, LAN (Ng1-f3), UCI (g1f3), SAN com figuras (♘f3)
+ * ou SAN com as letras das peças no idioma escolhido (Cf3 em português).
+ */
+
+class NotationService {
+    constructor(options = {}) {
+        this.formats = ['san', 'lan', 'uci', 'figurine', 'localized'];
+        
+        // Letras de rei, dama, torre, bispo e cavalo em cada idioma
+        this.pieceLetters = {
+            en: { king: 'K', queen: 'Q', rook: 'R', bishop: 'B', knight: 'N' },
+            pt: { king: 'R', queen: 'D', rook: 'T', bishop: 'B', knight: 'C' },
+            es: { king: 'R', queen: 'D', rook: 'T', bishop: 'A', knight: 'C' },
+            de: { king: 'K', queen: 'D', rook: 'T', bishop: 'L', knight: 'S' },
+            fr: { king: 'R', queen: 'D', rook: 'T', bishop: 'F', knight: 'C' },
+            it: { king: 'R', queen: 'D', rook: 'T', bishop: 'A', knight: 'C' },
+            nl: { king: 'K', queen: 'D', rook: 'T', bishop: 'L', knight: 'P' }
+        };
+        
+        this.figurines = { king: '♔', queen: '♕', rook: '♖', bishop: '♗', knight: '♘' };
+        
+        this.sanTypes = { K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight' };
+        
+        this.format = 'san';
+        this.locale = 'pt';
+        this.setOptions(options);
+    }
+    
+    /**
+     * Define formato e idioma padrão ({ format, locale })
+     */
+    setOptions(options = {}) {
+        if (options.format !== undefined && !this.formats.includes(options.format)) {
+            return { success: false, error: `Notação desconhecida: ${options.format}` };
+        }
+        if (options.locale !== undefined && !this.pieceLetters[options.locale]) {
+            return { success: false, error: `Idioma de notação desconhecido: ${options.locale}` };
+        }
+        
+        if (options.format !== undefined) this.format = options.format;
+        if (options.locale !== undefined) this.locale = options.locale;
+        
+        return { success: true };
+    }
+    
+    /**
+     * Formato e idioma atuais
+     */
+    getOptions() {
+        return { format: this.format, locale: this.locale };
+    }
+    
+    /**
+     * Escreve o lance no formato pedido (por padrão, o configurado).
+     * move é um registro de ChessRules.makeMove ou um lance legal com a SAN já calculada.
+     */
+    formatMove(move, options = {}) {
+        const format = options.format || this.format;
+        const locale = options.locale || this.locale;
+        
+        switch (format) {
+            case 'lan':
+                return this.toLAN(move);
+            case 'uci':
+                return this.toUCI(move);
+            case 'figurine':
+                return this.replacePieceLetters(move.san, type => this.figurines[type]);
+            case 'localized':
+                return this.replacePieceLetters(move.san, type => this.pieceLetters[locale][type]);
+            default:
+                return move.san;
+        }
+    }
+    
+    /**
+     * Troca as letras inglesas da SAN (peça que move e peça de promoção)
+     */
+    replacePieceLetters(san, getLetter) {
+        if (!san) return san;
+        
+        return san
+            .replace(/^[KQRBN]/, letter => getLetter(this.sanTypes[letter]))
+            .replace(/=([QRBN])/, (_, letter) => `=${getLetter(this.sanTypes[letter])}`);
+    }
+    
+    /**
+     * Notação algébrica longa: Ng1-f3, e4xd5, e7-e8=Q, O-O
+     */
+    toLAN(move) {
+        const moveType = move.moveType || move.type;
+        const suffix = move.san ? (move.san.match(/[+#]$/) || [''])[0] : '';
+        
+        if (moveType === 'castling') {
+            return (move.to.col > move.from.col ? 'O-O' : 'O-O-O') + suffix;
+        }
+        
+        const letter = move.piece.type === 'pawn' ? '' : this.pieceLetters.en[move.piece.type];
+        const capture = move.capturedPiece || moveType === 'enPassant' ? 'x' : '-';
+        const promotion = move.promotion ? `=${this.pieceLetters.en[move.promotion]}` : '';
+        
+        return letter + this.getSquareName(move.from) + capture + this.getSquareName(move.to) + promotion + suffix;
+    }
+    
+    /**
+     * Notação UCI: g1f3, e7e8q (no Chess960 o roque é rei "captura" torre)
+     */
+    toUCI(move) {
+        const promotion = move.promotion ? this.pieceLetters.en[move.promotion].toLowerCase() : '';
+        return this.getSquareName(move.from) + this.getSquareName(move.to) + promotion;
+    }
+    
+    /**
+     * Nome da casa (e4) a partir de { row, col }
+     */
+    getSquareName({ row, col }) {
+        return String.fromCharCode(97 + col) + (8 - row);
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotationService;
+}
@@ -0,0 +1,391 @@
+/**
+ * LEITOR DE PGN (Portable Game Notation)
+ * Lê cabeçalhos, comentários, NAGs, variações e resultados de um ou mais jogos
+ */
+
+class PGNParser {
+    constructor() {
+        // Glifos de anotação convertidos em NAGs padrão
+        this.glyphNAGs = {
+            '!': 1,
+            '?': 2,
+            '!!': 3,
+            '??': 4,
+            '!?': 5,
+            '?!': 6
+        };
+        
+        this.results = ['1-0', '0-1', '1/2-1/2', '*'];
+    }
+    
+    /**
+     * Lê um texto PGN com um ou mais jogos.
+     * Retorna { success, games } ou { success: false, error, line, column }
+     */
+    parse(text) {
+        try {
+            this.tokens = this.tokenize(String(text || ''));
+            this.position = 0;
+            
+            const games = [];
+            while (this.peek()) {
+                const game = this.parseGame();
+                if (game) games.push(game);
+            }
+            
+            return { success: true, games };
+        } catch (error) {
+            if (error.line === undefined) throw error;
+            
+            console.error('Erro ao ler PGN:', error.message);
+            return { success: false, error: error.message, line: error.line, column: error.column };
+        }
+    }
+    
+    /**
+     * Cria um erro com a linha e coluna do trecho problemático
+     */
+    createError(message, location) {
+        const error = new Error(`${message} (linha ${location.line}, coluna ${location.column})`);
+        error.line = location.line;
+        error.column = location.column;
+        return error;
+    }
+    
+    /**
+     * Divide o texto em tokens, guardando linha e coluna de cada um
+     */
+    tokenize(text) {
+        const tokens = [];
+        let index = 0;
+        let line = 1;
+        let column = 1;
+        
+        const advance = () => {
+            if (text[index] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            index++;
+        };
+        
+        while (index < text.length) {
+            const char = text[index];
+            const location = { line, column };
+            
+            // Linha de escape (% na primeira coluna)
+            if (char === '%' && column === 1) {
+                while (index < text.length && text[index] !== '\n') advance();
+                continue;
+            }
+            
+            if (/\s/.test(char)) {
+                advance();
+                continue;
+            }
+            
+            // Oferta de empate "(=)" depois do lance
+            if (text.startsWith('(=)', index)) {
+                tokens.push({ type: 'drawOffer', value: '(=)', ...location });
+                advance();
+                advance();
+                advance();
+                continue;
+            }
+            
+            if ('[]()'.includes(char)) {
+                tokens.push({ type: char, value: char, ...location });
+                advance();
+                continue;
+            }
+            
+            // Texto entre aspas (valor de cabeçalho)
+            if (char === '"') {
+                let value = '';
+                advance();
+                while (index < text.length && text[index] !== '"') {
+                    if (text[index] === '\\' && index + 1 < text.length) advance();
+                    if (text[index] === '\n') throw this.createError('Texto entre aspas não fechado', location);
+                    value += text[index];
+                    advance();
+                }
+                if (index >= text.length) throw this.createError('Texto entre aspas não fechado', location);
+                advance();
+                tokens.push({ type: 'string', value, ...location });
+                continue;
+            }
+            
+            // Comentário entre chaves (pode ocupar várias linhas)
+            if (char === '{') {
+                let value = '';
+                advance();
+                while (index < text.length && text[index] !== '}') {
+                    value += text[index];
+                    advance();
+                }
+                if (index >= text.length) throw this.createError('Comentário { } não fechado', location);
+                advance();
+                tokens.push({ type: 'comment', value: value.trim(), ...location });
+                continue;
+            }
+            
+            // Comentário até o fim da linha
+            if (char === ';') {
+                let value = '';
+                advance();
+                while (index < text.length && text[index] !== '\n') {
+                    value += text[index];
+                    advance();
+                }
+                tokens.push({ type: 'comment', value: value.trim(), ...location });
+                continue;
+            }
+            
+            // NAG ($1, $14...)
+            if (char === '$') {
+                let digits = '';
+                advance();
+                while (index < text.length && /\d/.test(text[index])) {
+                    digits += text[index];
+                    advance();
+                }
+                if (!digits) throw this.createError('NAG sem número', location);
+                tokens.push({ type: 'nag', value: parseInt(digits), ...location });
+                continue;
+            }
+            
+            if (char === '*') {
+                tokens.push({ type: 'result', value: '*', ...location });
+                advance();
+                continue;
+            }
+            
+            // Símbolos: lances, números de lance e resultados
+            if (/[A-Za-z0-9]/.test(char)) {
+                let value = '';
+                while (index < text.length && /[A-Za-z0-9_+#=:\-\/!?]/.test(text[index])) {
+                    value += text[index];
+                    advance();
+                }
+                
+                // Número de lance ("12." ou "12...")
+                if (/^\d+$/.test(value) && text[index] === '.') {
+                    while (text[index] === '.') advance();
+                    tokens.push({ type: 'number', value: parseInt(value), ...location });
+                    continue;
+                }
+                
+                const type = this.results.includes(value) ? 'result' : 'symbol';
+                tokens.push({ type, value, ...location });
+                continue;
+            }
+            
+            // Reticências soltas ("1. e4 ... e5" em alguns arquivos)
+            if (char === '.') {
+                advance();
+                continue;
+            }
+            
+            throw this.createError(`Caractere inesperado "${char}"`, location);
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Token atual sem consumir
+     */
+    peek() {
+        return this.tokens[this.position] || null;
+    }
+    
+    /**
+     * Consome o token atual, opcionalmente exigindo um tipo
+     */
+    next(expectedType = null) {
+        const token = this.tokens[this.position];
+        
+        if (!token) {
+            const last = this.tokens[this.tokens.length - 1] || { line: 1, column: 1 };
+            throw this.createError('Fim inesperado do PGN', last);
+        }
+        
+        if (expectedType && token.type !== expectedType) {
+            throw this.createError(`Esperado ${expectedType}, encontrado "${token.value}"`, token);
+        }
+        
+        this.position++;
+        return token;
+    }
+    
+    /**
+     * Lê um jogo: cabeçalhos, lances e resultado
+     */
+    parseGame() {
+        const headers = {};
+        
+        while (this.peek() && this.peek().type === '[') {
+            this.next('[');
+            const name = this.next('symbol');
+            const value = this.next('string');
+            this.next(']');
+            headers[name.value] = value.value;
+        }
+        
+        const { moves, comments, result } = this.parseMoveText(null);
+        
+        if (Object.keys(headers).length === 0 && moves.length === 0 && !result) {
+            return null;
+        }
+        
+        return {
+            headers,
+            comments,
+            moves,
+            result: result || headers.Result || '*'
+        };
+    }
+    
+    /**
+     * Lê uma sequência de lances. openToken é o "(" de uma variação,
+     * ou null na linha principal.
+     */
+    parseMoveText(openToken) {
+        const moves = [];
+        const comments = [];
+        let pendingComments = [];
+        let result = null;
+        
+        while (true) {
+            const token = this.peek();
+            
+            if (!token) {
+                if (openToken) throw this.createError('Variação não fechada', openToken);
+                break;
+            }
+            
+            if (token.type === '[') {
+                if (openToken) throw this.createError('Variação não fechada', openToken);
+                break;
+            }
+            
+            if (token.type === ')') {
+                if (!openToken) throw this.createError('Parêntese ")" sem abertura', token);
+                this.next();
+                break;
+            }
+            
+            if (token.type === 'result') {
+                if (openToken) throw this.createError('Resultado dentro de variação', token);
+                this.next();
+                result = token.value;
+                break;
+            }
+            
+            this.next();
+            const lastMove = moves[moves.length - 1];
+            
+            switch (token.type) {
+                case 'number':
+                    break;
+                
+                case '(':
+                    if (!lastMove) throw this.createError('Variação sem lance anterior', token);
+                    lastMove.variations.push(this.parseMoveText(token).moves);
+                    break;
+                
+                case 'drawOffer':
+                    if (!lastMove) throw this.createError('Oferta de empate sem lance anterior', token);
+                    lastMove.drawOffer = true;
+                    break;
+                
+                case 'nag':
+                    if (!lastMove) throw this.createError('NAG sem lance anterior', token);
+                    lastMove.nags.push(token.value);
+                    break;
+                
+                case 'comment':
+                    if (lastMove) {
+                        this.addMoveComment(lastMove, token.value);
+                    } else if (openToken) {
+                        pendingComments.push(token.value);
+                    } else {
+                        comments.push(token.value);
+                    }
+                    break;
+                
+                case 'symbol':
+                    moves.push(this.createMoveNode(token, pendingComments));
+                    pendingComments = [];
+                    break;
+                
+                default:
+                    throw this.createError(`Token inesperado "${token.value}"`, token);
+            }
+        }
+        
+        return { moves, comments, result };
+    }
+    
+    /**
+     * Cria o nó de um lance, separando glifos (!, ?!) em NAGs
+     */
+    createMoveNode(token, commentsBefore) {
+        const glyphMatch = token.value.match(/^(.*?)([!?]{1,2})$/);
+        const san = glyphMatch ? glyphMatch[1] : token.value;
+        const nags = [];
+        
+        if (glyphMatch) {
+            if (!this.glyphNAGs[glyphMatch[2]]) {
+                throw this.createError(`Anotação desconhecida "${glyphMatch[2]}"`, token);
+            }
+            nags.push(this.glyphNAGs[glyphMatch[2]]);
+        }
+        
+        return {
+            san,
+            nags,
+            comments: [],
+            commentsBefore,
+            clock: null, // { remaining, spent } lidos de [%clk] e [%emt]
+            drawOffer: false, // Oferta de empate "(=)" feita com o lance
+            variations: [],
+            line: token.line,
+            column: token.column
+        };
+    }
+    
+    /**
+     * Guarda o comentário do lance, separando os comandos de relógio
+     * [%clk h:mm:ss] (tempo restante) e [%emt h:mm:ss] (tempo gasto)
+     */
+    addMoveComment(move, text) {
+        const rest = text.replace(/\[%(clk|emt)\s+([^\]]*)\]/g, (command, name, value) => {
+            const seconds = this.parseClockTime(value);
+            if (seconds === null) return command;
+            
+            move.clock = move.clock || { remaining: null, spent: null };
+            move.clock[name === 'clk' ? 'remaining' : 'spent'] = seconds;
+            return '';
+        }).trim();
+        
+        if (rest) move.comments.push(rest);
+    }
+    
+    /**
+     * Converte "h:mm:ss" (ou "m:ss", com décimos opcionais) em segundos, ou null se inválido
+     */
+    parseClockTime(value) {
+        const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+        if (!match) return null;
+        
+        return (parseInt(match[1] || '0') * 3600) + (parseInt(match[2]) * 60) + parseFloat(match[3]);
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PGNParser;
+}
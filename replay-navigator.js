@@ -0,0 +1,321 @@
+/**
+ * NAVEGADOR DE REPLAY
+ * Mostra qualquer posição da árvore de lances sem mexer na partida ao vivo:
+ * a posição revista é refeita numa cópia das regras e o tabuleiro fica só para leitura.
+ */
+
+class ReplayNavigator {
+    constructor(game) {
+        this.game = game;
+        
+        this.node = null; // Nó revisto (null = posição ao vivo)
+        this.viewer = null; // Cópia das regras na posição revista
+        this.autoplayTimer = null;
+        this.speed = 1000; // Intervalo do autoplay em ms
+        
+        this.controls = null;
+        this.elements = {};
+    }
+    
+    /**
+     * Está revendo uma posição que não é a ao vivo
+     */
+    isActive() {
+        return this.node !== null;
+    }
+    
+    /**
+     * Tabuleiro a desenhar: o revisto ou o da partida
+     */
+    getBoard() {
+        return this.isActive() ? this.viewer.board : this.game.rules.board;
+    }
+    
+    /**
+     * Relógios da posição revista (null fora do replay)
+     */
+    getClocks() {
+        return this.isActive() ? this.getClocksAt(this.node) : null;
+    }
+    
+    /**
+     * Tempo de cada lado depois do lance do nó: o registrado no último lance
+     * da cor até ali, o inicial se ela ainda não jogou, null se não foi registrado
+     */
+    getClocksAt(node) {
+        const clocks = {};
+        
+        for (let current = node; current.parent; current = current.parent) {
+            const color = current.color;
+            if (color in clocks) continue;
+            
+            const clock = current.move.clock;
+            clocks[color] = clock && typeof clock.remaining === 'number' ? clock.remaining : null;
+            if ('white' in clocks && 'black' in clocks) break;
+        }
+        
+        ['white', 'black'].forEach(color => {
+            if (!(color in clocks)) clocks[color] = this.game.clock.getInitialTime(color);
+        });
+        
+        return clocks;
+    }
+    
+    /**
+     * Mostra a posição depois do lance do nó (o nó raiz é a posição inicial)
+     */
+    view(nodeId) {
+        const rules = this.game.rules;
+        const node = rules.treeNodes[nodeId];
+        if (!node) {
+            return { success: false, error: 'Lance não encontrado na árvore' };
+        }
+        
+        // O nó ao vivo encerra o replay
+        if (node === rules.currentNode) {
+            this.exit();
+            return { success: true, live: true };
+        }
+        
+        this.moveViewerTo(node);
+        this.node = node;
+        this.refresh();
+        
+        return { success: true, live: false };
+    }
+    
+    /**
+     * Leva a cópia das regras até o nó: um passo à frente ou atrás quando
+     * possível, senão refaz o caminho a partir da posição inicial
+     */
+    moveViewerTo(node) {
+        const from = this.node;
+        
+        if (this.viewer && from && node.parent === from) {
+            this.playOnViewer(node);
+            return;
+        }
+        
+        if (this.viewer && from && from.parent === node) {
+            this.viewer.undoMove();
+            return;
+        }
+        
+        const rules = this.game.rules;
+        const path = [];
+        for (let current = node; current.parent; current = current.parent) {
+            path.unshift(current);
+        }
+        
+        this.viewer = new ChessRules();
+        this.viewer.setVariant(rules.variant);
+        this.viewer.loadFEN(rules.startFEN, { lenient: true, variant: rules.variant });
+        path.forEach(current => this.playOnViewer(current));
+    }
+    
+    /**
+     * Joga na cópia o lance do nó
+     */
+    playOnViewer(node) {
+        const { from, to, promotion } = node.move;
+        this.viewer.events.silently(() => {
+            this.viewer.makeMove(from, to, promotion || this.viewer.pieceTypes.QUEEN);
+        });
+    }
+    
+    /**
+     * Posição inicial
+     */
+    first() {
+        return this.view(this.game.rules.moveTree.id);
+    }
+    
+    /**
+     * Lance anterior (a partir da posição ao vivo, começa o replay)
+     */
+    previous() {
+        const node = this.node || this.game.rules.currentNode;
+        if (!node.parent) return { success: false, error: 'Já está na posição inicial' };
+        
+        return this.view(node.parent.id);
+    }
+    
+    /**
+     * Próximo lance, seguindo o caminho até a posição ao vivo quando o nó está nele
+     */
+    next() {
+        if (!this.node) return { success: false, error: 'Já está na posição atual' };
+        
+        let towardsLive = null;
+        for (let current = this.game.rules.currentNode; current; current = current.parent) {
+            if (current.parent === this.node) {
+                towardsLive = current;
+                break;
+            }
+        }
+        
+        const node = towardsLive || this.node.activeChild || this.node.children[0];
+        if (!node) {
+            this.stopAutoplay();
+            return { success: false, error: 'Fim da variação' };
+        }
+        
+        return this.view(node.id);
+    }
+    
+    /**
+     * Volta à posição ao vivo
+     */
+    last() {
+        this.exit();
+        return { success: true, live: true };
+    }
+    
+    /**
+     * Sai do replay e redesenha a posição ao vivo
+     */
+    exit() {
+        this.stopAutoplay();
+        
+        if (!this.node) return;
+        
+        this.node = null;
+        this.viewer = null;
+        this.refresh();
+    }
+    
+    /**
+     * Liga ou desliga o autoplay (avança um lance a cada `speed` ms até a posição ao vivo)
+     */
+    toggleAutoplay() {
+        if (this.autoplayTimer) {
+            this.stopAutoplay();
+            return;
+        }
+        
+        // Do fim não há o que reproduzir: recomeça da posição inicial
+        if (!this.node) this.first();
+        
+        this.autoplayTimer = setInterval(() => {
+            this.next();
+            if (!this.node) this.stopAutoplay();
+        }, this.speed);
+        this.updateControls();
+    }
+    
+    /**
+     * Para o autoplay
+     */
+    stopAutoplay() {
+        if (!this.autoplayTimer) return;
+        
+        clearInterval(this.autoplayTimer);
+        this.autoplayTimer = null;
+        this.updateControls();
+    }
+    
+    /**
+     * Ajusta a velocidade do autoplay (reinicia o intervalo se estiver rodando)
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(100, parseInt(speed) || 1000);
+        
+        if (this.autoplayTimer) {
+            this.stopAutoplay();
+            this.toggleAutoplay();
+        }
+    }
+    
+    /**
+     * Redesenha tabuleiro, histórico, relógios e controles
+     */
+    refresh() {
+        this.game.updateBoard();
+        this.game.updateMoveHistory();
+        this.game.syncTimers();
+        this.updateControls();
+    }
+    
+    /**
+     * Cria a barra de navegação e o aviso de posição revista abaixo do tabuleiro
+     */
+    createControls() {
+        const board = this.game.elements.board;
+        if (!board || this.controls) return;
+        
+        const controls = document.createElement('div');
+        controls.className = 'replay-controls';
+        controls.innerHTML = `
+            <div class="button-group">
+                <button class="btn control-btn" data-action="first" title="Início (Home)">⏮</button>
+                <button class="btn control-btn" data-action="previous" title="Anterior (←)">◀</button>
+                <button class="btn control-btn" data-action="autoplay" title="Reproduzir">▶▶</button>
+                <button class="btn control-btn" data-action="next" title="Próximo (→)">▶</button>
+                <button class="btn control-btn" data-action="last" title="Posição atual (End)">⏭</button>
+                <select class="replay-speed" title="Velocidade">
+                    <option value="2000">0.5x</option>
+                    <option value="1000">1x</option>
+                    <option value="500">2x</option>
+                    <option value="250">4x</option>
+                </select>
+            </div>
+            <div class="replay-indicator">
+                <span class="replay-position"></span>
+                <button class="btn primary" data-action="last">Voltar à posição atual</button>
+            </div>
+        `;
+        
+        controls.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.action === 'autoplay') {
+                    this.toggleAutoplay();
+                } else {
+                    this.stopAutoplay();
+                    this[button.dataset.action]();
+                }
+            });
+        });
+        
+        this.elements = {
+            indicator: controls.querySelector('.replay-indicator'),
+            position: controls.querySelector('.replay-position'),
+            autoplay: controls.querySelector('[data-action="autoplay"]'),
+            speed: controls.querySelector('.replay-speed')
+        };
+        
+        this.elements.speed.value = String(this.speed);
+        this.elements.speed.addEventListener('change', () => {
+            this.game.setReplaySpeed(this.elements.speed.value);
+        });
+        
+        board.insertAdjacentElement('afterend', controls);
+        this.controls = controls;
+        this.updateControls();
+    }
+    
+    /**
+     * Atualiza o aviso de replay e o botão de autoplay
+     */
+    updateControls() {
+        if (!this.controls) return;
+        
+        this.elements.indicator.style.display = this.node ? 'flex' : 'none';
+        this.elements.autoplay.classList.toggle('active', this.autoplayTimer !== null);
+        this.elements.autoplay.textContent = this.autoplayTimer ? '⏸' : '▶▶';
+        this.elements.speed.value = String(this.speed);
+        this.game.elements.board.classList.toggle('replay-mode', this.isActive());
+        
+        if (this.node) {
+            const node = this.node;
+            const label = node.move
+                ? `${node.moveNumber}${node.color === 'white' ? '.' : '...'} ${this.game.notation.formatMove(node.move)}`
+                : 'posição inicial';
+            this.elements.position.textContent = `Revendo ${label}`;
+        }
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayNavigator;
+}
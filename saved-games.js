@@ -0,0 +1,649 @@
+/**
+ * BIBLIOTECA DE PARTIDAS SALVAS
+ * Cada partida fica numa chave chess_save_<id> do localStorage. A biblioteca lista,
+ * renomeia, apaga, duplica, exporta e importa (JSON ou PGN) e reconstrói a partida
+ * refazendo os lances, com histórico e relógios.
+ *
+ * Formato (versão 2): posição inicial, lances em UCI, relógio de cada lance
+ * ([restante, gasto] em segundos) e metadados. Saves da versão 1 guardavam o
+ * moveHistory inteiro e são convertidos ao abrir a biblioteca
+ * (tools/saves-migration.js confere a conversão).
+ */
+
+class SavedGames {
+    constructor(game) {
+        this.game = game;
+        
+        this.prefix = 'chess_save_';
+        this.limit = 50; // Partidas guardadas (as mais antigas saem primeiro)
+        this.version = 2; // Versão do formato salvo
+        
+        this.controls = null;
+        this.elements = {};
+        
+        this.migrateLastGame();
+        this.migrateSaves();
+    }
+    
+    /**
+     * O antigo "último jogo" (chess_last_game) vira uma partida da biblioteca
+     */
+    migrateLastGame() {
+        try {
+            const last = localStorage.getItem('chess_last_game');
+            if (!last) return;
+            
+            const data = JSON.parse(last);
+            const key = `${this.prefix}${data.timestamp}`;
+            if (!localStorage.getItem(key)) localStorage.setItem(key, last);
+            
+            localStorage.removeItem('chess_last_game');
+        } catch (error) {
+            console.error('Erro ao migrar o último jogo salvo:', error);
+        }
+    }
+    
+    /**
+     * Regrava no formato atual os saves de versões anteriores
+     */
+    migrateSaves() {
+        this.list().forEach(record => {
+            if (record.version === this.version) return;
+            
+            const migrated = this.migrate(record);
+            if (migrated.success) {
+                this.write(record.id, migrated.record);
+            } else {
+                console.error(`Save ${record.id} não convertido:`, migrated.error);
+            }
+        });
+    }
+    
+    /**
+     * Converte um registro para o formato atual. Versão 1: refaz o moveHistory
+     * (sem posição inicial, parte da posição padrão; se os lances não chegarem
+     * à posição salva, fica só a posição final). Saves do jogo original (sem
+     * startFEN) têm as brancas na linha 0: casas e FEN são espelhados antes.
+     */
+    migrate(record) {
+        if (record.version === this.version) return { success: true, record };
+        if (record.version) {
+            return { success: false, error: `Versão de save desconhecida: ${record.version}` };
+        }
+        
+        const rules = new ChessRules();
+        rules.setVariant(record.variant || 'standard');
+        
+        if (record.startFEN) {
+            const loaded = rules.loadFEN(record.startFEN, { lenient: true, variant: record.variant });
+            if (!loaded.success) return loaded;
+        }
+        
+        const original = !record.startFEN;
+        const moveHistory = (record.moveHistory || []).map(saved => original ? this.mirrorMove(saved) : saved);
+        const fen = original ? this.mirrorFEN(record.fen) : record.fen;
+        
+        const error = rules.events.silently(() => {
+            for (const saved of moveHistory) {
+                const result = rules.makeMove(saved.from, saved.to, saved.promotion || undefined);
+                if (!result.success) break;
+                
+                if (saved.clock) result.moveRecord.clock = { ...saved.clock };
+                if (saved.drawOffer) result.moveRecord.drawOffer = true;
+            }
+            
+            if (this.getPosition(rules.exportFEN()) === this.getPosition(fen)) return null;
+            
+            const loaded = rules.loadFEN(fen, { lenient: true, variant: record.variant });
+            return loaded.success ? null : loaded.error;
+        });
+        if (error) return { success: false, error };
+        
+        return {
+            success: true,
+            record: {
+                ...this.serialize(rules, record),
+                timestamp: record.timestamp || Date.now()
+            }
+        };
+    }
+    
+    /**
+     * Lance de um save do jogo original no tabuleiro atual (linha 0 = oitava fileira)
+     */
+    mirrorMove(saved) {
+        const mirror = square => square ? { ...square, row: 7 - square.row } : square;
+        return { ...saved, from: mirror(saved.from), to: mirror(saved.to) };
+    }
+    
+    /**
+     * FEN de um save do jogo original: as fileiras vinham da primeira para a oitava
+     * e a casa de en passant com a fileira trocada
+     */
+    mirrorFEN(fen) {
+        if (typeof fen !== 'string') return fen;
+        
+        const parts = fen.trim().split(/\s+/);
+        parts[0] = parts[0].split('/').reverse().join('/');
+        if (parts[3] && /^[a-h][1-8]$/.test(parts[3])) {
+            parts[3] = parts[3][0] + (9 - parseInt(parts[3][1]));
+        }
+        return parts.join(' ');
+    }
+    
+    /**
+     * Peças, vez, roques e en passant do FEN (sem os contadores)
+     */
+    getPosition(fen) {
+        return String(fen || '').split(' ').slice(0, 4).join(' ');
+    }
+    
+    /**
+     * Salva a partida do tabuleiro como uma nova entrada
+     */
+    save(name = null) {
+        const game = this.game;
+        const players = game.getPlayerNames();
+        
+        const record = this.serialize(game.rules, {
+            name: name || `${players.white} × ${players.black}`,
+            mode: game.gameState.mode,
+            players,
+            playerColor: game.gameState.playerColor,
+            timers: game.gameState.timers,
+            timeControl: game.gameState.timeControl,
+            settings: game.gameState.settings
+        });
+        
+        const result = this.write(this.createId(), record);
+        if (result.success) this.prune();
+        
+        this.updateControls();
+        return result;
+    }
+    
+    /**
+     * Registro salvo de uma partida (regras do tabuleiro ou uma cópia) no formato atual
+     */
+    serialize(rules, meta) {
+        const history = rules.gameState.moveHistory;
+        const seconds = value => typeof value === 'number' ? Math.round(value * 1000) / 1000 : null;
+        
+        return {
+            version: this.version,
+            name: meta.name,
+            timestamp: Date.now(),
+            mode: meta.mode || 'pvp',
+            variant: rules.variant,
+            startFEN: rules.startFEN,
+            moves: history.map(move => rules.getUCIMove(move, move.promotion)),
+            clocks: history.map(move => move.clock ? [seconds(move.clock.remaining), seconds(move.clock.spent)] : null),
+            drawOffers: history.map((move, ply) => move.drawOffer ? ply : null).filter(ply => ply !== null),
+            fen: rules.exportFEN(),
+            result: meta.result || rules.getGameResult(),
+            players: meta.players || null,
+            playerColor: meta.playerColor || 'white',
+            timers: meta.timers ? { white: seconds(meta.timers.white), black: seconds(meta.timers.black) } : null,
+            timeControl: meta.timeControl || null,
+            settings: meta.settings || {}
+        };
+    }
+    
+    /**
+     * Reconstrói a partida salva nas regras dadas, refazendo os lances em UCI a partir
+     * da posição inicial. complete = false: os lances não conferem e fica só a posição final.
+     */
+    replay(record, rules = new ChessRules()) {
+        const migrated = this.migrate(record);
+        if (!migrated.success) return migrated;
+        
+        const data = migrated.record;
+        rules.setVariant(data.variant || 'standard');
+        
+        const loaded = rules.loadFEN(data.startFEN, { lenient: true, variant: data.variant });
+        if (!loaded.success) return loaded;
+        
+        return rules.events.silently(() => {
+            for (let ply = 0; ply < data.moves.length; ply++) {
+                const result = rules.makeMoveUCI(data.moves[ply]);
+                if (!result.success) break;
+                
+                const clock = (data.clocks || [])[ply];
+                if (clock) {
+                    result.moveRecord.clock = {};
+                    if (clock[0] !== null) result.moveRecord.clock.remaining = clock[0];
+                    if (clock[1] !== null) result.moveRecord.clock.spent = clock[1];
+                }
+                if ((data.drawOffers || []).includes(ply)) result.moveRecord.drawOffer = true;
+            }
+            
+            if (this.getPosition(rules.exportFEN()) !== this.getPosition(data.fen)) {
+                const fallback = rules.loadFEN(data.fen, { lenient: true, variant: data.variant });
+                if (!fallback.success) return fallback;
+                return { success: true, rules, complete: false };
+            }
+            
+            // Tempo, desistência e acordo não aparecem nos lances
+            rules.restoreResult(data.result);
+            return { success: true, rules, complete: true };
+        });
+    }
+    
+    /**
+     * Partidas salvas, da mais recente para a mais antiga
+     */
+    list() {
+        const saves = [];
+        
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(this.prefix)) continue;
+            
+            const record = this.get(key.slice(this.prefix.length));
+            if (record) saves.push(record);
+        }
+        
+        return saves.sort((a, b) => b.timestamp - a.timestamp);
+    }
+    
+    get(id) {
+        try {
+            const record = JSON.parse(localStorage.getItem(`${this.prefix}${id}`));
+            return record && typeof record.fen === 'string' ? { name: 'Partida', ...record, id } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    write(id, record) {
+        const data = { ...record };
+        delete data.id;
+        
+        try {
+            localStorage.setItem(`${this.prefix}${id}`, JSON.stringify(data));
+            return { success: true, id };
+        } catch (error) {
+            return { success: false, error: 'Sem espaço para salvar: apague partidas antigas' };
+        }
+    }
+    
+    /**
+     * Id novo: o instante do salvamento (sem repetir um existente)
+     */
+    createId() {
+        let id = Date.now();
+        while (localStorage.getItem(`${this.prefix}${id}`) !== null) id++;
+        return String(id);
+    }
+    
+    /**
+     * Mantém só as partidas mais recentes dentro do limite
+     */
+    prune() {
+        this.list().slice(this.limit).forEach(record => this.remove(record.id));
+    }
+    
+    /**
+     * Carrega a partida no tabuleiro
+     */
+    load(id) {
+        const record = this.get(id);
+        if (!record) {
+            return { success: false, error: 'Partida salva não encontrada' };
+        }
+        
+        return this.game.restoreGame(record);
+    }
+    
+    remove(id) {
+        localStorage.removeItem(`${this.prefix}${id}`);
+        this.updateControls();
+    }
+    
+    rename(id, name) {
+        const record = this.get(id);
+        const trimmed = String(name || '').trim();
+        if (!record || !trimmed) {
+            return { success: false, error: 'Nome inválido' };
+        }
+        
+        const result = this.write(id, { ...record, name: trimmed.slice(0, 60) });
+        this.updateControls();
+        return result;
+    }
+    
+    duplicate(id) {
+        const record = this.get(id);
+        if (!record) {
+            return { success: false, error: 'Partida salva não encontrada' };
+        }
+        
+        const result = this.write(this.createId(), { ...record, name: `${record.name} (cópia)`, timestamp: Date.now() });
+        if (result.success) this.prune();
+        
+        this.updateControls();
+        return result;
+    }
+    
+    /**
+     * Texto exportado da partida: o registro em JSON ou o PGN com relógios
+     */
+    exportText(id, format) {
+        const record = this.get(id);
+        if (!record) return null;
+        
+        if (format === 'json') {
+            delete record.id;
+            return JSON.stringify(record, null, 2);
+        }
+        
+        const replayed = this.replay(record);
+        if (!replayed.success) return null;
+        
+        return this.game.exportPGN({
+            rules: replayed.rules,
+            players: record.players,
+            timeControl: record.timeControl,
+            date: new Date(record.timestamp)
+        });
+    }
+    
+    /**
+     * Importa partidas de um texto: JSON (uma partida ou lista) ou PGN (um ou mais jogos)
+     */
+    importText(text) {
+        const trimmed = String(text || '').trim();
+        const records = [];
+        
+        // PGN também começa com "[" (cabeçalhos): JSON é objeto ou lista de objetos
+        if (/^(\{|\[\s*[{\]])/.test(trimmed)) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                return { success: false, error: 'JSON inválido' };
+            }
+            
+            for (const record of Array.isArray(data) ? data : [data]) {
+                const migrated = record && typeof record.fen === 'string' ? this.migrate(record) : null;
+                if (!migrated || !migrated.success || !this.replay(migrated.record).success) {
+                    return { success: false, error: 'O JSON não contém uma partida salva válida' };
+                }
+                records.push({ ...migrated.record, timestamp: record.timestamp || Date.now() });
+            }
+        } else {
+            const parsed = new PGNParser().parse(trimmed);
+            if (!parsed.success) {
+                return { success: false, error: `Erro no PGN: ${parsed.error}` };
+            }
+            
+            for (const pgnGame of parsed.games) {
+                const record = this.createRecordFromPGN(pgnGame);
+                if (!record.success) return record;
+                records.push(record.record);
+            }
+        }
+        
+        if (records.length === 0) {
+            return { success: false, error: 'Nenhuma partida encontrada' };
+        }
+        
+        for (const record of records) {
+            const result = this.write(this.createId(), record);
+            if (!result.success) return result;
+        }
+        
+        this.prune();
+        this.updateControls();
+        return { success: true, count: records.length };
+    }
+    
+    /**
+     * Registro de um jogo do PGN: jogadores, controle de tempo e resultado dos cabeçalhos
+     */
+    createRecordFromPGN(pgnGame) {
+        const rules = new ChessRules();
+        const loaded = rules.loadPGNGame(pgnGame);
+        if (!loaded.success) {
+            return { success: false, error: `Erro no PGN: ${loaded.error}` };
+        }
+        
+        const headers = pgnGame.headers || {};
+        const players = { white: headers.White || '?', black: headers.Black || '?' };
+        
+        // Resultado sem mate no tabuleiro: desistência, tempo ou acordo
+        let result = rules.getGameResult();
+        if (!result && pgnGame.result && pgnGame.result !== '*') {
+            const winner = pgnGame.result === '1-0' ? 'white' : pgnGame.result === '0-1' ? 'black' : null;
+            const timeout = headers.Termination === 'time forfeit';
+            result = {
+                result: pgnGame.result,
+                winner,
+                reason: winner ? (timeout ? 'timeout' : 'resignation') : 'agreement',
+                termination: timeout ? 'time forfeit' : 'normal'
+            };
+        }
+        
+        const timeControl = headers.TimeControl && ChessClock.parse(headers.TimeControl).success
+            ? headers.TimeControl
+            : null;
+        
+        return {
+            success: true,
+            record: this.serialize(rules, {
+                name: `${players.white} × ${players.black}`,
+                players,
+                result,
+                timeControl,
+                timers: this.getLastClocks(rules)
+            })
+        };
+    }
+    
+    /**
+     * Últimos tempos registrados de cada lado (null se a partida não tem relógios)
+     */
+    getLastClocks(rules) {
+        const clocks = {};
+        
+        for (const move of [...rules.gameState.moveHistory].reverse()) {
+            const color = move.piece.color;
+            if (color in clocks || !move.clock || typeof move.clock.remaining !== 'number') continue;
+            clocks[color] = move.clock.remaining;
+        }
+        
+        return 'white' in clocks && 'black' in clocks ? clocks : null;
+    }
+    
+    /**
+     * Linha de detalhes: data, modo, jogadores e resultado (ou lances jogados)
+     */
+    describe(record) {
+        const date = new Date(record.timestamp).toLocaleString('pt-BR');
+        const mode = this.game.getModeName(record.mode);
+        const players = record.players ? `${record.players.white} × ${record.players.black}` : '';
+        const moves = (record.moves || []).length;
+        const result = record.result ? record.result.result : `em andamento · ${moves} meio(s)-lance(s)`;
+        
+        return [date, mode, players, result].filter(Boolean).join(' · ');
+    }
+    
+    /**
+     * Miniatura do tabuleiro na posição salva
+     */
+    renderThumbnail(fen) {
+        const symbols = {
+            K: '♔', Q: '♕', R: '♖', B: '♗', N: '♘', P: '♙',
+            k: '♚', q: '♛', r: '♜', b: '♝', n: '♞', p: '♟'
+        };
+        
+        let html = '';
+        fen.split(' ')[0].split('/').forEach((row, rowIndex) => {
+            let col = 0;
+            for (const char of row) {
+                const empty = /\d/.test(char) ? parseInt(char) : 1;
+                for (let i = 0; i < empty; i++, col++) {
+                    const shade = (rowIndex + col) % 2 === 0 ? 'light' : 'dark';
+                    html += `<span class="${shade}">${/\d/.test(char) ? '' : symbols[char] || ''}</span>`;
+                }
+            }
+        });
+        
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'saved-game-thumbnail';
+        thumbnail.innerHTML = html;
+        return thumbnail;
+    }
+    
+    download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Cria o painel da biblioteca (oculto até "Carregar") abaixo do tabuleiro
+     */
+    createControls() {
+        const board = this.game.elements.board;
+        if (!board || this.controls) return;
+        
+        const controls = document.createElement('div');
+        controls.className = 'saved-games-panel';
+        controls.style.display = 'none';
+        controls.innerHTML = `
+            <div class="saved-games-header">
+                <strong>Partidas salvas</strong>
+                <div class="button-group">
+                    <button class="btn" data-action="import">Importar</button>
+                    <button class="btn" data-action="close">Fechar</button>
+                </div>
+                <input type="file" class="saved-games-file" accept=".json,.pgn,application/json" hidden>
+            </div>
+            <ul class="saved-games-list"></ul>
+        `;
+        
+        this.elements = {
+            file: controls.querySelector('.saved-games-file'),
+            list: controls.querySelector('.saved-games-list')
+        };
+        
+        controls.querySelector('[data-action="import"]').addEventListener('click', () => this.elements.file.click());
+        controls.querySelector('[data-action="close"]').addEventListener('click', () => this.hide());
+        this.elements.file.addEventListener('change', async () => {
+            const file = this.elements.file.files[0];
+            if (!file) return;
+            
+            const result = this.importText(await file.text());
+            this.elements.file.value = '';
+            
+            if (result.success) {
+                this.game.showNotification(`${result.count} partida(s) importada(s)`, 'success');
+            } else {
+                this.game.showNotification(result.error, 'error');
+            }
+        });
+        
+        board.insertAdjacentElement('afterend', controls);
+        this.controls = controls;
+    }
+    
+    show() {
+        if (!this.controls) return;
+        
+        this.controls.style.display = 'flex';
+        this.updateControls();
+    }
+    
+    hide() {
+        if (this.controls) this.controls.style.display = 'none';
+    }
+    
+    toggle() {
+        if (!this.controls) return;
+        
+        if (this.controls.style.display === 'none') this.show();
+        else this.hide();
+    }
+    
+    /**
+     * Redesenha a lista (só com o painel aberto)
+     */
+    updateControls() {
+        if (!this.controls || this.controls.style.display === 'none') return;
+        
+        const list = this.elements.list;
+        list.innerHTML = '';
+        
+        const saves = this.list();
+        if (saves.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'saved-games-empty';
+            empty.textContent = 'Nenhum jogo salvo encontrado';
+            list.appendChild(empty);
+            return;
+        }
+        
+        saves.forEach(record => {
+            const item = document.createElement('li');
+            item.className = 'saved-game';
+            item.appendChild(this.renderThumbnail(record.fen));
+            
+            const info = document.createElement('div');
+            info.className = 'saved-game-info';
+            
+            const name = document.createElement('strong');
+            name.textContent = record.name;
+            info.appendChild(name);
+            
+            const details = document.createElement('span');
+            details.textContent = this.describe(record);
+            info.appendChild(details);
+            
+            const actions = document.createElement('div');
+            actions.className = 'button-group';
+            info.appendChild(actions);
+            
+            const addAction = (label, handler) => {
+                const button = document.createElement('button');
+                button.className = 'btn';
+                button.textContent = label;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            };
+            
+            const filename = record.name.replace(/[^\w\-]+/g, '_');
+            
+            addAction('Carregar', () => {
+                const result = this.load(record.id);
+                if (result.success) this.hide();
+            });
+            addAction('Renomear', () => {
+                const name = prompt('Novo nome da partida:', record.name);
+                if (name !== null) this.rename(record.id, name);
+            });
+            addAction('Duplicar', () => this.duplicate(record.id));
+            addAction('JSON', () => {
+                this.download(`${filename}.json`, this.exportText(record.id, 'json'), 'application/json');
+            });
+            addAction('PGN', () => {
+                const pgn = this.exportText(record.id, 'pgn');
+                if (pgn) this.download(`${filename}.pgn`, pgn, 'application/x-chess-pgn');
+            });
+            addAction('Apagar', () => {
+                if (confirm(`Apagar "${record.name}"?`)) this.remove(record.id);
+            });
+            
+            item.appendChild(info);
+            list.appendChild(item);
+        });
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SavedGames;
+}
@@ -0,0 +1,980 @@
+/**
+ * RELAY DE PARTIDAS EM REDE (PvP por WebSocket)
+ * Guarda as salas, valida os lances com ChessRules, controla o relógio com ChessClock
+ * e repassa lances, desistências e ofertas de empate entre os dois navegadores.
+ * Espectadores acompanham qualquer sala só para leitura, com bate-papo opcional, e uma
+ * sala de transmissão leva aos espectadores uma partida jogada num só navegador
+ * (contra a IA ou IA contra IA).
+ *
+ * Uso:
+ *   node server/relay-server.js              Escuta na porta 8080
+ *   node server/relay-server.js --port 9000  Outra porta
+ *
+ * PROTOCOLO (versão 2) — mensagens JSON de texto, sempre com "type"
+ *
+ * Cliente → servidor
+ *   { type: 'create', timeControl?: '300+3', color?: 'white'|'black'|'random',
+ *     variant?: 'standard'|'chess960', position?: 0-959, fen?: string, chat?: bool,
+ *     stream?: bool, moves?: ['e2e4', ...], clocks?: [{ remaining, spent }, ...] }
+ *                                          Cria uma sala e senta o criador. Com stream,
+ *                                          o criador joga pelos dois lados (color 'both')
+ *                                          e moves/clocks trazem a partida já começada;
+ *                                          chat: false desliga o bate-papo
+ *   { type: 'join', room: 'K7PX2Q', token?: string }
+ *                                          Entra na sala; com o token recebido antes,
+ *                                          retoma o mesmo lugar (reconexão)
+ *   { type: 'move', move: 'e2e4', ply: 0 }  Lance em UCI; ply = nº de lances já jogados
+ *                                          (na transmissão, clock?: { remaining, spent }
+ *                                          traz o relógio do anfitrião)
+ *   { type: 'resign' }
+ *   { type: 'offer', offer: 'draw' }       Oferece empate
+ *   { type: 'answer', accept: true|false }  Responde à oferta do adversário
+ *   { type: 'claim' }                       Reclama empate (tripla repetição, 50 lances)
+ *   { type: 'sync' }                        Pede o estado completo
+ *
+ *   Só na transmissão (o navegador do anfitrião decide o fim da partida):
+ *   { type: 'resign', color }               Desistência da cor
+ *   { type: 'flag', color }                 Queda de bandeira da cor
+ *   { type: 'draw' }                        Empate por acordo
+ *   { type: 'undo', ply }                   Volta o último lance (ply = nº de lances
+ *                                          que restam)
+ *   { type: 'eval', ply, evaluation }       Avaliação do motor após o lance `ply`
+ *                                          (em peões, do ponto de vista das brancas,
+ *                                          ou '#3' / '#-3' para mate)
+ *
+ *   Espectadores:
+ *   { type: 'watch', room: 'K7PX2Q' }       Acompanha a sala (recebe 'state' na hora)
+ *   { type: 'chat', name?, text }           Mensagem no bate-papo dos espectadores
+ *
+ * Servidor → cliente
+ *   { type: 'hello', protocol: 2 }          Ao conectar
+ *   { type: 'joined', room, color, token }  Lugar garantido (guarde o token)
+ *   { type: 'state', room, color, variant, startFEN, timeControl,
+ *     moves: ['e2e4', ...], clocks: [{ remaining, spent }, ...],
+ *     time: { white, black, turn, running }, offer: null|{ offer, from },
+ *     result: null|{ result, winner, reason, termination, color },
+ *     players: { white: bool, black: bool }, spectators: n, stream: bool, chat: bool,
+ *     evaluation?: { ply, evaluation, source }, chatLog?: [...] }
+ *                                          Estado completo: o cliente refaz a partida
+ *                                          a partir da lista de lances. Espectadores
+ *                                          (color null) recebem também avaliação e chat
+ *   { type: 'move', ply, move, san, color, clock: { remaining, spent },
+ *     time: { white, black, turn, running } }
+ *   { type: 'offer', offer: 'draw', from, status: 'pending'|'accepted'|'declined'|'expired' }
+ *   { type: 'gameOver', result, winner, reason, termination, color }
+ *                                          color = quem desistiu ou perdeu no tempo
+ *   { type: 'presence', players: { white: bool, black: bool }, spectators: n }
+ *   { type: 'undo', ply, time }             Transmissão: lance `ply` desfeito
+ *   { type: 'eval', ply, evaluation, source: 'engine'|'material' }
+ *                                          Só para espectadores; depois de cada lance vem
+ *                                          o saldo material, e o do motor se houver
+ *   { type: 'chat', name, text, time }      Só para espectadores
+ *   { type: 'error', code, message }        code: badMessage, roomNotFound, roomFull,
+ *                                          notSeated, notStarted, notYourTurn, outOfSync, illegal,
+ *                                          gameOver, noOffer, noClaim, invalidOptions,
+ *                                          spectator, notStream, chatDisabled
+ *
+ * Teste sem navegador: server/websocket.js exporta connect(url), um cliente mínimo.
+ * Dois clientes: o primeiro envia 'create', o segundo 'join' com o código recebido,
+ * e cada um envia 'move' na sua vez; um lance ilegal volta como 'error' seguido de 'state'.
+ * Um terceiro cliente com 'watch' recebe o 'state' e, dali em diante, os mesmos lances.
+ * tools/relay-protocol.js faz esse roteiro e sai com código 1 se algo não conferir.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const ChessRules = require('../chess-rules.js');
+const ChessClock = require('../chess-clock.js');
+const { acceptUpgrade } = require('./websocket.js');
+
+const PROTOCOL_VERSION = 2;
+const DEFAULT_PORT = 8080;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Sem 0/O e 1/I
+const ROOM_CODE_LENGTH = 6;
+const ROOM_IDLE_MS = 30 * 60 * 1000; // Sala vazia é apagada após 30 minutos
+const HEARTBEAT_MS = 30 * 1000;
+const FLAG_CHECK_MS = 200;
+const CHAT_LOG_SIZE = 50; // Mensagens guardadas para quem chega depois
+const CHAT_MAX_LENGTH = 300;
+
+/**
+ * Uma partida: regras, relógio e os dois lugares
+ */
+class RelayRoom {
+    constructor(code, options = {}) {
+        this.code = code;
+        this.rules = new ChessRules();
+        this.clock = null;
+        this.moves = []; // Lances em UCI
+        this.clocks = []; // { remaining, spent } de cada lance
+        this.offer = null; // { offer: 'draw', from }
+        this.result = null;
+        this.started = false; // O relógio começa quando os dois lugares são ocupados
+        this.seats = { white: null, black: null }; // { token, connection }
+        this.spectators = new Set(); // Conexões que só assistem
+        this.chatLog = [];
+        this.evaluation = null; // { ply, evaluation, source }
+        this.idleSince = Date.now();
+        
+        this.options = options;
+        this.stream = Boolean(options.stream); // Transmissão: o anfitrião joga pelos dois lados
+        this.chatEnabled = options.chat !== false;
+    }
+    
+    /**
+     * Prepara variante, posição inicial e controle de tempo.
+     * Retorna { success } ou { success: false, error }.
+     */
+    setup() {
+        const { variant = 'standard', position = null, fen = null, timeControl = '300' } = this.options;
+        
+        const variantResult = this.rules.setVariant(variant, position);
+        if (!variantResult.success) return variantResult;
+        this.rules.reset();
+        
+        if (fen) {
+            const fenResult = this.rules.loadFEN(fen, { variant });
+            if (!fenResult.success) return fenResult;
+        }
+        
+        const parsed = ChessClock.parse(timeControl);
+        if (!parsed.success) return parsed;
+        this.clock = new ChessClock(timeControl);
+        
+        // Transmissão de partida já começada: os lances anteriores e o relógio de cada cor
+        const moves = Array.isArray(this.options.moves) ? this.options.moves : [];
+        const clocks = Array.isArray(this.options.clocks) ? this.options.clocks : [];
+        const times = {};
+        
+        for (const [ply, uci] of moves.entries()) {
+            const result = this.rules.makeMoveUCI(uci);
+            if (!result.success) return { success: false, error: `Lance ${ply + 1} (${uci}): ${result.error}` };
+            
+            const record = result.moveRecord;
+            const clock = clocks[ply] || null;
+            this.moves.push(this.rules.getUCIMove(record, record.promotion));
+            this.clocks.push(clock);
+            if (clock && typeof clock.remaining === 'number') times[record.piece.color] = clock.remaining;
+        }
+        
+        this.clock.reset(this.rules.gameState.turn);
+        this.clock.setTimes(times);
+        
+        return { success: true };
+    }
+    
+    /**
+     * Cor do lugar com o token (ou null)
+     */
+    findSeat(token) {
+        if (!token) return null;
+        return ['white', 'black'].find(color => this.seats[color] && this.seats[color].token === token) || null;
+    }
+    
+    /**
+     * Lugares com jogador conectado
+     */
+    getPresence() {
+        return {
+            white: Boolean(this.seats.white && this.seats.white.connection),
+            black: Boolean(this.seats.black && this.seats.black.connection)
+        };
+    }
+    
+    /**
+     * Tempos atuais (descontando o que passou desde o último lance)
+     */
+    getTime() {
+        this.clock.tick();
+        return {
+            white: this.clock.getTime('white'),
+            black: this.clock.getTime('black'),
+            turn: this.rules.gameState.turn,
+            running: this.clock.running !== null
+        };
+    }
+    
+    /**
+     * Saldo material em peões, do ponto de vista das brancas
+     */
+    getMaterialEvaluation() {
+        const stats = this.rules.getGameStats();
+        return stats.white.value - stats.black.value;
+    }
+    
+    /**
+     * Estado completo para um jogador (para entrar ou reconectar) ou, com color
+     * null, para um espectador
+     */
+    getState(color) {
+        const state = {
+            type: 'state',
+            room: this.code,
+            color,
+            variant: this.rules.variant,
+            startFEN: this.rules.startFEN,
+            timeControl: this.clock.toString(),
+            moves: [...this.moves],
+            clocks: this.clocks.map(clock => ({ ...clock })),
+            time: this.getTime(),
+            offer: this.offer ? { ...this.offer } : null,
+            result: this.result ? { ...this.result } : null,
+            players: this.getPresence(),
+            spectators: this.spectators.size,
+            stream: this.stream,
+            chat: this.chatEnabled
+        };
+        
+        if (color === null) {
+            state.evaluation = this.evaluation ? { ...this.evaluation } : null;
+            state.chatLog = this.chatLog.map(entry => ({ ...entry }));
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Envia a mensagem aos jogadores conectados e aos espectadores
+     */
+    broadcast(message) {
+        const connections = new Set(this.spectators);
+        ['white', 'black'].forEach(color => {
+            const seat = this.seats[color];
+            if (seat && seat.connection) connections.add(seat.connection);
+        });
+        
+        connections.forEach(connection => connection.send(message));
+    }
+    
+    /**
+     * Envia a mensagem só aos espectadores (avaliação e bate-papo não chegam aos jogadores)
+     */
+    broadcastSpectators(message) {
+        this.spectators.forEach(connection => connection.send(message));
+    }
+    
+    /**
+     * Avisa quem está conectado
+     */
+    broadcastPresence() {
+        this.broadcast({ type: 'presence', players: this.getPresence(), spectators: this.spectators.size });
+    }
+    
+    /**
+     * Guarda e repassa uma avaliação da posição após o lance `ply`
+     */
+    setEvaluation(ply, evaluation, source) {
+        this.evaluation = { ply, evaluation, source };
+        this.broadcastSpectators({ type: 'eval', ...this.evaluation });
+    }
+    
+    /**
+     * Conexões abertas na sala (jogadores ou espectadores)
+     */
+    isEmpty() {
+        return !this.seats.white?.connection && !this.seats.black?.connection && this.spectators.size === 0;
+    }
+    
+    /**
+     * Encerra a partida e avisa os dois lados
+     */
+    finish(color = null) {
+        this.clock.stop();
+        this.offer = null;
+        this.result = { ...this.rules.getGameResult(), color };
+        this.broadcast({ type: 'gameOver', ...this.result });
+    }
+}
+
+/**
+ * O servidor: HTTP (para o upgrade e um "ok" de saúde) + salas
+ */
+class RelayServer {
+    constructor(options = {}) {
+        this.port = options.port ?? DEFAULT_PORT;
+        this.rooms = new Map();
+        this.connections = new Set();
+        this.timers = [];
+        
+        this.server = http.createServer((request, response) => {
+            response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end(`Relay de xadrez (protocolo ${PROTOCOL_VERSION}): ${this.rooms.size} sala(s)\n`);
+        });
+        
+        this.server.on('upgrade', (request, socket, head) => {
+            const connection = acceptUpgrade(request, socket, head);
+            if (connection) this.handleConnection(connection);
+        });
+    }
+    
+    /**
+     * Começa a escutar. Retorna uma Promise com a porta.
+     */
+    listen(port = this.port) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                this.port = this.server.address().port;
+                
+                this.timers.push(setInterval(() => this.checkFlags(), FLAG_CHECK_MS));
+                this.timers.push(setInterval(() => this.heartbeat(), HEARTBEAT_MS));
+                this.timers.push(setInterval(() => this.sweepRooms(), 60 * 1000));
+                
+                resolve(this.port);
+            });
+        });
+    }
+    
+    /**
+     * Fecha conexões, timers e o servidor HTTP
+     */
+    close() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.connections.forEach(connection => connection.terminate());
+        
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+    
+    /**
+     * Nova conexão: cumprimenta e aguarda 'create' ou 'join'
+     */
+    handleConnection(connection) {
+        connection.session = null; // { room, color }
+        connection.alive = true;
+        this.connections.add(connection);
+        
+        connection.on('pong', () => {
+            connection.alive = true;
+        });
+        connection.on('message', (text) => this.handleMessage(connection, text));
+        connection.on('close', () => this.handleDisconnect(connection));
+        
+        connection.send({ type: 'hello', protocol: PROTOCOL_VERSION });
+    }
+    
+    /**
+     * Lê e despacha uma mensagem do cliente
+     */
+    handleMessage(connection, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this.sendError(connection, 'badMessage', 'Mensagem não é JSON válido');
+            return;
+        }
+        
+        const handlers = {
+            create: () => this.createRoom(connection, message),
+            join: () => this.joinRoom(connection, message),
+            watch: () => this.watchRoom(connection, message),
+            move: () => this.handleMove(connection, message),
+            resign: () => this.handleResign(connection, message),
+            offer: () => this.handleOffer(connection, message),
+            answer: () => this.handleAnswer(connection, message),
+            claim: () => this.handleClaim(connection),
+            flag: () => this.handleFlag(connection, message),
+            draw: () => this.handleDraw(connection),
+            undo: () => this.handleUndo(connection, message),
+            eval: () => this.handleEval(connection, message),
+            chat: () => this.handleChat(connection, message),
+            sync: () => this.sendState(connection)
+        };
+        
+        // Só os tipos da tabela: "valueOf", "constructor" etc. vêm do Object.prototype
+        const type = message && typeof message.type === 'string' ? message.type : null;
+        if (!type || !Object.hasOwn(handlers, type)) {
+            this.sendError(connection, 'badMessage', `Tipo de mensagem desconhecido: ${message && message.type}`);
+            return;
+        }
+        
+        // Uma mensagem malformada não pode derrubar o relay (e as outras salas)
+        try {
+            handlers[type]();
+        } catch (error) {
+            process.stderr.write(`Erro ao tratar a mensagem "${type}": ${error.message}\n`);
+            this.sendError(connection, 'badMessage', 'Mensagem inválida');
+        }
+    }
+    
+    /**
+     * Cria uma sala com as opções do criador e o senta nela
+     */
+    createRoom(connection, message) {
+        const room = new RelayRoom(this.generateRoomCode(), {
+            variant: message.variant,
+            position: Number.isInteger(message.position) ? message.position : null,
+            fen: message.fen,
+            timeControl: message.timeControl,
+            stream: message.stream,
+            moves: message.moves,
+            clocks: message.clocks,
+            chat: message.chat
+        });
+        
+        const setup = room.setup();
+        if (!setup.success) {
+            this.sendError(connection, 'invalidOptions', setup.error);
+            return;
+        }
+        
+        this.rooms.set(room.code, room);
+        
+        if (room.stream) {
+            this.seat(connection, room, 'both');
+            return;
+        }
+        
+        let color = message.color === 'black' ? 'black' : 'white';
+        if (message.color === 'random') color = Math.random() < 0.5 ? 'white' : 'black';
+        
+        this.seat(connection, room, color);
+    }
+    
+    /**
+     * Entra numa sala: retoma o lugar pelo token ou ocupa o lugar livre
+     */
+    joinRoom(connection, message) {
+        const room = this.rooms.get(String(message.room || '').toUpperCase());
+        if (!room) {
+            this.sendError(connection, 'roomNotFound', 'Sala não encontrada');
+            return;
+        }
+        
+        // Na transmissão só o anfitrião volta ao lugar
+        if (room.stream) {
+            if (!room.findSeat(message.token)) {
+                this.sendError(connection, 'roomFull', 'Sala de transmissão: entre como espectador');
+                return;
+            }
+            this.seat(connection, room, 'both');
+            return;
+        }
+        
+        const color = room.findSeat(message.token) ||
+            ['white', 'black'].find(side => !room.seats[side]);
+        if (!color) {
+            this.sendError(connection, 'roomFull', 'A sala já tem dois jogadores');
+            return;
+        }
+        
+        this.seat(connection, room, color);
+    }
+    
+    /**
+     * Acompanha a sala como espectador: recebe o estado atual e os lances seguintes
+     */
+    watchRoom(connection, message) {
+        const room = this.rooms.get(String(message.room || '').toUpperCase());
+        if (!room) {
+            this.sendError(connection, 'roomNotFound', 'Sala não encontrada');
+            return;
+        }
+        
+        this.leaveRoom(connection);
+        room.spectators.add(connection);
+        connection.session = { room: room.code, color: null, spectator: true };
+        
+        connection.send(room.getState(null));
+        room.broadcastPresence();
+    }
+    
+    /**
+     * Liga a conexão ao lugar (substituindo uma conexão antiga do mesmo jogador)
+     */
+    seat(connection, room, color) {
+        const side = color === 'both' ? 'white' : color;
+        const previous = room.seats[side];
+        const token = previous ? previous.token : crypto.randomBytes(16).toString('hex');
+        
+        if (previous && previous.connection && previous.connection !== connection) {
+            previous.connection.session = null;
+            previous.connection.close(4000, 'Conexão substituída');
+        }
+        
+        this.leaveRoom(connection);
+        room.seats[side] = { token, connection };
+        connection.session = { room: room.code, color };
+        
+        // Na transmissão o anfitrião ocupa os dois lugares
+        if (color === 'both') room.seats.black = room.seats.white;
+        
+        connection.send({ type: 'joined', room: room.code, color, token });
+        
+        // Com os dois lugares ocupados, o relógio começa
+        if (!room.started && room.seats.white && room.seats.black) {
+            room.started = true;
+            if (!room.result) room.clock.start(room.rules.gameState.turn);
+            if (room.stream) {
+                connection.send(room.getState(color));
+            } else {
+                ['white', 'black'].forEach(seatColor => {
+                    const seat = room.seats[seatColor];
+                    if (seat.connection) seat.connection.send(room.getState(seatColor));
+                });
+            }
+            room.broadcastSpectators(room.getState(null));
+        } else {
+            connection.send(room.getState(color));
+        }
+        
+        room.broadcastPresence();
+    }
+    
+    /**
+     * Valida e repassa um lance
+     */
+    handleMove(connection, message) {
+        const context = this.getContext(connection);
+        if (!context) return;
+        const { room, color } = context;
+        
+        if (room.result) {
+            this.sendError(connection, 'gameOver', 'A partida já terminou');
+            return;
+        }
+        if (!room.started) {
+            this.sendError(connection, 'notStarted', 'Aguardando o adversário entrar na sala');
+            this.sendState(connection);
+            return;
+        }
+        const mover = room.rules.gameState.turn;
+        if (!room.stream && mover !== color) {
+            this.sendError(connection, 'notYourTurn', 'Não é a sua vez');
+            this.sendState(connection);
+            return;
+        }
+        if (message.ply !== undefined && message.ply !== room.moves.length) {
+            this.sendError(connection, 'outOfSync', 'Lance fora de sincronia');
+            this.sendState(connection);
+            return;
+        }
+        
+        // A bandeira cai antes do lance: entre duas checagens o tempo pode ter acabado
+        if (!room.stream && room.clock.running) {
+            room.clock.tick();
+            if (room.clock.getFlagged() === mover) {
+                room.rules.declareTimeout(mover);
+                room.finish(mover);
+                this.sendError(connection, 'gameOver', 'Seu tempo acabou');
+                return;
+            }
+        }
+        
+        const result = room.rules.makeMoveUCI(message.move);
+        if (!result.success) {
+            this.sendError(connection, 'illegal', result.error);
+            this.sendState(connection);
+            return;
+        }
+        
+        const record = result.moveRecord;
+        const uci = room.rules.getUCIMove(record, record.promotion);
+        let clock = room.clock.press(mover);
+        
+        // Na transmissão vale o relógio do anfitrião, enviado junto com o lance
+        const hostClock = message.clock;
+        if (room.stream && hostClock && typeof hostClock.remaining === 'number' && isFinite(hostClock.remaining)) {
+            clock = { remaining: Math.max(0, hostClock.remaining), spent: Number(hostClock.spent) || 0 };
+            room.clock.setTimes({ [mover]: clock.remaining });
+        }
+        
+        room.moves.push(uci);
+        room.clocks.push(clock);
+        
+        // O lance expira a oferta pendente
+        if (room.offer) {
+            room.broadcast({ type: 'offer', ...room.offer, status: 'expired' });
+            room.offer = null;
+        }
+        
+        room.broadcast({
+            type: 'move',
+            ply: room.moves.length - 1,
+            move: uci,
+            san: record.san,
+            color: mover,
+            clock,
+            time: room.getTime()
+        });
+        room.setEvaluation(room.moves.length - 1, room.getMaterialEvaluation(), 'material');
+        
+        if (room.rules.gameState.gameOver) {
+            room.finish();
+        }
+    }
+    
+    /**
+     * Desistência do jogador (na transmissão, da cor informada)
+     */
+    handleResign(connection, message) {
+        const context = this.getContext(connection);
+        if (!context) return;
+        const { room } = context;
+        
+        const color = room.stream ? this.readColor(message.color, room) : context.color;
+        const result = room.rules.resign(color);
+        if (!result.success) {
+            this.sendError(connection, 'gameOver', result.error);
+            return;
+        }
+        
+        room.finish(color);
+    }
+    
+    /**
+     * Oferta de empate
+     */
+    handleOffer(connection, message) {
+        const context = this.getContext(connection);
+        if (!context) return;
+        const { room, color } = context;
+        
+        if (room.result) {
+            this.sendError(connection, 'gameOver', 'A partida já terminou');
+            return;
+        }
+        if (message.offer !== 'draw') {
+            this.sendError(connection, 'badMessage', 'Só há ofertas de empate em partidas em rede');
+            return;
+        }
+        if (room.offer) {
+            this.sendError(connection, 'badMessage', 'Já existe uma oferta pendente');
+            return;
+        }
+        
+        room.offer = { offer: 'draw', from: color };
+        room.broadcast({ type: 'offer', ...room.offer, status: 'pending' });
+    }
+    
+    /**
+     * Resposta à oferta do adversário
+     */
+    handleAnswer(connection, message) {
+        const context = this.getContext(connection);
+        if (!context) return;
+        const { room, color } = context;
+        
+        if (!room.offer || room.offer.from === color) {
+            this.sendError(connection, 'noOffer', 'Nenhuma oferta do adversário para responder');
+            return;
+        }
+        
+        const offer = room.offer;
+        room.offer = null;
+        
+        if (!message.accept) {
+            room.broadcast({ type: 'offer', ...offer, status: 'declined' });
+            return;
+        }
+        
+        room.broadcast({ type: 'offer', ...offer, status: 'accepted' });
+        room.rules.agreeDraw();
+        room.finish();
+    }
+    
+    /**
+     * Reclamação de empate: o servidor confere na própria posição
+     */
+    handleClaim(connection) {
+        const context = this.getContext(connection);
+        if (!context) return;
+        const { room } = context;
+        
+        if (room.result) {
+            this.sendError(connection, 'gameOver', 'A partida já terminou');
+            return;
+        }
+        
+        const result = room.rules.claimDraw();
+        if (!result.success) {
+            this.sendError(connection, 'noClaim', result.error);
+            return;
+        }
+        
+        room.finish();
+    }
+    
+    /**
+     * Transmissão: queda de bandeira informada pelo anfitrião
+     */
+    handleFlag(connection, message) {
+        const room = this.getStreamRoom(connection);
+        if (!room) return;
+        
+        const color = this.readColor(message.color, room);
+        const result = room.rules.declareTimeout(color);
+        if (!result.success) {
+            this.sendError(connection, 'gameOver', result.error);
+            return;
+        }
+        
+        room.finish(color);
+    }
+    
+    /**
+     * Transmissão: empate por acordo (ex.: a IA aceitou a oferta)
+     */
+    handleDraw(connection) {
+        const room = this.getStreamRoom(connection);
+        if (!room) return;
+        
+        const result = room.rules.agreeDraw();
+        if (!result.success) {
+            this.sendError(connection, 'gameOver', result.error);
+            return;
+        }
+        
+        room.finish();
+    }
+    
+    /**
+     * Transmissão: o anfitrião voltou o último lance
+     */
+    handleUndo(connection, message) {
+        const room = this.getStreamRoom(connection);
+        if (!room) return;
+        
+        if (room.result) {
+            this.sendError(connection, 'gameOver', 'A partida já terminou');
+            return;
+        }
+        if (message.ply !== undefined && message.ply !== room.moves.length - 1) {
+            this.sendError(connection, 'outOfSync', 'Volta fora de sincronia');
+            this.sendState(connection);
+            return;
+        }
+        
+        const result = room.rules.undoMove();
+        if (!result.success) {
+            this.sendError(connection, 'badMessage', result.error);
+            return;
+        }
+        
+        room.moves.pop();
+        room.clocks.pop();
+        room.clock.setTurn(room.rules.gameState.turn);
+        
+        room.broadcast({ type: 'undo', ply: room.moves.length, time: room.getTime() });
+        room.setEvaluation(room.moves.length - 1, room.getMaterialEvaluation(), 'material');
+    }
+    
+    /**
+     * Transmissão: avaliação do motor do anfitrião, repassada aos espectadores
+     */
+    handleEval(connection, message) {
+        const room = this.getStreamRoom(connection);
+        if (!room) return;
+        
+        const evaluation = message.evaluation;
+        const valid = (typeof evaluation === 'number' && isFinite(evaluation)) ||
+            (typeof evaluation === 'string' && /^#-?\d+$/.test(evaluation));
+        if (!valid || !Number.isInteger(message.ply) || message.ply !== room.moves.length - 1) {
+            this.sendError(connection, 'badMessage', 'Avaliação inválida ou de outro lance');
+            return;
+        }
+        
+        room.setEvaluation(message.ply, evaluation, 'engine');
+    }
+    
+    /**
+     * Bate-papo entre os espectadores (os jogadores não recebem)
+     */
+    handleChat(connection, message) {
+        const context = this.getContext(connection, { spectator: true });
+        if (!context) return;
+        const { room } = context;
+        
+        if (!context.spectator) {
+            this.sendError(connection, 'spectator', 'O bate-papo é só dos espectadores');
+            return;
+        }
+        if (!room.chatEnabled) {
+            this.sendError(connection, 'chatDisabled', 'O bate-papo está desligado nesta sala');
+            return;
+        }
+        
+        const text = String(message.text || '').trim().slice(0, CHAT_MAX_LENGTH);
+        if (!text) {
+            this.sendError(connection, 'badMessage', 'Mensagem vazia');
+            return;
+        }
+        
+        const entry = {
+            name: String(message.name || '').trim().slice(0, 24) || 'Espectador',
+            text,
+            time: Date.now()
+        };
+        room.chatLog.push(entry);
+        if (room.chatLog.length > CHAT_LOG_SIZE) room.chatLog.shift();
+        
+        room.broadcastSpectators({ type: 'chat', ...entry });
+    }
+    
+    /**
+     * Sala e cor da conexão (avisa se ela ainda não está sentada). Espectadores
+     * só passam com options.spectator.
+     */
+    getContext(connection, options = {}) {
+        const session = connection.session;
+        const room = session && this.rooms.get(session.room);
+        
+        if (!room) {
+            this.sendError(connection, 'notSeated', 'Entre em uma sala primeiro');
+            return null;
+        }
+        if (session.spectator && !options.spectator) {
+            this.sendError(connection, 'spectator', 'Espectadores não jogam');
+            return null;
+        }
+        
+        return { room, color: session.color, spectator: Boolean(session.spectator) };
+    }
+    
+    /**
+     * Sala de transmissão do anfitrião (avisa se a sala não é de transmissão)
+     */
+    getStreamRoom(connection) {
+        const context = this.getContext(connection);
+        if (!context) return null;
+        
+        if (!context.room.stream) {
+            this.sendError(connection, 'notStream', 'Só o anfitrião de uma transmissão envia isso');
+            return null;
+        }
+        
+        return context.room;
+    }
+    
+    /**
+     * Cor informada na mensagem ou, se inválida, a do lado a jogar
+     */
+    readColor(color, room) {
+        return color === 'white' || color === 'black' ? color : room.rules.gameState.turn;
+    }
+    
+    /**
+     * Envia o estado completo da sala da conexão
+     */
+    sendState(connection) {
+        const context = this.getContext(connection, { spectator: true });
+        if (context) connection.send(context.room.getState(context.color));
+    }
+    
+    sendError(connection, code, message) {
+        connection.send({ type: 'error', code, message });
+    }
+    
+    /**
+     * Conexão caiu: o lugar continua reservado para a reconexão
+     */
+    handleDisconnect(connection) {
+        this.connections.delete(connection);
+        
+        this.leaveRoom(connection);
+    }
+    
+    /**
+     * Tira a conexão da sala em que está (o lugar de jogador continua reservado)
+     */
+    leaveRoom(connection) {
+        const session = connection.session;
+        const room = session && this.rooms.get(session.room);
+        if (!room) return;
+        
+        connection.session = null;
+        
+        if (session.spectator) {
+            room.spectators.delete(connection);
+        } else {
+            const seat = room.seats[session.color === 'both' ? 'white' : session.color];
+            if (seat && seat.connection === connection) {
+                seat.connection = null;
+            }
+        }
+        
+        if (room.isEmpty()) room.idleSince = Date.now();
+        room.broadcastPresence();
+    }
+    
+    /**
+     * Encerra por tempo as partidas em que um relógio zerou
+     */
+    checkFlags() {
+        this.rooms.forEach(room => {
+            // Na transmissão quem decide o tempo é o navegador do anfitrião
+            if (room.result || room.stream || !room.clock.running) return;
+            
+            room.clock.tick();
+            const flagged = room.clock.getFlagged();
+            if (!flagged) return;
+            
+            room.rules.declareTimeout(flagged);
+            room.finish(flagged);
+        });
+    }
+    
+    /**
+     * Pinga as conexões e derruba as que não responderam ao ping anterior
+     */
+    heartbeat() {
+        this.connections.forEach(connection => {
+            if (!connection.alive) {
+                connection.terminate();
+                return;
+            }
+            connection.alive = false;
+            connection.ping();
+        });
+    }
+    
+    /**
+     * Apaga salas vazias há muito tempo
+     */
+    sweepRooms() {
+        const now = Date.now();
+        this.rooms.forEach((room, code) => {
+            if (room.isEmpty() && now - room.idleSince > ROOM_IDLE_MS) {
+                this.rooms.delete(code);
+            }
+        });
+    }
+    
+    /**
+     * Código de sala ainda não usado
+     */
+    generateRoomCode() {
+        let code;
+        do {
+            code = Array.from(crypto.randomBytes(ROOM_CODE_LENGTH), byte =>
+                ROOM_CODE_CHARS[byte % ROOM_CODE_CHARS.length]
+            ).join('');
+        } while (this.rooms.has(code));
+        return code;
+    }
+}
+
+/**
+ * Ponto de entrada da linha de comando
+ */
+function main(argv) {
+    const portIndex = argv.indexOf('--port');
+    const port = portIndex !== -1 ? parseInt(argv[portIndex + 1]) : DEFAULT_PORT;
+    
+    const relay = new RelayServer({ port });
+    relay.listen().then(listening => {
+        process.stdout.write(`Relay de xadrez escutando em ws://0.0.0.0:${listening}\n`);
+    }).catch(error => {
+        process.stderr.write(`Não foi possível iniciar o relay: ${error.message}\n`);
+        process.exitCode = 1;
+    });
+    
+    process.on('SIGINT', () => relay.close().then(() => process.exit(0)));
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { RelayServer, RelayRoom, PROTOCOL_VERSION };
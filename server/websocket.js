@@ -0,0 +1,306 @@
+/**
+ * WEBSOCKET MÍNIMO (RFC 6455) SEM DEPENDÊNCIAS
+ * Só o necessário para o relay: handshake, mensagens de texto, ping/pong e fechamento.
+ * Serve tanto o servidor (acceptUpgrade) quanto clientes sem navegador (connect),
+ * usados para testar o protocolo com dois jogadores "headless".
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024; // 1 MB por mensagem
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Uma conexão WebSocket aberta. Eventos: 'message' (texto), 'pong', 'close' (código)
+ */
+class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {net.Socket} socket Socket já com o handshake concluído
+     * @param {Object} options mask: true no lado cliente (quadros do cliente são mascarados)
+     */
+    constructor(socket, options = {}) {
+        super();
+        
+        this.socket = socket;
+        this.mask = Boolean(options.mask);
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0; // Bytes já acumulados da mensagem fragmentada
+        this.closed = false;
+        
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.handleClose(1006));
+        socket.on('error', () => this.handleClose(1006));
+        
+        // Bytes que chegaram junto com o handshake: processados depois que
+        // quem criou a conexão teve a chance de ouvir 'message'
+        if (options.head && options.head.length > 0) {
+            setImmediate(() => this.receive(options.head));
+        }
+    }
+    
+    /**
+     * Envia texto (objetos são convertidos em JSON)
+     */
+    send(data) {
+        const text = typeof data === 'string' ? data : JSON.stringify(data);
+        this.sendFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+    }
+    
+    /**
+     * Envia um ping (o outro lado responde com pong)
+     */
+    ping() {
+        this.sendFrame(OPCODES.PING, Buffer.alloc(0));
+    }
+    
+    /**
+     * Fecha a conexão educadamente
+     */
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.CLOSE, payload);
+        
+        this.socket.end();
+        this.handleClose(code);
+    }
+    
+    /**
+     * Derruba a conexão sem aviso (ex.: sem resposta ao ping)
+     */
+    terminate() {
+        this.socket.destroy();
+        this.handleClose(1006);
+    }
+    
+    /**
+     * Monta e escreve um quadro
+     */
+    sendFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        
+        const length = payload.length;
+        const lengthBytes = length < 126 ? 0 : (length < 65536 ? 2 : 8);
+        const header = Buffer.alloc(2 + lengthBytes + (this.mask ? 4 : 0));
+        
+        header[0] = 0x80 | opcode; // FIN + opcode
+        header[1] = (this.mask ? 0x80 : 0) | (lengthBytes === 0 ? length : (lengthBytes === 2 ? 126 : 127));
+        
+        if (lengthBytes === 2) {
+            header.writeUInt16BE(length, 2);
+        } else if (lengthBytes === 8) {
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        
+        let body = payload;
+        if (this.mask) {
+            const key = crypto.randomBytes(4);
+            key.copy(header, 2 + lengthBytes);
+            body = Buffer.from(payload);
+            for (let i = 0; i < body.length; i++) body[i] ^= key[i % 4];
+        }
+        
+        this.socket.write(Buffer.concat([header, body]));
+    }
+    
+    /**
+     * Acumula bytes recebidos e processa os quadros completos
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+    
+    /**
+     * Lê um quadro do buffer (null se ainda incompleto)
+     */
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        
+        // O servidor só aceita quadros mascarados do cliente (RFC 6455, seção 5.1)
+        if (!this.mask && !masked) {
+            this.close(1002, 'Quadro sem máscara');
+            return null;
+        }
+        
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        
+        if (length > MAX_PAYLOAD) {
+            this.close(1009, 'Mensagem muito grande');
+            return null;
+        }
+        
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+        
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+    
+    /**
+     * Trata um quadro: junta fragmentos, responde ping e fechamento
+     */
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION:
+                // O limite vale para a mensagem inteira, não só para cada fragmento
+                this.fragmentsLength += payload.length;
+                if (this.fragmentsLength > MAX_PAYLOAD) {
+                    this.fragments = [];
+                    this.close(1009, 'Mensagem muito grande');
+                    break;
+                }
+                
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.emit('message', message);
+                }
+                break;
+            
+            case OPCODES.PING:
+                this.sendFrame(OPCODES.PONG, payload);
+                break;
+            
+            case OPCODES.PONG:
+                this.emit('pong');
+                break;
+            
+            case OPCODES.CLOSE:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+            
+            default:
+                this.close(1002, 'Opcode desconhecido');
+        }
+    }
+    
+    /**
+     * Marca a conexão como fechada e avisa uma única vez
+     */
+    handleClose(code) {
+        if (this.closed) return;
+        
+        this.closed = true;
+        this.emit('close', code);
+    }
+}
+
+/**
+ * Conclui o handshake de um pedido 'upgrade' do servidor HTTP.
+ * Retorna a conexão, ou null se o pedido não for WebSocket.
+ */
+function acceptUpgrade(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+    
+    if (!key || upgrade !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    return new WebSocketConnection(socket, { head });
+}
+
+/**
+ * Abre uma conexão de cliente (ws://host:porta/caminho). Retorna uma Promise da conexão.
+ */
+function connect(url) {
+    return new Promise((resolve, reject) => {
+        const { hostname, port, pathname, search } = new URL(url);
+        const key = crypto.randomBytes(16).toString('base64');
+        const expected = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        
+        const socket = net.connect(Number(port) || 80, hostname, () => {
+            socket.write([
+                `GET ${pathname || '/'}${search || ''} HTTP/1.1`,
+                `Host: ${hostname}:${port || 80}`,
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Key: ${key}`,
+                'Sec-WebSocket-Version: 13',
+                '',
+                ''
+            ].join('\r\n'));
+        });
+        
+        let response = Buffer.alloc(0);
+        const onData = (data) => {
+            response = Buffer.concat([response, data]);
+            const end = response.indexOf('\r\n\r\n');
+            if (end === -1) return;
+            
+            socket.removeListener('data', onData);
+            socket.removeListener('error', reject);
+            
+            const head = response.subarray(0, end).toString();
+            if (!/^HTTP\/1\.1 101/.test(head) || !head.includes(expected)) {
+                socket.destroy();
+                reject(new Error('Handshake WebSocket recusado'));
+                return;
+            }
+            
+            resolve(new WebSocketConnection(socket, { mask: true, head: response.subarray(end + 4) }));
+        };
+        
+        socket.on('data', onData);
+        socket.on('error', reject);
+    });
+}
+
+module.exports = { WebSocketConnection, acceptUpgrade, connect };
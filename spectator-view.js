@@ -0,0 +1,495 @@
+/**
+ * PARTIDA ASSISTIDA
+ * Cartão que acompanha, só para leitura, uma sala do relay (server/relay-server.js):
+ * uma partida em rede ou uma transmitida do navegador de quem joga contra a IA.
+ * Ao entrar recebe o estado completo; depois, lances, relógios, avaliação e o
+ * bate-papo dos espectadores. O tabuleiro é um ChessGame em modo espectador.
+ */
+
+class SpectatorView {
+    /**
+     * @param {ChessGame} owner Jogo principal (avisos e lista de partidas assistidas)
+     * @param {string} url Endereço do relay
+     * @param {string} room Código da sala
+     */
+    constructor(owner, url, room) {
+        this.owner = owner;
+        this.url = url;
+        this.room = room;
+        
+        this.socket = null;
+        this.active = true; // false: parou de assistir ou a sala não existe (não reconecta)
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        
+        this.result = null; // { result, winner, reason, termination, color }
+        this.evaluation = null; // { ply, evaluation, source }
+        this.players = { white: false, black: false };
+        this.spectatorCount = 0;
+        this.stream = false;
+        this.chatEnabled = false;
+        this.statusText = 'Conectando...';
+        
+        this.elements = {};
+        this.element = this.createElement();
+        
+        // Tabuleiro, relógios e lances desenhados pelo próprio ChessGame, sem entrada
+        this.game = new ChessGame({
+            spectator: true,
+            elements: {
+                board: this.elements.board,
+                whiteClock: this.elements.whiteClock,
+                blackClock: this.elements.blackClock,
+                moveHistory: this.elements.moves,
+                moveNumber: this.elements.moveNumber
+            }
+        });
+    }
+    
+    /**
+     * Conecta ao relay e pede para assistir a sala
+     */
+    connect() {
+        if (!this.active) return;
+        
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            this.stop(`Endereço inválido: ${this.url}`);
+            return;
+        }
+        
+        this.socket = socket;
+        
+        socket.onopen = () => {
+            this.reconnectAttempts = 0;
+            this.send({ type: 'watch', room: this.room });
+        };
+        
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(message);
+        };
+        
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            
+            this.socket = null;
+            this.game.clock.stop();
+            this.scheduleReconnect();
+        };
+    }
+    
+    /**
+     * Tenta reconectar com espera crescente
+     */
+    scheduleReconnect() {
+        if (!this.active) return;
+        
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.stop('Sem conexão com o servidor');
+            return;
+        }
+        
+        this.reconnectAttempts++;
+        this.setStatus(`Reconectando (${this.reconnectAttempts})...`);
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, 1000 * 2 ** (this.reconnectAttempts - 1));
+    }
+    
+    /**
+     * Para de receber (o cartão continua, com o aviso)
+     */
+    stop(text) {
+        this.active = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.game.clock.stop();
+        
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close(1000);
+        }
+        
+        this.setStatus(text);
+    }
+    
+    /**
+     * Fecha o cartão e deixa de assistir
+     */
+    close() {
+        this.stop('Desconectado');
+        this.element.remove();
+        this.owner.stopWatching(this);
+    }
+    
+    /**
+     * Envia uma mensagem (ignorada sem conexão aberta)
+     */
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return false;
+        
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+    
+    /**
+     * Trata uma mensagem do servidor
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'state':
+                this.applyState(message);
+                break;
+            case 'move':
+                this.applyMove(message);
+                break;
+            case 'undo':
+                this.applyUndo(message);
+                break;
+            case 'eval':
+                this.evaluation = { ply: message.ply, evaluation: message.evaluation, source: message.source };
+                this.renderEvaluation();
+                break;
+            case 'chat':
+                this.addChatEntry(message);
+                break;
+            case 'gameOver':
+                this.result = { ...message };
+                this.game.gameOver = true;
+                this.game.clock.stop();
+                this.render();
+                break;
+            case 'presence':
+                this.players = message.players;
+                this.spectatorCount = message.spectators || 0;
+                this.renderStatus();
+                break;
+            case 'error':
+                this.handleError(message);
+                break;
+        }
+    }
+    
+    /**
+     * Refaz a partida a partir do estado do servidor (entrada e reconexão)
+     */
+    applyState(state) {
+        const game = this.game;
+        const rules = game.rules;
+        
+        rules.events.silently(() => {
+            rules.setVariant(state.variant);
+            rules.loadFEN(state.startFEN, { variant: state.variant });
+            state.moves.forEach((uci, ply) => {
+                const result = rules.makeMoveUCI(uci);
+                if (result.success) result.moveRecord.clock = state.clocks[ply] || null;
+            });
+        });
+        
+        this.result = state.result ? { ...state.result } : null;
+        this.evaluation = state.evaluation || null;
+        this.players = state.players;
+        this.spectatorCount = state.spectators || 0;
+        this.stream = state.stream;
+        this.chatEnabled = state.chat;
+        this.statusText = '';
+        game.gameOver = this.result !== null || rules.gameState.gameOver;
+        
+        game.clock.configure(state.timeControl);
+        game.clock.reset(rules.gameState.turn);
+        this.applyTime(state.time);
+        
+        this.elements.chatLog.innerHTML = '';
+        (state.chatLog || []).forEach(entry => this.addChatEntry(entry));
+        this.elements.chatToggle.style.display = this.chatEnabled ? '' : 'none';
+        if (!this.chatEnabled) this.elements.chat.style.display = 'none';
+        
+        game.createBoard();
+        this.render();
+    }
+    
+    /**
+     * Lance novo; fora de ordem, pede o estado completo
+     */
+    applyMove(message) {
+        const rules = this.game.rules;
+        const history = rules.gameState.moveHistory;
+        
+        // Já veio no estado
+        if (message.ply < history.length) return;
+        
+        if (message.ply > history.length) {
+            this.send({ type: 'sync' });
+            return;
+        }
+        
+        const result = rules.makeMoveUCI(message.move);
+        if (!result.success) {
+            this.send({ type: 'sync' });
+            return;
+        }
+        
+        result.moveRecord.clock = message.clock;
+        this.applyTime(message.time);
+        this.render();
+    }
+    
+    /**
+     * Transmissão: quem joga voltou lances (ply = lances que restam)
+     */
+    applyUndo(message) {
+        const rules = this.game.rules;
+        
+        while (rules.gameState.moveHistory.length > message.ply) {
+            if (!rules.undoMove().success) break;
+        }
+        
+        this.applyTime(message.time);
+        this.render();
+    }
+    
+    /**
+     * Acerta os relógios pelos tempos do servidor
+     */
+    applyTime(time) {
+        const clock = this.game.clock;
+        
+        if (!time.running || this.result) {
+            clock.stop();
+        } else if (!clock.running) {
+            clock.start(time.turn);
+        } else {
+            clock.setTurn(time.turn);
+        }
+        
+        clock.setTimes(time);
+        this.game.syncTimers();
+    }
+    
+    /**
+     * Sala inexistente encerra; os outros erros só aparecem como aviso
+     */
+    handleError(message) {
+        if (message.code === 'roomNotFound') {
+            this.stop(message.message);
+            return;
+        }
+        
+        this.owner.showNotification(`Sala ${this.room}: ${message.message}`, 'error');
+    }
+    
+    /**
+     * Avança os relógios (chamado pelo jogo principal a cada 100ms)
+     */
+    tick() {
+        if (!this.game.clock.running) return;
+        
+        this.game.clock.tick();
+        this.game.syncTimers();
+    }
+    
+    /**
+     * Redesenha tabuleiro, lances, relógios, estado e avaliação
+     */
+    render() {
+        this.game.updateBoard();
+        this.game.updateMoveHistory();
+        this.game.syncTimers();
+        this.elements.moves.scrollTop = this.elements.moves.scrollHeight;
+        
+        this.renderStatus();
+        this.renderEvaluation();
+    }
+    
+    setStatus(text) {
+        this.statusText = text;
+        this.renderStatus();
+    }
+    
+    /**
+     * Resultado, vez de jogar ou o aviso de conexão; presença no cabeçalho
+     */
+    renderStatus() {
+        const rules = this.game.rules;
+        let text = this.statusText;
+        
+        if (!text && this.result) {
+            text = this.describeResult(this.result);
+        } else if (!text) {
+            text = `${rules.gameState.turn === 'white' ? 'Brancas' : 'Pretas'} a jogar` +
+                (rules.gameState.check ? ' · xeque' : '');
+        }
+        this.elements.status.textContent = text;
+        
+        const absent = ['white', 'black'].filter(color => !this.players[color]);
+        const presence = this.stream
+            ? (absent.length > 0 ? 'transmissão interrompida' : 'ao vivo')
+            : (absent.length > 0 ? `${absent.map(color => color === 'white' ? 'brancas' : 'pretas').join(' e ')} fora` : 'ao vivo');
+        this.elements.presence.textContent = `${presence} · ${this.spectatorCount} espectador(es)`;
+    }
+    
+    /**
+     * Texto do resultado: "1-0 · Brancas vencem (desistência)"
+     */
+    describeResult(result) {
+        const reasons = {
+            checkmate: 'xeque-mate',
+            resignation: 'desistência',
+            timeout: 'tempo',
+            stalemate: 'afogamento',
+            insufficientMaterial: 'material insuficiente',
+            threefoldRepetition: 'tripla repetição',
+            fivefoldRepetition: 'quíntupla repetição',
+            fiftyMoves: 'regra dos 50 movimentos',
+            seventyFiveMoves: 'regra dos 75 movimentos',
+            agreement: 'acordo',
+            timeoutVsInsufficientMaterial: 'tempo sem material para mate'
+        };
+        const outcome = result.winner === null
+            ? 'Empate'
+            : `${result.winner === 'white' ? 'Brancas' : 'Pretas'} vencem`;
+        
+        return `${result.result} · ${outcome}` + (reasons[result.reason] ? ` (${reasons[result.reason]})` : '');
+    }
+    
+    /**
+     * Barra e texto da avaliação (peões do ponto de vista das brancas ou '#N' para mate)
+     */
+    renderEvaluation() {
+        const evaluation = this.evaluation;
+        if (!evaluation || evaluation.evaluation === null || evaluation.evaluation === undefined) {
+            this.elements.evalText.textContent = '—';
+            this.elements.evalFill.style.width = '50%';
+            return;
+        }
+        
+        const value = evaluation.evaluation;
+        let share;
+        if (typeof value === 'string') {
+            this.elements.evalText.textContent = value;
+            share = value.startsWith('#-') ? 0 : 100;
+        } else {
+            this.elements.evalText.textContent = `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+            share = 50 + Math.max(-10, Math.min(10, value)) * 5;
+        }
+        
+        this.elements.evalText.title = evaluation.source === 'engine' ? 'Avaliação do motor' : 'Saldo material';
+        this.elements.evalFill.style.width = `${share}%`;
+    }
+    
+    /**
+     * Acrescenta uma mensagem ao bate-papo (guarda as 50 últimas)
+     */
+    addChatEntry({ name, text }) {
+        const line = document.createElement('div');
+        line.className = 'spectator-chat-line';
+        
+        const author = document.createElement('strong');
+        author.textContent = `${name}: `;
+        line.appendChild(author);
+        line.appendChild(document.createTextNode(text));
+        
+        const log = this.elements.chatLog;
+        log.appendChild(line);
+        while (log.childElementCount > 50) log.firstChild.remove();
+        log.scrollTop = log.scrollHeight;
+    }
+    
+    /**
+     * Envia a mensagem digitada
+     */
+    sendChat() {
+        const text = this.elements.chatText.value.trim();
+        if (!text) return;
+        
+        if (this.send({ type: 'chat', name: this.elements.chatName.value.trim(), text })) {
+            this.elements.chatText.value = '';
+        }
+    }
+    
+    /**
+     * Monta o cartão: cabeçalho, relógios, tabuleiro, avaliação, lances e bate-papo
+     */
+    createElement() {
+        const card = document.createElement('div');
+        card.className = 'spectator-card';
+        card.innerHTML = `
+            <div class="spectator-header">
+                <span class="spectator-title"></span>
+                <span class="spectator-presence"></span>
+                <button class="btn spectator-close" title="Parar de assistir">&times;</button>
+            </div>
+            <div class="spectator-clock"><span>Pretas</span><span class="spectator-time" data-color="black">--:--</span></div>
+            <div class="chess-board spectator-board"></div>
+            <div class="spectator-clock"><span>Brancas</span><span class="spectator-time" data-color="white">--:--</span></div>
+            <div class="spectator-eval">
+                <div class="spectator-eval-bar"><div class="spectator-eval-fill"></div></div>
+                <span class="spectator-eval-text">—</span>
+            </div>
+            <div class="spectator-info">
+                <span class="spectator-status"></span>
+                <span>Lance <span class="spectator-move-number">1</span></span>
+            </div>
+            <div class="move-history spectator-moves"></div>
+            <button class="btn spectator-chat-toggle" style="display: none">Bate-papo</button>
+            <div class="spectator-chat" style="display: none">
+                <div class="spectator-chat-log"></div>
+                <form class="spectator-chat-form">
+                    <input type="text" class="spectator-chat-name" maxlength="24" placeholder="Nome">
+                    <input type="text" class="spectator-chat-text" maxlength="300" placeholder="Mensagem">
+                    <button class="btn" type="submit">Enviar</button>
+                </form>
+            </div>
+        `;
+        
+        this.elements = {
+            title: card.querySelector('.spectator-title'),
+            presence: card.querySelector('.spectator-presence'),
+            board: card.querySelector('.spectator-board'),
+            whiteClock: card.querySelector('.spectator-time[data-color="white"]'),
+            blackClock: card.querySelector('.spectator-time[data-color="black"]'),
+            evalFill: card.querySelector('.spectator-eval-fill'),
+            evalText: card.querySelector('.spectator-eval-text'),
+            status: card.querySelector('.spectator-status'),
+            moveNumber: card.querySelector('.spectator-move-number'),
+            moves: card.querySelector('.spectator-moves'),
+            chatToggle: card.querySelector('.spectator-chat-toggle'),
+            chat: card.querySelector('.spectator-chat'),
+            chatLog: card.querySelector('.spectator-chat-log'),
+            chatName: card.querySelector('.spectator-chat-name'),
+            chatText: card.querySelector('.spectator-chat-text')
+        };
+        
+        this.elements.title.textContent = `Sala ${this.room}`;
+        this.elements.status.textContent = this.statusText;
+        
+        card.querySelector('.spectator-close').addEventListener('click', () => this.close());
+        this.elements.chatToggle.addEventListener('click', () => {
+            const chat = this.elements.chat;
+            chat.style.display = chat.style.display === 'none' ? '' : 'none';
+        });
+        card.querySelector('.spectator-chat-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendChat();
+        });
+        
+        return card;
+    }
+}
+
+// Exporta a classe para uso global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectatorView;
+}
@@ -0,0 +1,74 @@
+/**
+ * BENCHMARK DO GERADOR DE MOVIMENTOS
+ * Mede nós por segundo do perft com a matriz 8x8 (antes) e com o tabuleiro 0x88 (depois).
+ *
+ * Uso:
+ *   node tools/benchmark.js              Profundidade 3 nas posições de referência
+ *   node tools/benchmark.js --depth 4    Profundidade maior (bem mais lento)
+ */
+
+const { REFERENCE_POSITIONS, createRules } = require('./perft.js');
+
+const REPRESENTATIONS = ['array', '0x88'];
+const DEFAULT_DEPTH = 3;
+
+/**
+ * Executa o perft de uma posição e retorna nós e tempo gasto
+ */
+function measure(position, depth, representation) {
+    const rules = createRules(position.fen, representation);
+    
+    // Aquecimento para o JIT não pesar na primeira medição
+    rules.perft(Math.max(1, depth - 1));
+    
+    const start = process.hrtime.bigint();
+    const nodes = rules.perft(depth);
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    
+    return { nodes, elapsedMs };
+}
+
+/**
+ * Ponto de entrada da linha de comando
+ */
+function main(argv) {
+    const depthIndex = argv.indexOf('--depth');
+    const depth = depthIndex !== -1 ? parseInt(argv[depthIndex + 1]) : DEFAULT_DEPTH;
+    const totals = {};
+    
+    REPRESENTATIONS.forEach(representation => {
+        totals[representation] = { nodes: 0, elapsedMs: 0 };
+    });
+    
+    for (const position of REFERENCE_POSITIONS) {
+        const results = REPRESENTATIONS.map(representation => {
+            const result = measure(position, depth, representation);
+            totals[representation].nodes += result.nodes;
+            totals[representation].elapsedMs += result.elapsedMs;
+            return `${representation}: ${formatRate(result)}`;
+        });
+        
+        process.stdout.write(`${position.name} (profundidade ${depth})\n  ${results.join('  |  ')}\n`);
+    }
+    
+    const [before, after] = REPRESENTATIONS.map(representation => totals[representation]);
+    process.stdout.write('\nTotal\n');
+    REPRESENTATIONS.forEach(representation => {
+        process.stdout.write(`  ${representation}: ${formatRate(totals[representation])}\n`);
+    });
+    process.stdout.write(`  Ganho: ${(before.elapsedMs / after.elapsedMs).toFixed(2)}x\n`);
+    
+    return 0;
+}
+
+/**
+ * Formata nós, tempo e nós por segundo
+ */
+function formatRate({ nodes, elapsedMs }) {
+    const nps = Math.round(nodes / (elapsedMs / 1000));
+    return `${nodes} nós em ${elapsedMs.toFixed(0)}ms (${nps.toLocaleString('pt-BR')} nós/s)`;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,149 @@
+/**
+ * VALIDAÇÃO DO GERADOR DE MOVIMENTOS (PERFT)
+ * Compara ChessRules.perft com as contagens de referência das posições clássicas.
+ *
+ * Uso:
+ *   node tools/perft.js                      Executa a bateria de referência
+ *   node tools/perft.js --depth 4            Limita/estende a profundidade da bateria
+ *   node tools/perft.js --fen "<fen>" 3      Divide de uma posição qualquer
+ *   node tools/perft.js --representation 0x88  Usa o tabuleiro 0x88 em vez da matriz 8x8
+ */
+
+const ChessRules = require('../chess-rules.js');
+
+// Contagens de referência (chessprogramming.org/Perft_Results), índice = profundidade - 1
+const REFERENCE_POSITIONS = [
+    {
+        name: 'Posição inicial',
+        fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+        nodes: [20, 400, 8902, 197281]
+    },
+    {
+        name: 'Kiwipete',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        nodes: [48, 2039, 97862, 4085603]
+    },
+    {
+        name: 'Posição 3',
+        fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        nodes: [14, 191, 2812, 43238]
+    },
+    {
+        name: 'Posição 4',
+        fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+        nodes: [6, 264, 9467, 422333]
+    },
+    {
+        name: 'Posição 4 (espelhada)',
+        fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1',
+        nodes: [6, 264, 9467, 422333]
+    },
+    {
+        name: 'Posição 5',
+        fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+        nodes: [44, 1486, 62379, 2103487]
+    },
+    {
+        name: 'Posição 6',
+        fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+        nodes: [46, 2079, 89890, 3894594]
+    },
+    {
+        name: 'Chess960 #1',
+        fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+        nodes: [21, 528, 12189, 326672]
+    }
+];
+
+// Profundidade padrão de cada posição na bateria (mantém a execução em segundos)
+const DEFAULT_DEPTH = 3;
+
+/**
+ * Cria uma instância de regras com a posição carregada
+ */
+function createRules(fen, representation = 'array') {
+    const rules = new ChessRules();
+    rules.setRepresentation(representation);
+    const result = rules.loadFEN(fen);
+    
+    if (!result.success) {
+        throw new Error(`FEN inválido: ${fen} (${result.error})`);
+    }
+    
+    return rules;
+}
+
+/**
+ * Imprime a divisão por movimento da raiz
+ */
+function printDivide(rules, depth) {
+    const { moves, total } = rules.divide(depth);
+    
+    moves.forEach(({ move, nodes }) => {
+        process.stdout.write(`  ${move}: ${nodes}\n`);
+    });
+    process.stdout.write(`  Movimentos: ${moves.length}  Nós: ${total}\n`);
+}
+
+/**
+ * Executa a bateria de referência e retorna o número de falhas
+ */
+function runSuite(maxDepth, representation = 'array') {
+    let failures = 0;
+    
+    for (const position of REFERENCE_POSITIONS) {
+        const depth = Math.min(maxDepth, position.nodes.length);
+        
+        for (let d = 1; d <= depth; d++) {
+            const rules = createRules(position.fen, representation);
+            const expected = position.nodes[d - 1];
+            const start = Date.now();
+            const nodes = rules.perft(d);
+            const elapsed = Date.now() - start;
+            const ok = nodes === expected;
+            
+            process.stdout.write(
+                `${ok ? 'ok  ' : 'FAIL'} ${position.name} profundidade ${d}: ` +
+                `${nodes} (esperado ${expected}) ${elapsed}ms\n`
+            );
+            
+            if (!ok) {
+                failures++;
+                process.stdout.write(`  FEN: ${position.fen}\n`);
+                printDivide(createRules(position.fen, representation), d);
+                break;
+            }
+        }
+    }
+    
+    return failures;
+}
+
+/**
+ * Ponto de entrada da linha de comando
+ */
+function main(argv) {
+    const fenIndex = argv.indexOf('--fen');
+    const depthIndex = argv.indexOf('--depth');
+    const representationIndex = argv.indexOf('--representation');
+    const representation = representationIndex !== -1 ? argv[representationIndex + 1] : 'array';
+    
+    if (fenIndex !== -1) {
+        const fen = argv[fenIndex + 1];
+        const depth = parseInt(argv[fenIndex + 2]) || 1;
+        printDivide(createRules(fen, representation), depth);
+        return 0;
+    }
+    
+    const maxDepth = depthIndex !== -1 ? parseInt(argv[depthIndex + 1]) : DEFAULT_DEPTH;
+    const failures = runSuite(maxDepth, representation);
+    
+    process.stdout.write(failures === 0 ? 'Todas as posições conferem\n' : `${failures} posição(ões) divergente(s)\n`);
+    return failures === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { REFERENCE_POSITIONS, createRules, runSuite };
@@ -0,0 +1,158 @@
+/**
+ * TESTE DO PROTOCOLO DO RELAY SEM NAVEGADOR
+ * Sobe o relay numa porta livre e conversa com ele por dois clientes "headless"
+ * (connect de server/websocket.js): criar e entrar na sala, lances, lance ilegal,
+ * tipos de mensagem inválidos, e confere que o relay continua de pé no final.
+ *
+ * Uso:
+ *   node tools/relay-protocol.js
+ */
+
+const { RelayServer } = require('../server/relay-server.js');
+const { connect } = require('../server/websocket.js');
+
+const MESSAGE_TIMEOUT_MS = 2000;
+
+/**
+ * Cliente de teste: guarda as mensagens recebidas e espera pelas de um tipo
+ */
+class TestClient {
+    constructor(connection) {
+        this.connection = connection;
+        this.inbox = [];
+        this.waiting = null; // { type, resolve, timer }
+        
+        connection.on('message', (text) => {
+            this.inbox.push(JSON.parse(text));
+            this.deliver();
+        });
+    }
+    
+    static async open(url) {
+        return new TestClient(await connect(url));
+    }
+    
+    send(message) {
+        this.connection.send(message);
+    }
+    
+    /**
+     * Próxima mensagem do tipo (as de outros tipos antes dela são descartadas)
+     */
+    next(type) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiting = null;
+                reject(new Error(`Sem mensagem "${type}" em ${MESSAGE_TIMEOUT_MS}ms`));
+            }, MESSAGE_TIMEOUT_MS);
+            
+            this.waiting = { type, resolve, timer };
+            this.deliver();
+        });
+    }
+    
+    deliver() {
+        if (!this.waiting) return;
+        
+        while (this.inbox.length > 0) {
+            const message = this.inbox.shift();
+            if (message.type !== this.waiting.type) continue;
+            
+            const { resolve, timer } = this.waiting;
+            clearTimeout(timer);
+            this.waiting = null;
+            resolve(message);
+            return;
+        }
+    }
+    
+    close() {
+        this.connection.close();
+    }
+}
+
+/**
+ * Executa os cenários e retorna o número de falhas
+ */
+async function runProtocolTests() {
+    const relay = new RelayServer({ port: 0 });
+    const port = await relay.listen();
+    const url = `ws://127.0.0.1:${port}`;
+    
+    let failures = 0;
+    const check = (ok, description) => {
+        process.stdout.write(`${ok ? 'ok  ' : 'FAIL'} ${description}\n`);
+        if (!ok) failures++;
+    };
+    
+    const white = await TestClient.open(url);
+    const black = await TestClient.open(url);
+    
+    try {
+        check((await white.next('hello')).protocol === 2, 'hello com a versão do protocolo');
+        
+        white.send({ type: 'create', color: 'white', timeControl: '300+3' });
+        const created = await white.next('joined');
+        check(created.color === 'white' && /^[A-Z2-9]{6}$/.test(created.room), 'create senta o criador com as brancas');
+        
+        black.send({ type: 'join', room: created.room });
+        const joined = await black.next('joined');
+        check(joined.color === 'black' && joined.room === created.room, 'join senta o segundo jogador com as pretas');
+        
+        white.send({ type: 'move', move: 'e2e4', ply: 0 });
+        const move = await black.next('move');
+        check(move.move === 'e2e4' && move.san === 'e4' && move.color === 'white', 'lance repassado ao adversário');
+        
+        black.send({ type: 'move', move: 'e7e4', ply: 1 });
+        const illegal = await black.next('error');
+        const resync = await black.next('state');
+        check(illegal.code === 'illegal' && resync.moves.length === 1, 'lance ilegal volta como error seguido de state');
+        
+        // Nomes do Object.prototype não são tipos de mensagem
+        for (const type of ['valueOf', 'hasOwnProperty', 'constructor', '__proto__', 'toString']) {
+            white.send({ type });
+            const error = await white.next('error');
+            check(error.code === 'badMessage', `tipo "${type}" recusado com badMessage`);
+        }
+        
+        white.send({ type: 'nada' });
+        check((await white.next('error')).code === 'badMessage', 'tipo desconhecido recusado com badMessage');
+        
+        // O relay continua respondendo e a partida segue
+        black.send({ type: 'move', move: 'e7e5', ply: 1 });
+        const reply = await white.next('move');
+        check(reply.move === 'e7e5' && reply.ply === 1, 'relay continua de pé depois das mensagens inválidas');
+        
+        const late = await TestClient.open(url);
+        late.send({ type: 'watch', room: created.room });
+        const watched = await late.next('state');
+        check(watched.moves.join(' ') === 'e2e4 e7e5', 'nova conexão acompanha a sala com os lances');
+        late.close();
+    } catch (error) {
+        check(false, error.message);
+    } finally {
+        white.close();
+        black.close();
+        await relay.close();
+    }
+    
+    return failures;
+}
+
+/**
+ * Ponto de entrada da linha de comando
+ */
+async function main() {
+    const failures = await runProtocolTests();
+    
+    process.stdout.write(failures === 0 ? 'Protocolo confere\n' : `${failures} verificação(ões) falharam\n`);
+    return failures === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { TestClient, runProtocolTests };
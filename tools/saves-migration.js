@@ -0,0 +1,133 @@
+/**
+ * TESTE DA CONVERSÃO DE SAVES ANTIGOS
+ * Grava saves sem versão num localStorage em memória, abre a biblioteca (que os
+ * converte para o formato atual) e confere posição inicial, lances e posição final.
+ * fixtures/save-original.json é um save gravado pelo jogo original (brancas na
+ * linha 0, FEN com as fileiras invertidas, lances com beforeState).
+ *
+ * Uso:
+ *   node tools/saves-migration.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.ChessRules = require('../chess-rules.js');
+const SavedGames = require('../saved-games.js');
+
+const STANDARD_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+/**
+ * localStorage mínimo em memória
+ */
+function createStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    
+    return {
+        get length() {
+            return items.size;
+        },
+        key: index => [...items.keys()][index] ?? null,
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Abre a biblioteca sobre os saves dados e retorna o registro convertido de cada id
+ */
+function migrateSaves(saves) {
+    const entries = {};
+    Object.entries(saves).forEach(([id, record]) => {
+        entries[`chess_save_${id}`] = JSON.stringify(record);
+    });
+    global.localStorage = createStorage(entries);
+    
+    const library = new SavedGames(null);
+    const migrated = {};
+    Object.keys(saves).forEach(id => {
+        migrated[id] = library.get(id);
+    });
+    return migrated;
+}
+
+/**
+ * Executa os cenários e retorna o número de falhas
+ */
+function runMigrationTests() {
+    let failures = 0;
+    const check = (ok, description, detail = '') => {
+        process.stdout.write(`${ok ? 'ok  ' : 'FAIL'} ${description}\n`);
+        if (!ok) {
+            failures++;
+            if (detail) process.stdout.write(`  ${detail}\n`);
+        }
+    };
+    
+    const original = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'save-original.json'), 'utf8'));
+    
+    const saves = migrateSaves({
+        // Save do jogo original com três lances de cavalo (1. Nf3 Nc6 2. Ng5)
+        1: original,
+        // Save do jogo original na posição inicial, sem lances
+        2: {
+            fen: 'RNBQKBNR/PPPPPPPP/8/8/8/8/pppppppp/rnbqkbnr w KQkq - 0 1',
+            mode: 'pvp',
+            moveHistory: [],
+            timers: { white: 300, black: 300 },
+            settings: {},
+            timestamp: 1700000000001
+        },
+        // Save da biblioteca antes da versão 2: já no tabuleiro atual, com startFEN
+        3: {
+            name: 'Biblioteca',
+            timestamp: 1700000000002,
+            mode: 'pvp',
+            variant: 'standard',
+            startFEN: STANDARD_START_FEN,
+            fen: 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2',
+            moveHistory: [
+                { from: { row: 6, col: 4 }, to: { row: 4, col: 4 }, clock: { remaining: 299, spent: 1 } },
+                { from: { row: 1, col: 4 }, to: { row: 3, col: 4 }, clock: { remaining: 298, spent: 2 } }
+            ]
+        }
+    });
+    
+    const withMoves = saves[1];
+    check(withMoves && withMoves.version === 2, 'save original convertido para a versão 2');
+    check(withMoves && withMoves.startFEN === STANDARD_START_FEN, 'save original parte da posição inicial padrão',
+        withMoves && withMoves.startFEN);
+    check(withMoves && withMoves.moves.join(' ') === 'g1f3 b8c6 f3g5', 'lances do save original espelhados',
+        withMoves && withMoves.moves.join(' '));
+    check(withMoves && withMoves.fen === 'r1bqkbnr/pppppppp/2n5/6N1/8/8/PPPPPPPP/RNBQKB1R b KQkq - 3 2',
+        'posição final do save original com as brancas embaixo e os roques', withMoves && withMoves.fen);
+    check(withMoves && withMoves.timers.white === 290 && withMoves.timers.black === 295, 'tempos do save original mantidos');
+    
+    const start = saves[2];
+    check(start && start.fen === STANDARD_START_FEN && start.moves.length === 0,
+        'save original na posição inicial vira a posição inicial padrão', start && start.fen);
+    
+    const library = saves[3];
+    check(library && library.moves.join(' ') === 'e2e4 e7e5', 'save da biblioteca não é espelhado',
+        library && library.moves.join(' '));
+    check(library && library.clocks[1][0] === 298, 'relógios do save da biblioteca mantidos');
+    
+    return failures;
+}
+
+/**
+ * Ponto de entrada da linha de comando
+ */
+function main() {
+    const failures = runMigrationTests();
+    
+    process.stdout.write(failures === 0 ? 'Saves convertidos corretamente\n' : `${failures} verificação(ões) falharam\n`);
+    return failures === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = { createStorage, runMigrationTests };